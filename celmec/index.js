@@ -1,14 +1,39 @@
-const fs = require("fs");
-
 /**
  * Astronomical constants
  */
 class Const {
-	/** Obliquity of the ecliptic */
+	/**
+	 * Obliquity of the ecliptic
+	 * @deprecated The obliquity changes over time, use Precession.calculateMeanObliquity or Nutation.calculateTrueObliquity instead
+	 */
 	static e = 23.44;
 
 	/** Number of kilometers in one AU (Astronomical Unit) */
 	static kmPerAU = 149597870.7;
+
+	/** Speed of light in kilometers per second */
+	static speedOfLight = 299792.458;
+
+	/** Equatorial radius of the earth in kilometers (WGS 84) */
+	static earthRadius = 6378.137;
+
+	/** Flattening of the earth (WGS 84) */
+	static earthFlattening = 1 / 298.257223563;
+
+	/** Radius of the sun in kilometers (IAU 2015 nominal value) */
+	static sunRadius = 695700;
+
+	/** Mean radius of the moon in kilometers */
+	static moonRadius = 1737.4;
+
+	/** Rotation of the earth relative to the vernal equinox in degrees per day */
+	static siderealRotationPerDay = 360.98564736629;
+
+	/** Geometric height of the center of stars and planets when they rise or set, due to refraction */
+	static horizonHeight = -0.5667;
+
+	/** Geometric height of the sun's center when it rises or sets, due to refraction and the radius of the sun */
+	static horizonHeightSun = -0.8333;
 }
 
 /**
@@ -26,11 +51,226 @@ const PlanetAbbreviation = {
 	/** Neptun */	nep: 8
 }
 
+/**
+ * Geometric heights of the sun's center that define the end of the different twilights in the evening
+ * @enum {number}
+ * @link https://en.wikipedia.org/wiki/Twilight
+ */
+const Twilight = {
+	/** Civil twilight */			civil: -6,
+	/** Nautical twilight */		nautical: -12,
+	/** Astronomical twilight */	astronomical: -18
+}
+
+/**
+ * Describes whether the sun crosses a certain height during a day
+ * @enum {string}
+ */
+const SunHeightStatus = {
+	/** The sun rises above and sets below the height */	crosses: "crosses",
+	/** The sun stays above the height the whole day */		alwaysAbove: "alwaysAbove",
+	/** The sun stays below the height the whole day */		alwaysBelow: "alwaysBelow"
+}
+
+/**
+ * Precision tiers for the VSOP87 theory. Each value is the threshold (in AU) below which terms are left out.
+ * The worst-case errors of the geocentric positions compared to the full series, sampled daily between the years 1800 and 2200,
+ * are (see the README for the other planets, measured by scripts/measure-vsop87-precision.js):
+ * - arcsecond: 0.86" (Venus), 0.81" (Mars), 0.19" for the sun
+ * - arcminute: 36" (Venus), 22" (Mars), 8.6" for the sun
+ * - degree: 0.66° (Venus and Mars), 0.03° for the sun
+ *
+ * Instead of a tier, any other threshold in AU can be used as well.
+ * @enum {number}
+ */
+const VSOP87Precision = {
+	/** All terms */					full: 0,
+	/** Terms of at least 5e-8 AU */	arcsecond: 5e-8,
+	/** Terms of at least 5e-6 AU */	arcminute: 5e-6,
+	/** Terms of at least 5e-3 AU */	degree: 5e-3
+}
+
+/**
+ * Julian Days of standard equinoxes to which catalog coordinates are referred
+ * @enum {number}
+ * @link https://en.wikipedia.org/wiki/Epoch_(astronomy)#Julian_years_and_J2000
+ */
+const Equinox = {
+	/** Julian epoch 2000.0, used by modern catalogs */						J2000: 2451545.0,
+	/** Besselian epoch 1950.0 of the FK4 system, used by older catalogs */	B1950: 2433282.4235,
+	/** Besselian epoch 1875.0, used for constellations */					B1875: 2405889.258550475
+}
+
+/**
+ * An object representing an enum for the supported time scales
+ * @enum {string}
+ * @link https://en.wikipedia.org/wiki/Time_standard
+ */
+const TimeScale = {
+	/** Coordinated Universal Time, the civil time of Date objects */		utc: "utc",
+	/** International Atomic Time */										tai: "tai",
+	/** Terrestrial Time, used for geocentric ephemerides */				tt: "tt",
+	/** Barycentric Dynamical Time, used for the planetary ephemerides */	tdb: "tdb",
+	/** Universal Time, following the rotation of the earth */				ut1: "ut1"
+}
+
+/**
+ * Describes whether a satellite is lit by the sun or in the shadow of the earth
+ * @enum {string}
+ */
+const SatelliteIllumination = {
+	/** The whole disk of the sun is visible */				sunlit: "sunlit",
+	/** The earth covers a part of the disk of the sun */	penumbra: "penumbra",
+	/** The earth covers the whole disk of the sun */		umbra: "umbra"
+}
+
+/**
+ * Kinds of deep-sky objects
+ * @enum {string}
+ * @link https://github.com/mattiaverga/OpenNGC
+ */
+const DeepSkyObjectType = {
+	/** A single star */						star: "star",
+	/** A double star */						doubleStar: "doubleStar",
+	/** An association of stars */				association: "association",
+	/** An open star cluster */					openCluster: "openCluster",
+	/** A globular star cluster */				globularCluster: "globularCluster",
+	/** A star cluster with a nebula */			clusterWithNebula: "clusterWithNebula",
+	/** A galaxy */								galaxy: "galaxy",
+	/** A pair of galaxies */					galaxyPair: "galaxyPair",
+	/** A triple of galaxies */					galaxyTriple: "galaxyTriple",
+	/** A group of galaxies */					galaxyGroup: "galaxyGroup",
+	/** A planetary nebula */					planetaryNebula: "planetaryNebula",
+	/** An HII region */						hiiRegion: "hiiRegion",
+	/** A dark nebula */						darkNebula: "darkNebula",
+	/** An emission nebula */					emissionNebula: "emissionNebula",
+	/** A reflection nebula */					reflectionNebula: "reflectionNebula",
+	/** A nebula of another or unknown kind */	nebula: "nebula",
+	/** A supernova remnant */					supernovaRemnant: "supernovaRemnant",
+	/** A nova */								nova: "nova",
+	/** Anything else */						other: "other"
+}
+
+/**
+ * Events in the apparent motion of a planet, see Planet.calculateEvents and Planet.calculateConjunctions
+ * @enum {string}
+ * @link https://en.wikipedia.org/wiki/Astronomical_conjunction
+ */
+const PlanetEventType = {
+	/** Same right ascension as another body */					conjunction: "conjunction",
+	/** Opposite ecliptic longitude as the sun */				opposition: "opposition",
+	/** Same ecliptic longitude as the sun, behind it */		superiorConjunction: "superiorConjunction",
+	/** Same ecliptic longitude as the sun, in front of it */	inferiorConjunction: "inferiorConjunction",
+	/** Greatest distance east of the sun (evening) */			greatestEasternElongation: "greatestEasternElongation",
+	/** Greatest distance west of the sun (morning) */			greatestWesternElongation: "greatestWesternElongation",
+	/** Start of the retrograde motion */						stationaryRetrograde: "stationaryRetrograde",
+	/** End of the retrograde motion */							stationaryDirect: "stationaryDirect"
+}
+
+/**
+ * Types of solar and lunar eclipses
+ * @enum {string}
+ * @link https://en.wikipedia.org/wiki/Eclipse
+ */
+const EclipseType = {
+	/** Only the penumbra covers the moon */		penumbral: "penumbral",
+	/** A part of the sun or moon is covered */		partial: "partial",
+	/** The moon is too small to cover the sun */	annular: "annular",
+	/** The whole sun or moon is covered */			total: "total",
+	/** Annular in some places, total in others */	hybrid: "hybrid"
+}
+
+/**
+ * Events in the orbit of the moon, see Moon.calculateEvents
+ * @enum {string}
+ * @link https://en.wikipedia.org/wiki/Lunar_phase
+ */
+const MoonEventType = {
+	/** Same ecliptic longitude as the sun */			newMoon: "newMoon",
+	/** 90° east of the sun */							firstQuarter: "firstQuarter",
+	/** Opposite to the sun */							fullMoon: "fullMoon",
+	/** 90° west of the sun */							lastQuarter: "lastQuarter",
+	/** Closest to the earth */							perigee: "perigee",
+	/** Farthest from the earth */						apogee: "apogee",
+	/** Crossing the ecliptic northwards */				ascendingNode: "ascendingNode",
+	/** Crossing the ecliptic southwards */				descendingNode: "descendingNode",
+	/** Greatest northern declination during a month */	greatestNorthernDeclination: "greatestNorthernDeclination",
+	/** Greatest southern declination during a month */	greatestSouthernDeclination: "greatestSouthernDeclination",
+	/** Largest monthly range of declination */			majorStandstill: "majorStandstill",
+	/** Smallest monthly range of declination */		minorStandstill: "minorStandstill"
+}
+
+/**
+ * Events of the earth's orbit around the sun. Equinoxes, solstices and cross-quarter days refer to the apparent ecliptic longitude of the sun.
+ * @enum {string}
+ * @link https://en.wikipedia.org/wiki/Season#Astronomical
+ */
+const SeasonalEventType = {
+	/** Sun at 0°, spring begins in the north */	marchEquinox: "marchEquinox",
+	/** Sun at 45° */								mayCrossQuarter: "mayCrossQuarter",
+	/** Sun at 90°, summer begins in the north */	juneSolstice: "juneSolstice",
+	/** Sun at 135° */								augustCrossQuarter: "augustCrossQuarter",
+	/** Sun at 180°, autumn begins in the north */	septemberEquinox: "septemberEquinox",
+	/** Sun at 225° */								novemberCrossQuarter: "novemberCrossQuarter",
+	/** Sun at 270°, winter begins in the north */	decemberSolstice: "decemberSolstice",
+	/** Sun at 315° */								februaryCrossQuarter: "februaryCrossQuarter",
+	/** Earth closest to the sun */					perihelion: "perihelion",
+	/** Earth farthest from the sun */				aphelion: "aphelion"
+}
+
+/**
+ * Frames of spherical coordinates which SphericalCoordinates can convert between
+ * @enum {string}
+ * @link https://en.wikipedia.org/wiki/Celestial_coordinate_system
+ */
+const CoordinateFrame = {
+	/** International Celestial Reference System */	icrs: "icrs",
+	/** Mean equator and equinox of J2000 */		fk5: "fk5",
+	/** Mean equator and equinox of date */			meanOfDate: "meanOfDate",
+	/** True equator and equinox of date */			trueOfDate: "trueOfDate",
+	/** Mean ecliptic and equinox of date */		eclipticOfDate: "eclipticOfDate",
+	/** Galactic longitude and latitude */			galactic: "galactic",
+	/** Supergalactic longitude and latitude */		supergalactic: "supergalactic",
+	/** Hour angle and declination */				hourAngle: "hourAngle",
+	/** Azimuth from north and height */			horizontal: "horizontal"
+}
+
+/**
+ * Bodies of the JPL development ephemerides by their NAIF ID codes. Except for the earth and the moon,
+ * the planets are given as the barycenters of their systems, which are at most a few hundred km away from their centers.
+ * @enum {number}
+ * @link https://naif.jpl.nasa.gov/pub/naif/toolkit_docs/C/req/naif_ids.html
+ */
+const JPLBody = {
+	/** Barycenter of the solar system */		solarSystemBarycenter: 0,
+	/** Mercury */								mercury: 1,
+	/** Venus */								venus: 2,
+	/** Barycenter of the earth and the moon */	earthMoonBarycenter: 3,
+	/** Barycenter of Mars and its moons */		mars: 4,
+	/** Barycenter of Jupiter and its moons */	jupiter: 5,
+	/** Barycenter of Saturn and its moons */	saturn: 6,
+	/** Barycenter of Uranus and its moons */	uranus: 7,
+	/** Barycenter of Neptune and its moons */	neptune: 8,
+	/** Barycenter of Pluto and its moons */	pluto: 9,
+	/** Sun */									sun: 10,
+	/** Moon */									moon: 301,
+	/** Earth */								earth: 399
+}
+
 
 
 /** Data needed to calculate the planet/sun positions using the VSOP87 theory */
 let vsop87c_data;
 
+/** Threshold in AU of the terms contained in vsop87c_data, 0 for the full series */
+let vsop87c_dataPrecision = 0;
+
+/** Truncated versions of vsop87c_data, with the threshold of VSOP87Precision as key */
+const vsop87c_truncatedData = new Map();
+
+/** Name of the file generated by `npm run build:vsop87`, located next to this module */
+const vsop87c_defaultFile = "vsop87c.json";
+
 /**
  * Parse raw VSOP87 data and return a well structured object
  * @param {string} data
@@ -40,7 +280,7 @@ function parseVSOP87C(data) {
 	let res = [ [], [], [] ];
 
 	for (const line of data.trim().split("\n").map(l => l.trim())) {
-		if (line.startsWith("VSOP87")) continue;
+		if (line === "" || line.startsWith("VSOP87")) continue;
 
 		const term = {
 			ai: line.substring(9, 45).match(/.{1,3}/g).map(x => parseInt(x.trim())),
@@ -64,31 +304,488 @@ function parseVSOP87C(data) {
 	return res;
 }
 
+/**
+ * Use already available VSOP87 data for calculating planet/sun positions
+ * @param {object} data Object with one entry per key of PlanetAbbreviation, each as returned by parseVSOP87C(),
+ * and the threshold in AU of the contained terms as precision (the full series if missing)
+ */
+function setVSOP87_data(data) {
+	if (data == undefined || typeof data !== "object") {
+		throw Error("Invalid VSOP87 data: Expected an object with an entry for every planet");
+	}
+	for (const planetName of Object.keys(PlanetAbbreviation)) {
+		if (!Array.isArray(data[planetName]) || data[planetName].length !== 3) {
+			throw Error(`Invalid VSOP87 data: Missing x/y/z series for planet "${planetName}"`);
+		}
+	}
+	if (data.precision != undefined && !(data.precision >= 0)) {
+		throw Error(`Invalid VSOP87 data: Expected the precision as threshold in AU, not "${data.precision}"`);
+	}
+	vsop87c_data = data;
+	vsop87c_dataPrecision = data.precision ?? 0;
+	vsop87c_truncatedData.clear();
+}
+
+/**
+ * Leave out all terms whose amplitude is smaller than a certain threshold
+ * @param {object} data VSOP87 data like the one passed to setVSOP87_data()
+ * @param {number | string} precision A value or key of VSOP87Precision or any other threshold in AU
+ * @returns {object} Truncated data, with the threshold in AU as precision
+ */
+function truncateVSOP87(data, precision) {
+	const threshold = resolveVSOP87Precision(precision);
+	let res = {};
+	for (const planetName of Object.keys(PlanetAbbreviation)) {
+		res[planetName] = data[planetName].map(rows => rows.map(row => row.filter(term => Math.abs(term.a) >= threshold)));
+	}
+	res.precision = Math.max(threshold, data.precision ?? 0);
+	return res;
+}
+
+/**
+ * Get the threshold in AU for a precision given as value or key of VSOP87Precision
+ * @param {number | string} precision
+ * @returns {number}
+ */
+function resolveVSOP87Precision(precision) {
+	const threshold = typeof precision === "string" ? VSOP87Precision[precision] : precision;
+	if (typeof threshold !== "number" || !(threshold >= 0)) {
+		throw Error(`Unknown VSOP87 precision "${precision}": Use a key of VSOP87Precision or a threshold in AU`);
+	}
+	return threshold;
+}
+
+/**
+ * Get the loaded VSOP87 data, truncated to a certain precision
+ * @param {number | string} precision A value or key of VSOP87Precision or any other threshold in AU
+ * @returns {object}
+ */
+function getVSOP87_data(precision) {
+	if (vsop87c_data == undefined) {
+		throw Error("Trying to access undefined variable vsop87c_data: Call loadVSOP87_data() before calculating planet/sun position");
+	}
+	const threshold = resolveVSOP87Precision(precision);
+	if (threshold < vsop87c_dataPrecision) {
+		throw Error(`Can't calculate with VSOP87 precision "${precision}": The loaded data only contains the terms `
+			+ `of at least ${vsop87c_dataPrecision} AU, load the full data or use a lower precision`);
+	}
+	if (threshold === vsop87c_dataPrecision) return vsop87c_data;
+	if (!vsop87c_truncatedData.has(threshold)) {
+		vsop87c_truncatedData.set(threshold, truncateVSOP87(vsop87c_data, threshold));
+	}
+	return vsop87c_truncatedData.get(threshold);
+}
+
 /**
  * Load data for calculating planet/sun position using VSOP87
- * @param {boolean} synchronous
+ * @example
+ * loadVSOP87_data(true) -> read vsop87c.json next to this module synchronously (Node.js only)
+ * await loadVSOP87_data() -> the same, but asynchronously
+ * await loadVSOP87_data("./data/vsop87c.json") -> read a file in Node.js, fetch the path in the browser
+ * await loadVSOP87_data("https://example.com/vsop87c.json") -> fetch an URL
+ * loadVSOP87_data(arrayBuffer, true) -> decode the JSON from an ArrayBuffer or typed array
+ * loadVSOP87_data(object, true) -> use an object as written by scripts/build-vsop87.js
+ * @param {boolean | string | URL | ArrayBuffer | ArrayBufferView | object} source Where to take the data from.
+ * A boolean is interpreted as the parameter synchronous, using vsop87c.json next to this module.
+ * @param {boolean} synchronous Not supported for URLs
  * @returns {undefined | Promise<undefined>}
  */
-function loadVSOP87_data(synchronous = false) {
+function loadVSOP87_data(source = undefined, synchronous = false) {
+	if (typeof source === "boolean") {
+		synchronous = source;
+		source = undefined;
+	}
+
+	if (source != undefined && typeof source === "object" && !isResourceLocation(source)) {
+		setVSOP87_data(source);
+		return synchronous ? undefined : Promise.resolve();
+	}
+
 	if (synchronous) {
-		vsop87c_data = JSON.parse(fs.readFileSync(require.resolve("./vsop87c.json"), "utf8"));
+		setVSOP87_data(JSON.parse(readResource(source, true, vsop87c_defaultFile)));
 		return;
 	}
+	return new Promise(resolve => resolve(readResource(source, false, vsop87c_defaultFile)))
+		.then(data => setVSOP87_data(JSON.parse(data)));
+}
+
+
+
+/** Stars and deep-sky objects of the catalog together with the tables to look them up by name or designation */
+let catalog_data;
+
+/** Name of the catalog that comes with the package, located next to this module and built by `npm run build:catalog` before packing */
+const catalog_defaultFile = "catalog.json";
+
+/**
+ * The letters of the greek alphabet as used in Bayer designations: abbreviation, IAU abbreviation, name and symbol
+ */
+const greekLetters = [
+	["alp", "alf", "alpha", "α"], ["bet", "bet", "beta", "β"], ["gam", "gam", "gamma", "γ"],
+	["del", "del", "delta", "δ"], ["eps", "eps", "epsilon", "ε"], ["zet", "zet", "zeta", "ζ"],
+	["eta", "eta", "eta", "η"], ["the", "tet", "theta", "θ"], ["iot", "iot", "iota", "ι"],
+	["kap", "kap", "kappa", "κ"], ["lam", "lam", "lambda", "λ"], ["mu", "mu", "mu", "μ"],
+	["nu", "nu", "nu", "ν"], ["xi", "ksi", "xi", "ξ"], ["omi", "omi", "omicron", "ο"],
+	["pi", "pi", "pi", "π"], ["rho", "rho", "rho", "ρ"], ["sig", "sig", "sigma", "σ"],
+	["tau", "tau", "tau", "τ"], ["ups", "ups", "upsilon", "υ"], ["phi", "phi", "phi", "φ"],
+	["chi", "chi", "chi", "χ"], ["psi", "psi", "psi", "ψ"], ["ome", "ome", "omega", "ω"]
+];
+
+/**
+ * The 88 constellations of the IAU by abbreviation, each with its name and the genitive used in designations of stars
+ */
+const constellations = {
+	And: ["Andromeda", "Andromedae"], Ant: ["Antlia", "Antliae"], Aps: ["Apus", "Apodis"], Aqr: ["Aquarius", "Aquarii"],
+	Aql: ["Aquila", "Aquilae"], Ara: ["Ara", "Arae"], Ari: ["Aries", "Arietis"], Aur: ["Auriga", "Aurigae"],
+	Boo: ["Boötes", "Boötis"], Cae: ["Caelum", "Caeli"], Cam: ["Camelopardalis", "Camelopardalis"],
+	Cnc: ["Cancer", "Cancri"], CVn: ["Canes Venatici", "Canum Venaticorum"], CMa: ["Canis Major", "Canis Majoris"],
+	CMi: ["Canis Minor", "Canis Minoris"], Cap: ["Capricornus", "Capricorni"], Car: ["Carina", "Carinae"],
+	Cas: ["Cassiopeia", "Cassiopeiae"], Cen: ["Centaurus", "Centauri"], Cep: ["Cepheus", "Cephei"], Cet: ["Cetus", "Ceti"],
+	Cha: ["Chamaeleon", "Chamaeleontis"], Cir: ["Circinus", "Circini"], Col: ["Columba", "Columbae"],
+	Com: ["Coma Berenices", "Comae Berenices"], CrA: ["Corona Australis", "Coronae Australis"],
+	CrB: ["Corona Borealis", "Coronae Borealis"], Crv: ["Corvus", "Corvi"], Crt: ["Crater", "Crateris"],
+	Cru: ["Crux", "Crucis"], Cyg: ["Cygnus", "Cygni"], Del: ["Delphinus", "Delphini"], Dor: ["Dorado", "Doradus"],
+	Dra: ["Draco", "Draconis"], Equ: ["Equuleus", "Equulei"], Eri: ["Eridanus", "Eridani"], For: ["Fornax", "Fornacis"],
+	Gem: ["Gemini", "Geminorum"], Gru: ["Grus", "Gruis"], Her: ["Hercules", "Herculis"], Hor: ["Horologium", "Horologii"],
+	Hya: ["Hydra", "Hydrae"], Hyi: ["Hydrus", "Hydri"], Ind: ["Indus", "Indi"], Lac: ["Lacerta", "Lacertae"],
+	Leo: ["Leo", "Leonis"], LMi: ["Leo Minor", "Leonis Minoris"], Lep: ["Lepus", "Leporis"], Lib: ["Libra", "Librae"],
+	Lup: ["Lupus", "Lupi"], Lyn: ["Lynx", "Lyncis"], Lyr: ["Lyra", "Lyrae"], Men: ["Mensa", "Mensae"],
+	Mic: ["Microscopium", "Microscopii"], Mon: ["Monoceros", "Monocerotis"], Mus: ["Musca", "Muscae"],
+	Nor: ["Norma", "Normae"], Oct: ["Octans", "Octantis"], Oph: ["Ophiuchus", "Ophiuchi"], Ori: ["Orion", "Orionis"],
+	Pav: ["Pavo", "Pavonis"], Peg: ["Pegasus", "Pegasi"], Per: ["Perseus", "Persei"], Phe: ["Phoenix", "Phoenicis"],
+	Pic: ["Pictor", "Pictoris"], Psc: ["Pisces", "Piscium"], PsA: ["Piscis Austrinus", "Piscis Austrini"],
+	Pup: ["Puppis", "Puppis"], Pyx: ["Pyxis", "Pyxidis"], Ret: ["Reticulum", "Reticuli"], Sge: ["Sagitta", "Sagittae"],
+	Sgr: ["Sagittarius", "Sagittarii"], Sco: ["Scorpius", "Scorpii"], Scl: ["Sculptor", "Sculptoris"],
+	Sct: ["Scutum", "Scuti"], Ser: ["Serpens", "Serpentis"], Sex: ["Sextans", "Sextantis"], Tau: ["Taurus", "Tauri"],
+	Tel: ["Telescopium", "Telescopii"], Tri: ["Triangulum", "Trianguli"],
+	TrA: ["Triangulum Australe", "Trianguli Australis"], Tuc: ["Tucana", "Tucanae"], UMa: ["Ursa Major", "Ursae Majoris"],
+	UMi: ["Ursa Minor", "Ursae Minoris"], Vel: ["Vela", "Velorum"], Vir: ["Virgo", "Virginis"],
+	Vol: ["Volans", "Volantis"], Vul: ["Vulpecula", "Vulpeculae"]
+};
+
+/** Abbreviations of the constellations by their normalized abbreviation, name and genitive */
+const constellationAliases = new Map(Object.entries(constellations)
+	.flatMap(([abbreviation, names]) => [abbreviation, ...names].map(alias => [normalizeCatalogName(alias), abbreviation])));
+
+/**
+ * Reduce a name or designation to lower case letters, digits and single spaces, e.g. "α¹ Lib" to "α1 lib"
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeCatalogName(name) {
+	return name.normalize("NFKD").replace(/[\u0300-\u036f]/g, "").toLowerCase().replace(/[\s\-_.,']+/g, " ").trim();
+}
+
+/**
+ * Find a letter of the greek alphabet by its abbreviation, IAU abbreviation, name or symbol
+ * @param {string} letter
+ * @returns {string[] | undefined} Row of greekLetters
+ */
+function findGreekLetter(letter) {
+	return greekLetters.find(row => row.includes(letter.toLowerCase()));
+}
+
+/**
+ * Get the key of a Bayer designation like "α¹ Lib", "alpha1 Librae" or "alf1 Lib" or a Flamsteed designation like "3 Lyr"
+ * in the lookup table of the catalog
+ * @param {string} designation
+ * @returns {string | null} null if the text isn't a Bayer or Flamsteed designation
+ */
+function parseStellarDesignation(designation) {
+	const match = normalizeCatalogName(designation).match(/^(\d+|[a-zα-ω]+?) ?(\d*) (.+)$/);
+	const constellation = constellationAliases.get(match?.[3]);
+	if (constellation == undefined) return null;
+	if (/^\d+$/.test(match[1])) {
+		return match[2] === "" ? `${match[1]} ${constellation}` : null;
+	}
+	const letter = findGreekLetter(match[1]);
+	return letter == undefined ? null : `${letter[0]}${match[2]} ${constellation}`;
+}
+
+/**
+ * Normalize the designation of a deep-sky object, e.g. "M 31" to "m31" or "NGC 0224" to "ngc224"
+ * @param {string} designation
+ * @returns {string}
+ */
+function normalizeDeepSkyObjectDesignation(designation) {
+	return normalizeCatalogName(designation).replace(/^([a-z]+) ?0*(?=\d)/, "$1").replace(/ /g, "");
+}
+
+/**
+ * Create a star from an entry of the catalog
+ * @param {object} entry As written by scripts/build-catalog.js
+ * @returns {Star}
+ */
+function createCatalogStar(entry) {
+	const designations = [];
+	const letter = entry.bayer == undefined ? undefined : findGreekLetter(entry.bayer);
+	if (letter != undefined) {
+		const component = String(entry.component ?? "").replace(/\d/g, digit => "⁰¹²³⁴⁵⁶⁷⁸⁹"[digit]);
+		designations.push(`${letter[3]}${component} ${entry.constellation}`);
+	}
+	if (entry.flamsteed != undefined) designations.push(`${entry.flamsteed} ${entry.constellation}`);
+	for (const catalog of ["HR", "HD", "HIP"]) {
+		if (entry[catalog.toLowerCase()] != undefined) designations.push(`${catalog} ${entry[catalog.toLowerCase()]}`);
+	}
 
-	let promiseResolve, promiseReject;
-	const promise = new Promise((resolve, reject) => {
-		promiseResolve = resolve;
-		promiseReject = reject;
+	return new Star(entry.rightAscension, entry.declination, Equinox.J2000, entry, {
+		name: entry.name ?? null,
+		designations: designations,
+		magnitude: entry.magnitude ?? null,
+		colorIndex: entry.colorIndex ?? null
 	});
-	fs.readFile("./vsop87c.json", "utf8", (err, data) => {
-		if (err) {
-			promiseReject();
-			throw Error("Error when loading VSOP87 data");
+}
+
+/**
+ * Get the keys under which a star of the catalog can be found by Star.byId()
+ * @param {object} entry As written by scripts/build-catalog.js
+ * @returns {string[]}
+ */
+function getCatalogStarKeys(entry) {
+	const keys = ["hip", "hr", "hd"].filter(catalog => entry[catalog] != undefined).map(catalog => `${catalog} ${entry[catalog]}`);
+	const letter = entry.bayer == undefined ? undefined : findGreekLetter(entry.bayer);
+	if (letter != undefined) {
+		keys.push(`${letter[0]}${entry.component ?? ""} ${entry.constellation}`);
+		// Without a component, "α Cen" means the brightest of α¹ and α² Cen
+		if (entry.component != undefined) keys.push(`${letter[0]} ${entry.constellation}`);
+	}
+	if (entry.flamsteed != undefined) keys.push(`${entry.flamsteed} ${entry.constellation}`);
+	return keys;
+}
+
+/**
+ * Add a value to a lookup table, unless the key is already taken by a brighter object
+ * @param {Map} table
+ * @param {string} key
+ * @param {any} value
+ */
+function addToLookupTable(table, key, value) {
+	if (!table.has(key)) table.set(key, value);
+}
+
+/**
+ * Use already available catalog data for looking up stars and deep-sky objects
+ * @param {object} data Object with the arrays stars and deepSkyObjects, as written by scripts/build-catalog.js
+ */
+function setCatalog_data(data) {
+	if (data == undefined || typeof data !== "object" || !Array.isArray(data.stars) || !Array.isArray(data.deepSkyObjects)) {
+		throw Error("Invalid catalog data: Expected an object with the arrays stars and deepSkyObjects");
+	}
+
+	// Sort by brightness, so ambiguous names refer to the brightest object and queries return the brightest objects first
+	const byMagnitude = (a, b) => (a.magnitude ?? Infinity) - (b.magnitude ?? Infinity);
+	const starEntries = [...data.stars].sort(byMagnitude);
+	const deepSkyObjectEntries = [...data.deepSkyObjects].sort(byMagnitude);
+
+	const res = {
+		stars: [],
+		starsByName: new Map(),
+		starsById: new Map(),
+		deepSkyObjects: [],
+		deepSkyObjectsByName: new Map(),
+		deepSkyObjectsById: new Map()
+	};
+	for (const entry of starEntries) {
+		const star = createCatalogStar(entry);
+		res.stars.push(star);
+		if (star.name != null) addToLookupTable(res.starsByName, normalizeCatalogName(star.name), star);
+		for (const key of getCatalogStarKeys(entry)) addToLookupTable(res.starsById, key, star);
+	}
+	for (const entry of deepSkyObjectEntries) {
+		const deepSkyObject = new DeepSkyObject(entry.rightAscension, entry.declination, Equinox.J2000, entry);
+		res.deepSkyObjects.push(deepSkyObject);
+		for (const name of deepSkyObject.names) {
+			addToLookupTable(res.deepSkyObjectsByName, normalizeCatalogName(name), deepSkyObject);
+		}
+		for (const designation of deepSkyObject.designations) {
+			addToLookupTable(res.deepSkyObjectsById, normalizeDeepSkyObjectDesignation(designation), deepSkyObject);
+		}
+	}
+	catalog_data = res;
+}
+
+/**
+ * Get the loaded catalog data
+ * @returns {object}
+ */
+function getCatalog_data() {
+	if (catalog_data == undefined) {
+		throw Error("Trying to access undefined variable catalog_data: Call loadCatalog_data() before looking up stars or deep-sky objects");
+	}
+	return catalog_data;
+}
+
+/**
+ * Load the catalog of bright stars and deep-sky objects, by default the one that comes with the package
+ * @example
+ * loadCatalog_data(true) -> read catalog.json next to this module synchronously (Node.js only)
+ * await loadCatalog_data() -> the same, but asynchronously
+ * await loadCatalog_data("https://example.com/catalog.json") -> fetch an URL
+ * loadCatalog_data(object, true) -> use an object as written by scripts/build-catalog.js
+ * @param {boolean | string | URL | ArrayBuffer | ArrayBufferView | object} source Where to take the data from, like in loadVSOP87_data().
+ * A boolean is interpreted as the parameter synchronous, using catalog.json next to this module.
+ * @param {boolean} synchronous Not supported for URLs
+ * @returns {undefined | Promise<undefined>}
+ */
+function loadCatalog_data(source = undefined, synchronous = false) {
+	if (typeof source === "boolean") {
+		synchronous = source;
+		source = undefined;
+	}
+
+	if (source != undefined && typeof source === "object" && !isResourceLocation(source)) {
+		setCatalog_data(source);
+		return synchronous ? undefined : Promise.resolve();
+	}
+
+	if (synchronous) {
+		setCatalog_data(JSON.parse(readResource(source, true, catalog_defaultFile)));
+		return;
+	}
+	return new Promise(resolve => resolve(readResource(source, false, catalog_defaultFile)))
+		.then(data => setCatalog_data(JSON.parse(data)));
+}
+
+/**
+ * An object of the catalog together with its position in the sky
+ * @typedef {object} VisibleObject
+ * @property {Star | DeepSkyObject} object
+ * @property {Azimuthal} azimuthal
+ */
+
+/**
+ * Find the objects of the catalog that are above a certain height and at least as bright as a certain magnitude
+ * @param {(Star | DeepSkyObject)[]} objects Objects of the catalog, sorted by magnitude and referred to the equinox J2000
+ * @param {number} geoLatitude Geographic latitude of the observer
+ * @param {number} geoLongitude Geographic longitude of the observer
+ * @param {Date} dateTime
+ * @param {number} magnitudeLimit Faintest magnitude to include, objects of unknown magnitude are only included with Infinity
+ * @param {number} minimumHeight
+ * @param {Atmosphere | null} atmosphere Conditions used to add the refraction to the height, null for the geometric height
+ * @returns {VisibleObject[]} Brightest objects first
+ */
+function findCatalogObjectsAboveHorizon(objects, geoLatitude, geoLongitude, dateTime, magnitudeLimit, minimumHeight, atmosphere) {
+	// Precession, nutation and sidereal time are the same for all objects
+	const julianDay = JulianDay.fromDate(dateTime, TimeScale.tt);
+	const matrix = multiplyMatrices(Nutation.calculateMatrix(julianDay), Precession.calculateMatrix(Equinox.J2000, julianDay));
+	const localSiderealTime = SiderealTime.calculateApparent(geoLongitude, dateTime).toDegrees();
+
+	let res = [];
+	for (const object of objects) {
+		if (!((object.magnitude ?? Infinity) <= magnitudeLimit)) break;
+
+		const position = object instanceof Star ? object.propagate(dateTime) : object;
+		const equatorial = vectorToSpherical(multiplyMatrixVector(matrix, sphericalToVector(position.rightAscension, position.declination)));
+		const hourAngle = localSiderealTime - equatorial.longitude;
+		let height = asindeg(
+			sindeg(geoLatitude) * sindeg(equatorial.latitude)
+			+ cosdeg(geoLatitude) * cosdeg(equatorial.latitude) * cosdeg(hourAngle)
+		);
+		if (atmosphere != null) {
+			height = Refraction.toApparentHeight(height, atmosphere);
+		}
+		if (height < minimumHeight) continue;
+
+		const azimuthFromSouth = normalizeDegrees(atan2deg(
+			sindeg(hourAngle),
+			sindeg(geoLatitude) * cosdeg(hourAngle) - cosdeg(geoLatitude) * tandeg(equatorial.latitude)
+		));
+		res.push({
+			object: object,
+			azimuthal: new Azimuthal(Azimuthal.toggleAzimuthReferencePoint(azimuthFromSouth), height, dateTime, atmosphere)
+		});
+	}
+	return res;
+}
+
+
+
+/**
+ * Check whether the code is running in Node.js (as opposed to a browser)
+ * @returns {boolean}
+ */
+function isNodeJS() {
+	return typeof process !== "undefined" && process.versions?.node != undefined;
+}
+
+/**
+ * Check whether a value points to data (path, URL or binary data) instead of being the data itself
+ * @param {any} source
+ * @returns {boolean}
+ */
+function isResourceLocation(source) {
+	return typeof source === "string" || source instanceof URL
+		|| source instanceof ArrayBuffer || ArrayBuffer.isView(source);
+}
+
+/**
+ * Copy the bytes of a typed array or buffer to a new ArrayBuffer
+ * @param {ArrayBuffer | ArrayBufferView} data
+ * @returns {ArrayBuffer}
+ */
+function toArrayBuffer(data) {
+	if (data instanceof ArrayBuffer) return data;
+	return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+}
+
+/**
+ * Decode UTF-8 encoded binary data to a string
+ * @param {ArrayBuffer | ArrayBufferView} data
+ * @returns {string}
+ */
+function decodeUTF8(data) {
+	return new TextDecoder("utf-8").decode(data);
+}
+
+/**
+ * Read a resource from a file (Node.js only), an URL or already loaded binary data.
+ * Node.js modules are required only here, so bundlers can replace them (see "browser" in package.json).
+ * @param {string | URL | ArrayBuffer | ArrayBufferView | undefined} source Path, URL or data, defaults to defaultFile
+ * @param {boolean} synchronous Not supported for URLs
+ * @param {string} defaultFile Name of the file next to this module to use if source is undefined
+ * @param {boolean} binary Whether to return an ArrayBuffer instead of a string
+ * @returns {string | ArrayBuffer | Promise<string | ArrayBuffer>}
+ */
+function readResource(source, synchronous, defaultFile, binary = false) {
+	if (source instanceof ArrayBuffer || ArrayBuffer.isView(source)) {
+		const data = binary ? toArrayBuffer(source) : decodeUTF8(source);
+		return synchronous ? data : Promise.resolve(data);
+	}
+
+	const url = source instanceof URL ? source
+		: /^[a-z][a-z\d+\-.]+:\/\//i.test(source ?? "") ? new URL(source) : undefined;
+
+	if (!isNodeJS() || (url != undefined && url.protocol !== "file:")) {
+		if (source == undefined) {
+			throw Error(`Can't read "${defaultFile}": Reading files is only possible in Node.js, pass an URL or the data instead`);
 		}
-		vsop87c_data = JSON.parse(data);
-		promiseResolve();
+		if (synchronous) {
+			throw Error(`Can't fetch "${source}" synchronously: Use the asynchronous variant or pass the data instead`);
+		}
+		return fetch(source).then(response => {
+			if (!response.ok) {
+				throw Error(`Error when fetching "${source}": Server responded with status ${response.status}`);
+			}
+			return binary ? response.arrayBuffer() : response.text();
+		});
+	}
+
+	const fs = require("fs");
+	const file = source == undefined ? require("path").join(__dirname, defaultFile)
+		: url != undefined ? require("url").fileURLToPath(url) : source;
+
+	if (synchronous) {
+		return binary ? toArrayBuffer(fs.readFileSync(file)) : fs.readFileSync(file, "utf8");
+	}
+	return new Promise((resolve, reject) => {
+		fs.readFile(file, binary ? null : "utf8", (err, data) => {
+			if (err) {
+				reject(Error(`Error when reading "${file}": ${err.message}`));
+				return;
+			}
+			resolve(binary ? toArrayBuffer(data) : data);
+		});
 	});
-	return promise;
 }
 
 
@@ -142,6 +839,41 @@ function acosdeg(value) {
 function atandeg(value) {
 	return Math.atan(value) / Math.PI * 180;
 }
+/**
+ * Calculate arctan of y / x with degrees as output, using the signs of both values to find the right quadrant
+ * @param {number} y
+ * @param {number} x
+ * @returns {number} angle between -180° and 180°
+ */
+function atan2deg(y, x) {
+	return Math.atan2(y, x) / Math.PI * 180;
+}
+
+/**
+ * Reduce an angle to the range from 0° (inclusive) to 360° (exclusive)
+ * @param {number} degrees angle in degrees
+ * @returns {number}
+ */
+function normalizeDegrees(degrees) {
+	const res = degrees % 360;
+	return res < 0 ? res + 360 : res;
+}
+
+/**
+ * Calculate the angle between two vectors
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number} angle in degrees
+ */
+function angleBetweenVectors(a, b) {
+	const cross = [
+		a[1] * b[2] - a[2] * b[1],
+		a[2] * b[0] - a[0] * b[2],
+		a[0] * b[1] - a[1] * b[0]
+	];
+	const dot = a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+	return atan2deg(Math.sqrt(cross[0]**2 + cross[1]**2 + cross[2]**2), dot);
+}
 
 /**
  * Calculate sum of the values in an array
@@ -297,6 +1029,20 @@ class JulianDay {
 		return Math.floor(365.25 * (y + 4716)) + Math.floor(30.6001 * (m + 1)) + d + b - 1524.5;
 	}
 
+	/**
+	 * Calculation of the Julian Day for the UTC date and time of a Date object
+	 * @param {Date} dateTime
+	 * @param {string} scale Time scale of the Julian Day, see TimeScale
+	 * @returns {number}
+	 */
+	static fromDate(dateTime, scale = TimeScale.utc) {
+		if (scale !== TimeScale.utc) {
+			return Time.fromDate(dateTime).toScale(scale).toJulianDay();
+		}
+		// The unix epoch 1st Jan 1970 0h is Julian Day 2440587.5
+		return dateTime.getTime() / 86400000 + 2440587.5;
+	}
+
 	/**
 	 * Calculate time since 1st Jan 2000 12h in Julian centuries
 	 * @param {number} julianDay
@@ -315,32 +1061,676 @@ class JulianDay {
 }
 
 /**
- * If you want to learn more about the sidereal time, visit:
- * @link https://en.wikipedia.org/wiki/Sidereal_time
+ * Dates from which TAI - UTC changed. Each row contains year and month, TAI - UTC in seconds and,
+ * for the years before 1972 when UTC seconds were scaled, the reference MJD and the drift in seconds per day.
+ * @link https://hpiers.obspm.fr/eop-pc/earthor/utc/TAI-UTC_tab.html
  */
-class SiderealTime {
+const leapSeconds = [
+	[1960, 1, 1.4178180, 37300, 0.0012960],		[1961, 1, 1.4228180, 37300, 0.0012960],		[1961, 8, 1.3728180, 37300, 0.0012960],
+	[1962, 1, 1.8458580, 37665, 0.0011232],		[1963, 11, 1.9458580, 37665, 0.0011232],	[1964, 1, 3.2401300, 38761, 0.0012960],
+	[1964, 4, 3.3401300, 38761, 0.0012960],		[1964, 9, 3.4401300, 38761, 0.0012960],		[1965, 1, 3.5401300, 38761, 0.0012960],
+	[1965, 3, 3.6401300, 38761, 0.0012960],		[1965, 7, 3.7401300, 38761, 0.0012960],		[1965, 9, 3.8401300, 38761, 0.0012960],
+	[1966, 1, 4.3131700, 39126, 0.0025920],		[1968, 2, 4.2131700, 39126, 0.0025920],
+	[1972, 1, 10],	[1972, 7, 11],	[1973, 1, 12],	[1974, 1, 13],	[1975, 1, 14],	[1976, 1, 15],	[1977, 1, 16],
+	[1978, 1, 17],	[1979, 1, 18],	[1980, 1, 19],	[1981, 7, 20],	[1982, 7, 21],	[1983, 7, 22],	[1985, 7, 23],
+	[1988, 1, 24],	[1990, 1, 25],	[1991, 1, 26],	[1992, 7, 27],	[1993, 7, 28],	[1994, 7, 29],	[1996, 1, 30],
+	[1997, 7, 31],	[1999, 1, 32],	[2006, 1, 33],	[2009, 1, 34],	[2012, 7, 35],	[2015, 7, 36],	[2017, 1, 37]
+].map(([year, month, seconds, referenceMJD = 0, drift = 0]) =>
+	({ julianDay: JulianDay.calculate(year, month, 1), seconds, referenceMJD, drift }));
+
+/**
+ * A point in time in one of the time scales. The Julian Day is kept as the sum of two numbers,
+ * a whole day and a fraction, to keep a precision of microseconds.
+ * @link https://en.wikipedia.org/wiki/Julian_day
+ */
+class Time {
 	/**
-	 * Calculate the sidereal time for a certain geographical longitude and time
-	 * @param {number} geoLongitude Geographic longitude of the observer
-	 * @param {Date} dateTime
-	 * @returns {HourAngle}
+	 * Until this Julian Day (1st Jan 2030), the leap second table is used to derive ΔT, assuming that UT1 - UTC is Time.ut1MinusUTC.
+	 * Afterwards, ΔT is extrapolated.
+	 */
+	static leapSecondEraEnd = 2462502.5;
+
+	/** UT1 - UTC in seconds as published by the IERS in Bulletin A, always below 0.9 s. Only used from 1972 on. */
+	static ut1MinusUTC = 0;
+
+	/** Whole part of the Julian Day */
+	day;
+
+	/** Fraction of the Julian Day between -0.5 and 0.5 */
+	fraction;
+
+	/** Time scale, see TimeScale */
+	scale;
+
+	/**
+	 * @param {number} day Julian Day or its whole part
+	 * @param {number} fraction Rest of the Julian Day
+	 * @param {string} scale Time scale, see TimeScale
+	 */
+	constructor(day, fraction = 0, scale = TimeScale.utc) {
+		const wholeDay = Math.round(day);
+		const sum = day - wholeDay + fraction;
+		this.day = wholeDay + Math.round(sum);
+		this.fraction = sum - Math.round(sum);
+		this.scale = scale;
+	}
+
+	/**
+	 * Create a time in UTC from a Date object
+	 * @param {Date} dateTime
+	 * @returns {Time}
+	 */
+	static fromDate(dateTime) {
+		// The unix epoch 1st Jan 1970 0h is Julian Day 2440587.5
+		const msPerDay = 86400000;
+		const days = Math.floor(dateTime.getTime() / msPerDay);
+		return new Time(days + 2440587.5, (dateTime.getTime() - days * msPerDay) / msPerDay, TimeScale.utc);
+	}
+
+	/**
+	 * Convert to a Date object, which is in UTC
+	 * @returns {Date}
+	 */
+	toDate() {
+		const utc = this.toScale(TimeScale.utc);
+		return new Date(Math.round(((utc.day - 2440587.5) + utc.fraction) * 86400000));
+	}
+
+	/**
+	 * @returns {number} The Julian Day as a single number
+	 */
+	toJulianDay() {
+		return this.day + this.fraction;
+	}
+
+	/**
+	 * Add a number of seconds
+	 * @param {number} seconds
+	 * @param {string} scale Time scale of the result, see TimeScale
+	 * @returns {Time}
+	 */
+	addSeconds(seconds, scale = this.scale) {
+		return new Time(this.day, this.fraction + seconds / 86400, scale);
+	}
+
+	/**
+	 * Convert to another time scale
+	 * @param {string} scale Time scale, see TimeScale
+	 * @returns {Time}
+	 */
+	toScale(scale) {
+		if (scale === this.scale) return this;
+		const tt = this.toTT();
+		switch (scale) {
+			case TimeScale.tt:
+				return tt;
+			case TimeScale.tai:
+				return tt.addSeconds(-32.184, TimeScale.tai);
+			case TimeScale.tdb:
+				return tt.addSeconds(Time.calculateTDBMinusTT(tt.toJulianDay()), TimeScale.tdb);
+			case TimeScale.utc:
+			case TimeScale.ut1: {
+				// The differences to TT depend on the result itself, but change slowly enough to converge immediately
+				let result = tt.addSeconds(-Time.calculateTTMinus(scale, tt.toJulianDay()), scale);
+				for (let i = 0; i < 2; i++) {
+					result = tt.addSeconds(-Time.calculateTTMinus(scale, result.toJulianDay()), scale);
+				}
+				return result;
+			}
+			default:
+				throw Error("Unknown time scale: " + scale);
+		}
+	}
+
+	/** @returns {Time} */
+	toUTC() {
+		return this.toScale(TimeScale.utc);
+	}
+
+	/** @returns {Time} */
+	toTAI() {
+		return this.toScale(TimeScale.tai);
+	}
+
+	/** @returns {Time} */
+	toTT() {
+		switch (this.scale) {
+			case TimeScale.tt:
+				return this;
+			case TimeScale.tai:
+				return this.addSeconds(32.184, TimeScale.tt);
+			case TimeScale.tdb:
+				return this.addSeconds(-Time.calculateTDBMinusTT(this.toJulianDay()), TimeScale.tt);
+			case TimeScale.utc:
+			case TimeScale.ut1:
+				return this.addSeconds(Time.calculateTTMinus(this.scale, this.toJulianDay()), TimeScale.tt);
+			default:
+				throw Error("Unknown time scale: " + this.scale);
+		}
+	}
+
+	/** @returns {Time} */
+	toTDB() {
+		return this.toScale(TimeScale.tdb);
+	}
+
+	/** @returns {Time} */
+	toUT1() {
+		return this.toScale(TimeScale.ut1);
+	}
+
+	/**
+	 * Calculate TT - UTC or TT - UT1 (= ΔT)
+	 * @param {string} scale TimeScale.utc or TimeScale.ut1
+	 * @param {number} julianDay Julian Day in that time scale
+	 * @returns {number} Difference in seconds
+	 */
+	static calculateTTMinus(scale, julianDay) {
+		if (scale === TimeScale.ut1) {
+			return this.calculateDeltaT(julianDay);
+		}
+		// Before 1960, UTC is taken as UT1
+		if (julianDay < leapSeconds[0].julianDay) {
+			return this.calculateDeltaT(julianDay);
+		}
+		return this.calculateTAIMinusUTC(julianDay) + 32.184;
+	}
+
+	/**
+	 * Calculate TAI - UTC from the leap second table. After the last leap second, it is assumed that there are no further leap seconds.
+	 * @param {number} julianDay Julian Day in UTC from 1960 on
+	 * @returns {number} Difference in seconds
+	 */
+	static calculateTAIMinusUTC(julianDay) {
+		const entry = leapSeconds.findLast(x => x.julianDay <= julianDay);
+		if (entry == null) {
+			throw Error("UTC is not defined before 1960");
+		}
+		return entry.seconds + (julianDay - 2400000.5 - entry.referenceMJD) * entry.drift;
+	}
+
+	/**
+	 * Calculate ΔT = TT - UT1. During the leap second era, it's derived from TAI - UTC and Time.ut1MinusUTC.
+	 * Before, the polynomials of Espenak and Meeus are used. Afterwards, ΔT continues from the end of the leap second era
+	 * with the rate of 0 since the last leap second and increases with the curvature of the long-term parabola of Morrison
+	 * and Stephenson (32 s per century squared), reaching about 85 s in 2100 and 160 s in 2200.
+	 * The rotation of the earth can't be predicted well, so this is uncertain by some seconds after a decade
+	 * and by about a minute in 2100.
+	 * @link https://eclipse.gsfc.nasa.gov/SEhelp/deltatpoly2004.html
+	 * @param {number} julianDay Julian Day in UT1 (or any other time scale, since ΔT changes slowly)
+	 * @returns {number} ΔT in seconds
+	 */
+	static calculateDeltaT(julianDay) {
+		const leapSecondEraStart = leapSeconds.find(x => x.drift === 0).julianDay;
+		if (julianDay >= leapSecondEraStart && julianDay < this.leapSecondEraEnd) {
+			return 32.184 + this.calculateTAIMinusUTC(julianDay) - this.ut1MinusUTC;
+		}
+
+		const calculateYear = julianDay => 2000 + (julianDay - 2451544.5) / 365.25;
+		const calculateLongTerm = year => -20 + 32 * ((year - 1820) / 100)**2;
+		const y = calculateYear(julianDay);
+		if (julianDay >= this.leapSecondEraEnd) {
+			return 32.184 + this.calculateTAIMinusUTC(this.leapSecondEraEnd) - this.ut1MinusUTC
+				+ 32 * ((y - calculateYear(this.leapSecondEraEnd)) / 100)**2;
+		}
+
+		let u, t;
+		if (y < -500) {
+			return calculateLongTerm(y);
+		} else if (y < 500) {
+			u = y / 100;
+			return 10583.6 - 1014.41 * u + 33.78311 * u**2 - 5.952053 * u**3 - 0.1798452 * u**4 + 0.022174192 * u**5 + 0.0090316521 * u**6;
+		} else if (y < 1600) {
+			u = (y - 1000) / 100;
+			return 1574.2 - 556.01 * u + 71.23472 * u**2 + 0.319781 * u**3 - 0.8503463 * u**4 - 0.005050998 * u**5 + 0.0083572073 * u**6;
+		} else if (y < 1700) {
+			t = y - 1600;
+			return 120 - 0.9808 * t - 0.01532 * t**2 + t**3 / 7129;
+		} else if (y < 1800) {
+			t = y - 1700;
+			return 8.83 + 0.1603 * t - 0.0059285 * t**2 + 0.00013336 * t**3 - t**4 / 1174000;
+		} else if (y < 1860) {
+			t = y - 1800;
+			return 13.72 - 0.332447 * t + 0.0068612 * t**2 + 0.0041116 * t**3 - 0.00037436 * t**4
+				+ 0.0000121272 * t**5 - 0.0000001699 * t**6 + 0.000000000875 * t**7;
+		} else if (y < 1900) {
+			t = y - 1860;
+			return 7.62 + 0.5737 * t - 0.251754 * t**2 + 0.01680668 * t**3 - 0.0004473624 * t**4 + t**5 / 233174;
+		} else if (y < 1920) {
+			t = y - 1900;
+			return -2.79 + 1.494119 * t - 0.0598939 * t**2 + 0.0061966 * t**3 - 0.000197 * t**4;
+		} else if (y < 1941) {
+			t = y - 1920;
+			return 21.20 + 0.84493 * t - 0.076100 * t**2 + 0.0020936 * t**3;
+		} else if (y < 1961) {
+			t = y - 1950;
+			return 29.07 + 0.407 * t - t**2 / 233 + t**3 / 2547;
+		} else {
+			t = y - 1975;
+			return 45.45 + 1.067 * t - t**2 / 260 - t**3 / 718;
+		}
+	}
+
+	/**
+	 * Calculate TDB - TT, a periodic difference of less than 2 ms, accurate to about 10 µs
+	 * @link https://www.usno.navy.mil/USNO/astronomical-applications/publications/Circular_179.pdf
+	 * @param {number} julianDay Julian Day in TT
+	 * @returns {number} Difference in seconds
+	 */
+	static calculateTDBMinusTT(julianDay) {
+		const T = JulianDay.calculateJulianCenturiesJ2000(julianDay);
+		return 0.001657 * Math.sin(628.3076 * T + 6.2401)
+			+ 0.000022 * Math.sin(575.3385 * T + 4.2970)
+			+ 0.000014 * Math.sin(1256.6152 * T + 6.1969)
+			+ 0.000005 * Math.sin(606.9777 * T + 4.0212)
+			+ 0.000005 * Math.sin(52.9691 * T + 0.4444)
+			+ 0.000002 * Math.sin(21.3299 * T + 5.5431)
+			+ 0.000010 * T * Math.sin(628.3076 * T + 4.2490);
+	}
+}
+
+/**
+ * If you want to learn more about the sidereal time, visit:
+ * @link https://en.wikipedia.org/wiki/Sidereal_time
+ */
+class SiderealTime {
+	/**
+	 * Calculate the Earth Rotation Angle (IAU 2000), the angle between the Celestial and the Terrestrial Intermediate Origin
+	 * @link https://en.wikipedia.org/wiki/Sidereal_time#Earth_rotation_angle
+	 * @param {Date} dateTime
+	 * @returns {number} Angle in degrees between 0° and 360°
+	 */
+	static calculateEarthRotationAngle(dateTime = new Date()) {
+		// The rotation of the earth is measured by UT1. Keep whole days and fraction apart to preserve the precision.
+		const ut1 = Time.fromDate(dateTime).toUT1();
+		const days = (ut1.day - 2451545) + ut1.fraction;
+		return normalizeDegrees(360 * (ut1.fraction + 0.7790572732640 + 0.00273781191135448 * days));
+	}
+
+	/**
+	 * Calculate the Greenwich mean sidereal time, i.e. the hour angle of the mean equinox of date at Greenwich (IAU 2006)
+	 * @param {Date} dateTime
+	 * @returns {number} Angle in degrees between 0° and 360°
+	 */
+	static calculateGreenwichMean(dateTime = new Date()) {
+		const T = JulianDay.calculateJulianCenturiesJ2000(JulianDay.fromDate(dateTime, TimeScale.tt));
+		const precessionInRightAscension = (0.014506 + 4612.156534 * T + 1.3915817 * T**2 - 0.00000044 * T**3
+			- 0.000029956 * T**4 - 0.0000000368 * T**5) / 3600;
+		return normalizeDegrees(this.calculateEarthRotationAngle(dateTime) + precessionInRightAscension);
+	}
+
+	/**
+	 * Calculate the equation of the equinoxes, the difference between apparent and mean sidereal time (IAU 2000B)
+	 * @link https://en.wikipedia.org/wiki/Sidereal_time#Equation_of_the_equinoxes
+	 * @param {Date} dateTime
+	 * @returns {number} Difference in degrees
+	 */
+	static calculateEquationOfEquinoxes(dateTime = new Date()) {
+		const julianDay = JulianDay.fromDate(dateTime, TimeScale.tt);
+		const T = JulianDay.calculateJulianCenturiesJ2000(julianDay);
+		const nutation = Nutation.calculate(julianDay);
+
+		// Main complementary terms depending on the longitude of the moon's ascending node
+		const omega = (450160.398036 - 6962890.5431 * T) / 3600;
+		const complementaryTerms = (0.00264096 * sindeg(omega) + 0.00006352 * sindeg(2 * omega)) / 3600;
+
+		return nutation.longitude * cosdeg(Precession.calculateMeanObliquity(julianDay)) + complementaryTerms;
+	}
+
+	/**
+	 * Calculate the Greenwich apparent sidereal time, i.e. the hour angle of the true equinox of date at Greenwich
+	 * @param {Date} dateTime
+	 * @returns {number} Angle in degrees between 0° and 360°
+	 */
+	static calculateGreenwichApparent(dateTime = new Date()) {
+		return normalizeDegrees(this.calculateGreenwichMean(dateTime) + this.calculateEquationOfEquinoxes(dateTime));
+	}
+
+	/**
+	 * Calculate the mean sidereal time for a certain geographical longitude and time
+	 * @param {number} geoLongitude Geographic longitude of the observer
+	 * @param {Date} dateTime
+	 * @returns {HourAngle} Sidereal time between 0h and 24h
 	 */
 	static calculate(geoLongitude, dateTime = new Date()) {
-		const year = dateTime.getUTCFullYear();
-		const month = dateTime.getUTCMonth() + 1;
-		const date = dateTime.getUTCDate();
-		const hours = dateTime.getUTCHours();
-		const minutes = dateTime.getUTCMinutes();
-		const seconds = dateTime.getUTCSeconds();
-		const milliseconds = dateTime.getUTCMilliseconds();
+		return HourAngle.fromDegrees(normalizeDegrees(this.calculateGreenwichMean(dateTime) + geoLongitude));
+	}
+
+	/**
+	 * Calculate the apparent sidereal time, i.e. the hour angle of the true equinox of date, for a certain geographical longitude and time
+	 * @param {number} geoLongitude Geographic longitude of the observer
+	 * @param {Date} dateTime
+	 * @returns {HourAngle} Sidereal time between 0h and 24h
+	 */
+	static calculateApparent(geoLongitude, dateTime = new Date()) {
+		return HourAngle.fromDegrees(normalizeDegrees(this.calculateGreenwichApparent(dateTime) + geoLongitude));
+	}
+}
+
+
+
+/**
+ * Multiply two 3x3 matrices
+ * @param {number[][]} a
+ * @param {number[][]} b
+ * @returns {number[][]}
+ */
+function multiplyMatrices(a, b) {
+	return a.map(row => [0, 1, 2].map(j => row[0] * b[0][j] + row[1] * b[1][j] + row[2] * b[2][j]));
+}
+
+/**
+ * Multiply a 3x3 matrix with a vector
+ * @param {number[][]} matrix
+ * @param {number[]} vector
+ * @returns {number[]}
+ */
+function multiplyMatrixVector(matrix, vector) {
+	return matrix.map(row => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]);
+}
+
+/**
+ * Transpose a 3x3 matrix, which inverts it if it's a rotation matrix
+ * @param {number[][]} matrix
+ * @returns {number[][]}
+ */
+function transposeMatrix(matrix) {
+	return [0, 1, 2].map(i => matrix.map(row => row[i]));
+}
+
+/**
+ * Create the matrix rotating the coordinate system (not the vector) around one of its axes
+ * @param {number} axis 0 for the x axis, 1 for the y axis and 2 for the z axis
+ * @param {number} angle Angle in degrees, counterclockwise when looking from the positive axis towards the origin
+ * @returns {number[][]}
+ */
+function rotationMatrix(axis, angle) {
+	const matrix = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+	const i = (axis + 1) % 3;
+	const j = (axis + 2) % 3;
+	matrix[i][i] = cosdeg(angle);
+	matrix[i][j] = sindeg(angle);
+	matrix[j][i] = -sindeg(angle);
+	matrix[j][j] = cosdeg(angle);
+	return matrix;
+}
+
+/**
+ * Convert spherical coordinates to a unit vector
+ * @param {number} longitude Longitude or right ascension in degrees
+ * @param {number} latitude Latitude or declination in degrees
+ * @returns {number[]}
+ */
+function sphericalToVector(longitude, latitude) {
+	return [
+		cosdeg(latitude) * cosdeg(longitude),
+		cosdeg(latitude) * sindeg(longitude),
+		sindeg(latitude)
+	];
+}
+
+/**
+ * Convert a vector to spherical coordinates
+ * @param {number[]} vector
+ * @returns {{longitude: number, latitude: number}} Longitude between 0° and 360° and latitude in degrees
+ */
+function vectorToSpherical(vector) {
+	return {
+		longitude: normalizeDegrees(atan2deg(vector[1], vector[0])),
+		latitude: atan2deg(vector[2], Math.sqrt(vector[0]**2 + vector[1]**2))
+	};
+}
+
+/**
+ * Convert cartesian coordinates to a vector
+ * @param {{x: number, y: number, z: number}} cartesian
+ * @returns {number[]}
+ */
+function cartesianToVector(cartesian) {
+	return [cartesian.x, cartesian.y, cartesian.z];
+}
+
+/**
+ * Precession of the earth's axis according to the IAU 2006 model (P03)
+ * @link https://en.wikipedia.org/wiki/Axial_precession
+ */
+class Precession {
+	/**
+	 * Calculate the mean obliquity of the ecliptic, i.e. the angle between the ecliptic and the mean equator of date
+	 * @param {number} julianDay
+	 * @returns {number} Obliquity in degrees
+	 */
+	static calculateMeanObliquity(julianDay) {
+		const T = JulianDay.calculateJulianCenturiesJ2000(julianDay);
+		return (84381.406 - 46.836769 * T - 0.0001831 * T**2 + 0.0020034 * T**3
+			- 0.000000576 * T**4 - 0.0000000434 * T**5) / 3600;
+	}
+
+	/**
+	 * Calculate the equatorial precession angles ζ, z and θ from the mean equinox of J2000 to the mean equinox of a certain date
+	 * @param {number} julianDay
+	 * @returns {{zeta: number, z: number, theta: number}} Angles in degrees
+	 */
+	static calculateAngles(julianDay) {
+		const T = JulianDay.calculateJulianCenturiesJ2000(julianDay);
+		return {
+			zeta: (2.650545 + 2306.083227 * T + 0.2988499 * T**2 + 0.01801828 * T**3
+				- 0.000005971 * T**4 - 0.0000003173 * T**5) / 3600,
+			z: (-2.650545 + 2306.077181 * T + 1.0927348 * T**2 + 0.01826837 * T**3
+				- 0.000028596 * T**4 - 0.0000002904 * T**5) / 3600,
+			theta: (2004.191903 * T - 0.4294934 * T**2 - 0.04182264 * T**3
+				- 0.000007089 * T**4 - 0.0000001274 * T**5) / 3600
+		};
+	}
+
+	/**
+	 * Calculate the matrix rotating vectors from the mean equator and equinox of one date to the mean equator and equinox of another date
+	 * @param {number} fromJulianDay
+	 * @param {number} toJulianDay
+	 * @returns {number[][]}
+	 */
+	static calculateMatrix(fromJulianDay, toJulianDay) {
+		const calculateMatrixFromJ2000 = julianDay => {
+			const angles = this.calculateAngles(julianDay);
+			return multiplyMatrices(rotationMatrix(2, -angles.z),
+				multiplyMatrices(rotationMatrix(1, angles.theta), rotationMatrix(2, -angles.zeta)));
+		};
+		return multiplyMatrices(calculateMatrixFromJ2000(toJulianDay), transposeMatrix(calculateMatrixFromJ2000(fromJulianDay)));
+	}
+}
+
+/** Elliptic terms of aberration contained in FK4 positions, in radians */
+const fk4EllipticAberration = [-1.62557e-6, -0.31919e-6, -0.13843e-6];
+
+/** Rotation of positions from the FK4 system at B1950 to the FK5 system at J2000 (Standish 1982) */
+const fk4ToFK5Matrix = [
+	[0.9999256782, -0.0111820611, -0.0048579477],
+	[0.0111820610, 0.9999374784, -0.0000271765],
+	[0.0048579479, -0.0000271474, 0.9999881997]
+];
 
-		const JD = JulianDay.calculate(year, month, date);
-		const T = JulianDay.calculateJulianCenturiesJ2000(JD);
-		const siderealTimeGreenwichMidnight = 100.46061837 + 36000.770053608 * T + 0.000387933 * T**2 - (T**3 / 38710000);
-		const siderealTimeGreenwich = siderealTimeGreenwichMidnight + new HourAngle(hours, minutes, seconds + milliseconds / 1000).toDegrees() * 1.00273790935;
-		const siderealTimeLocal = (siderealTimeGreenwich + geoLongitude) % 360;
+/** Change of the FK4 to FK5 rotation per year caused by the different equinox motions, in radians */
+const fk4ToFK5MatrixRate = [
+	[-0.000551, -0.238565, 0.435739],
+	[0.238514, -0.002667, -0.008541],
+	[-0.435623, 0.012254, 0.002117]
+].map(row => row.map(x => x / 3600 / 100 / 180 * Math.PI));
 
-		return HourAngle.fromDegrees(siderealTimeLocal);
+/**
+ * Convert a direction from the FK4 system at the equinox and epoch B1950 to the FK5 system at J2000, removing the elliptic terms
+ * of aberration and assuming that the object doesn't move relative to FK5 (Aoki et al. 1983, as in SLALIB's FK45Z)
+ * @link https://en.wikipedia.org/wiki/FK4
+ * @param {number[]} vector Unit vector
+ * @returns {number[]} Unit vector
+ */
+function convertFK4ToFK5(vector) {
+	const projection = vector.reduce((sum, x, i) => sum + x * fk4EllipticAberration[i], 0);
+	const withoutEllipticAberration = vector.map((x, i) => x - fk4EllipticAberration[i] + projection * x);
+
+	// The fixed FK5 position appears to move in FK4, by this motion between the epochs B1950 and J2000
+	const years = (Equinox.B1950 - Equinox.J2000) / 365.25;
+	const position = multiplyMatrixVector(fk4ToFK5Matrix, withoutEllipticAberration);
+	const motion = multiplyMatrixVector(fk4ToFK5MatrixRate, withoutEllipticAberration);
+	const res = position.map((x, i) => x + motion[i] * years);
+	return res.map(x => x / Math.hypot(...res));
+}
+
+/**
+ * Convert a direction from the FK5 system at J2000 to the FK4 system at the equinox and epoch B1950, the inverse of convertFK4ToFK5
+ * @param {number[]} vector Unit vector
+ * @returns {number[]} Unit vector
+ */
+function convertFK5ToFK4(vector) {
+	// The conversion is almost a rotation, so correct the result by the rotated difference until it converges
+	const inverse = transposeMatrix(fk4ToFK5Matrix);
+	let res = multiplyMatrixVector(inverse, vector);
+	for (let i = 0; i < 3; i++) {
+		const converted = convertFK4ToFK5(res);
+		const correction = multiplyMatrixVector(inverse, vector.map((x, k) => x - converted[k]));
+		res = res.map((x, k) => x + correction[k]);
+	}
+	return res.map(x => x / Math.hypot(...res));
+}
+
+/**
+ * Periodic terms for the nutation according to the IAU 2000B model.
+ * Each row contains the multiples of l, l', F, D and Ω, followed by the coefficients for Δψ (sin, sin·T, cos) and Δε (cos, cos·T, sin) in 0.1 µas.
+ */
+const nutationTerms = [
+	[0, 0, 0, 0, 1, -172064161, -174666, 33386, 92052331, 9086, 15377],
+	[0, 0, 2, -2, 2, -13170906, -1675, -13696, 5730336, -3015, -4587],
+	[0, 0, 2, 0, 2, -2276413, -234, 2796, 978459, -485, 1374],
+	[0, 0, 0, 0, 2, 2074554, 207, -698, -897492, 470, -291],
+	[0, 1, 0, 0, 0, 1475877, -3633, 11817, 73871, -184, -1924],
+	[0, 1, 2, -2, 2, -516821, 1226, -524, 224386, -677, -174],
+	[1, 0, 0, 0, 0, 711159, 73, -872, -6750, 0, 358],
+	[0, 0, 2, 0, 1, -387298, -367, 380, 200728, 18, 318],
+	[1, 0, 2, 0, 2, -301461, -36, 816, 129025, -63, 367],
+	[0, -1, 2, -2, 2, 215829, -494, 111, -95929, 299, 132],
+	[0, 0, 2, -2, 1, 128227, 137, 181, -68982, -9, 39],
+	[-1, 0, 2, 0, 2, 123457, 11, 19, -53311, 32, -4],
+	[-1, 0, 0, 2, 0, 156994, 10, -168, -1235, 0, 82],
+	[1, 0, 0, 0, 1, 63110, 63, 27, -33228, 0, -9],
+	[-1, 0, 0, 0, 1, -57976, -63, -189, 31429, 0, -75],
+	[-1, 0, 2, 2, 2, -59641, -11, 149, 25543, -11, 66],
+	[1, 0, 2, 0, 1, -51613, -42, 129, 26366, 0, 78],
+	[-2, 0, 2, 0, 1, 45893, 50, 31, -24236, -10, 20],
+	[0, 0, 0, 2, 0, 63384, 11, -150, -1220, 0, 29],
+	[0, 0, 2, 2, 2, -38571, -1, 158, 16452, -11, 68],
+	[0, -2, 2, -2, 2, 32481, 0, 0, -13870, 0, 0],
+	[-2, 0, 0, 2, 0, -47722, 0, -18, 477, 0, -25],
+	[2, 0, 2, 0, 2, -31046, -1, 131, 13238, -11, 59],
+	[1, 0, 2, -2, 2, 28593, 0, -1, -12338, 10, -3],
+	[-1, 0, 2, 0, 1, 20441, 21, 10, -10758, 0, -3],
+	[2, 0, 0, 0, 0, 29243, 0, -74, -609, 0, 13],
+	[0, 0, 2, 0, 0, 25887, 0, -66, -550, 0, 11],
+	[0, 1, 0, 0, 1, -14053, -25, 79, 8551, -2, -45],
+	[-1, 0, 0, 2, 1, 15164, 10, 11, -8001, 0, -1],
+	[0, 2, 2, -2, 2, -15794, 72, -16, 6850, -42, -5],
+	[0, 0, -2, 2, 0, 21783, 0, 13, -167, 0, 13],
+	[1, 0, 0, -2, 1, -12873, -10, -37, 6953, 0, -14],
+	[0, -1, 0, 0, 1, -12654, 11, 63, 6415, 0, 26],
+	[-1, 0, 2, 2, 1, -10204, 0, 25, 5222, 0, 15],
+	[0, 2, 0, 0, 0, 16707, -85, -10, 168, -1, 10],
+	[1, 0, 2, 2, 2, -7691, 0, 44, 3268, 0, 19],
+	[-2, 0, 2, 0, 0, -11024, 0, -14, 104, 0, 2],
+	[0, 1, 2, 0, 2, 7566, -21, -11, -3250, 0, -5],
+	[0, 0, 2, 2, 1, -6637, -11, 25, 3353, 0, 14],
+	[0, -1, 2, 0, 2, -7141, 21, 8, 3070, 0, 4],
+	[0, 0, 0, 2, 1, -6302, -11, 2, 3272, 0, 4],
+	[1, 0, 2, -2, 1, 5800, 10, 2, -3045, 0, -1],
+	[2, 0, 2, -2, 2, 6443, 0, -7, -2768, 0, -4],
+	[-2, 0, 0, 2, 1, -5774, -11, -15, 3041, 0, -5],
+	[2, 0, 2, 0, 1, -5350, 0, 21, 2695, 0, 12],
+	[0, -1, 2, -2, 1, -4752, -11, -3, 2719, 0, -3],
+	[0, 0, 0, -2, 1, -4940, -11, -21, 2720, 0, -9],
+	[-1, -1, 0, 2, 0, 7350, 0, -8, -51, 0, 4],
+	[2, 0, 0, -2, 1, 4065, 0, 6, -2206, 0, 1],
+	[1, 0, 0, 2, 0, 6579, 0, -24, -199, 0, 2],
+	[0, 1, 2, -2, 1, 3579, 0, 5, -1900, 0, 1],
+	[1, -1, 0, 0, 0, 4725, 0, -6, -41, 0, 3],
+	[-2, 0, 2, 0, 2, -3075, 0, -2, 1313, 0, -1],
+	[3, 0, 2, 0, 2, -2904, 0, 15, 1233, 0, 7],
+	[0, -1, 0, 2, 0, 4348, 0, -10, -81, 0, 2],
+	[1, -1, 2, 0, 2, -2878, 0, 8, 1232, 0, 4],
+	[0, 0, 0, 1, 0, -4230, 0, 5, -20, 0, -2],
+	[-1, -1, 2, 2, 2, -2819, 0, 7, 1207, 0, 3],
+	[-1, 0, 2, 0, 0, -4056, 0, 5, 40, 0, -2],
+	[0, -1, 2, 2, 2, -2647, 0, 11, 1129, 0, 5],
+	[-2, 0, 0, 0, 1, -2294, 0, -10, 1266, 0, -4],
+	[1, 1, 2, 0, 2, 2481, 0, -7, -1062, 0, -3],
+	[2, 0, 0, 0, 1, 2179, 0, -2, -1129, 0, -2],
+	[-1, 1, 0, 1, 0, 3276, 0, 1, -9, 0, 0],
+	[1, 1, 0, 0, 0, -3389, 0, 5, 35, 0, -2],
+	[1, 0, 2, 0, 0, 3339, 0, -13, -107, 0, 1],
+	[-1, 0, 2, -2, 1, -1987, 0, -6, 1073, 0, -2],
+	[1, 0, 0, 0, 2, -1981, 0, 0, 854, 0, 0],
+	[-1, 0, 0, 1, 0, 4026, 0, -353, -553, 0, -139],
+	[0, 0, 2, 1, 2, 1660, 0, -5, -710, 0, -2],
+	[-1, 0, 2, 4, 2, -1521, 0, 9, 647, 0, 4],
+	[-1, 1, 0, 1, 1, 1314, 0, 0, -700, 0, 0],
+	[0, -2, 2, -2, 1, -1283, 0, 0, 672, 0, 0],
+	[1, 0, 2, 2, 1, -1331, 0, 8, 663, 0, 4],
+	[-2, 0, 2, 2, 2, 1383, 0, -2, -594, 0, -2],
+	[-1, 0, 0, 0, 2, 1405, 0, 4, -610, 0, 2],
+	[1, 1, 2, -2, 2, 1290, 0, 0, -556, 0, 0]
+];
+
+/**
+ * Nutation of the earth's axis according to the IAU 2000B model, accurate to 1 mas between the years 1995 and 2050
+ * @link https://en.wikipedia.org/wiki/Astronomical_nutation
+ */
+class Nutation {
+	/**
+	 * Calculate the nutation in longitude (Δψ) and in obliquity (Δε)
+	 * @param {number} julianDay
+	 * @returns {{longitude: number, obliquity: number}} Δψ and Δε in degrees
+	 */
+	static calculate(julianDay) {
+		const T = JulianDay.calculateJulianCenturiesJ2000(julianDay);
+
+		// Mean anomalies of moon and sun, argument of latitude of the moon, mean elongation of the moon and longitude of its ascending node
+		const l = (485868.249036 + 1717915923.2178 * T) / 3600;
+		const lSun = (1287104.79305 + 129596581.0481 * T) / 3600;
+		const F = (335779.526232 + 1739527262.8478 * T) / 3600;
+		const D = (1072260.70369 + 1602961601.2090 * T) / 3600;
+		const omega = (450160.398036 - 6962890.5431 * T) / 3600;
+
+		let longitude = 0;
+		let obliquity = 0;
+		for (let i = nutationTerms.length - 1; i >= 0; i--) {
+			const [nl, nlSun, nF, nD, nOmega, sinPsi, sinPsiT, cosPsi, cosEps, cosEpsT, sinEps] = nutationTerms[i];
+			const argument = normalizeDegrees(nl * l + nlSun * lSun + nF * F + nD * D + nOmega * omega);
+			longitude += (sinPsi + sinPsiT * T) * sindeg(argument) + cosPsi * cosdeg(argument);
+			obliquity += (cosEps + cosEpsT * T) * cosdeg(argument) + sinEps * sindeg(argument);
+		}
+
+		// Convert from 0.1 µas to degrees and add the offsets compensating for the planetary terms left out
+		return {
+			longitude: (longitude / 10000000 - 0.000135) / 3600,
+			obliquity: (obliquity / 10000000 + 0.000388) / 3600
+		};
+	}
+
+	/**
+	 * Calculate the true obliquity of the ecliptic, i.e. the angle between the ecliptic and the true equator of date
+	 * @param {number} julianDay
+	 * @returns {number} Obliquity in degrees
+	 */
+	static calculateTrueObliquity(julianDay) {
+		return Precession.calculateMeanObliquity(julianDay) + this.calculate(julianDay).obliquity;
+	}
+
+	/**
+	 * Calculate the matrix rotating vectors from the mean equator and equinox of date to the true equator and equinox of date
+	 * @param {number} julianDay
+	 * @returns {number[][]}
+	 */
+	static calculateMatrix(julianDay) {
+		const nutation = this.calculate(julianDay);
+		const meanObliquity = Precession.calculateMeanObliquity(julianDay);
+		return multiplyMatrices(rotationMatrix(0, -(meanObliquity + nutation.obliquity)),
+			multiplyMatrices(rotationMatrix(2, -nutation.longitude), rotationMatrix(0, meanObliquity)));
 	}
 }
 
@@ -354,13 +1744,62 @@ class Equatorial {
 	rightAscension;
 	declination;
 
+	/** Julian Day of the mean equator and equinox the coordinates are referred to (see Equinox), null for the true equator and equinox of the date of observation */
+	equinox;
+
 	/**
 	 * @param {number} rightAscension
 	 * @param {number} declination
+	 * @param {number | null} equinox Julian Day of the mean equator and equinox the coordinates are referred to (see Equinox), null for the true equator and equinox of the date of observation
 	 */
-	constructor(rightAscension, declination) {
+	constructor(rightAscension, declination, equinox = null) {
 		this.rightAscension = rightAscension;
 		this.declination = declination;
+		this.equinox = equinox;
+	}
+
+	/**
+	 * Refer the coordinates to another equator and equinox, taking precession and nutation into account.
+	 * Coordinates referred to Equinox.B1950 are taken to be in the FK4 system and converted from and to FK5 on the way.
+	 * @param {number | null} equinox Julian Day of the mean equator and equinox to refer to (see Equinox), null for the true equator and equinox of dateTime
+	 * @param {Date} dateTime Date of observation, needed if the coordinates are referred to the true equator and equinox of date before or after the conversion
+	 * @returns {Equatorial}
+	 */
+	precess(equinox, dateTime = new Date()) {
+		if (equinox != null && equinox === this.equinox) {
+			return new Equatorial(this.rightAscension, this.declination, equinox);
+		}
+		const julianDay = JulianDay.fromDate(dateTime, TimeScale.tt);
+		let vector = sphericalToVector(this.rightAscension, this.declination);
+		let fromEquinox = this.equinox ?? julianDay;
+		if (this.equinox == null) {
+			vector = multiplyMatrixVector(transposeMatrix(Nutation.calculateMatrix(julianDay)), vector);
+		} else if (this.equinox === Equinox.B1950) {
+			vector = convertFK4ToFK5(vector);
+			fromEquinox = Equinox.J2000;
+		}
+		const toEquinox = equinox === Equinox.B1950 ? Equinox.J2000 : equinox ?? julianDay;
+		vector = multiplyMatrixVector(Precession.calculateMatrix(fromEquinox, toEquinox), vector);
+		if (equinox == null) {
+			vector = multiplyMatrixVector(Nutation.calculateMatrix(julianDay), vector);
+		} else if (equinox === Equinox.B1950) {
+			vector = convertFK5ToFK4(vector);
+		}
+		const spherical = vectorToSpherical(vector);
+		return new Equatorial(spherical.longitude, spherical.latitude, equinox ?? null);
+	}
+
+	/**
+	 * Calculate the local hour angle, i.e. the angle between the meridian and the hour circle through the coordinates, measured westwards
+	 * @param {number} geoLongitude Geographic longitude of the observer
+	 * @param {Date} dateTime
+	 * @returns {HourAngle} Hour angle between 0h and 24h
+	 */
+	calculateHourAngle(geoLongitude, dateTime = new Date()) {
+		// The apparent sidereal time refers to the true equinox of date
+		const equatorial = this.equinox == null ? this : this.precess(null, dateTime);
+		const siderealTime = SiderealTime.calculateApparent(geoLongitude, dateTime);
+		return HourAngle.fromDegrees(normalizeDegrees(siderealTime.toDegrees() - equatorial.rightAscension));
 	}
 
 	/**
@@ -368,34 +1807,115 @@ class Equatorial {
 	 * @param {number} geoLatitude Geographic latitude of the observer
 	 * @param {number} geoLongitude Geographic longitude of the observer
 	 * @param {Date} dateTime
+	 * @param {Atmosphere | null} atmosphere Conditions used to add the refraction to the height, null for the geometric height
 	 * @returns {Azimuthal}
 	 */
-	toAzimuthal(geoLatitude, geoLongitude, dateTime = new Date()) {
-		const siderealTime = SiderealTime.calculate(geoLongitude, dateTime);
-		const siderealTimeDegrees = siderealTime.toDegrees();
+	toAzimuthal(geoLatitude, geoLongitude, dateTime = new Date(), atmosphere = null) {
+		// The hour angle of coordinates referred to the true equinox of date needs no further precession
+		const equatorial = this.equinox == null ? this : this.precess(null, dateTime);
+		const declination = equatorial.declination;
+		const hourAngle = equatorial.calculateHourAngle(geoLongitude, dateTime).toDegrees();
 		const height = asindeg(
-			sindeg(geoLatitude) * sindeg(this.declination)
-			+ cosdeg(geoLatitude) * cosdeg(this.declination)
-			* cosdeg(siderealTimeDegrees - this.rightAscension)
-		);
-		const azimuthAtan = atandeg(
-			sindeg(siderealTimeDegrees - this.rightAscension)
-			/ (
-				sindeg(geoLatitude) * cosdeg(siderealTimeDegrees - this.rightAscension)
-				- cosdeg(geoLatitude) * tandeg(this.declination)
-			)
+			sindeg(geoLatitude) * sindeg(declination)
+			+ cosdeg(geoLatitude) * cosdeg(declination) * cosdeg(hourAngle)
 		);
-		const azimuthOption1 = azimuthAtan < 0 ? azimuthAtan + 360 : azimuthAtan;
-		const azimuthOption2 = azimuthOption1 >= 180 ? azimuthOption1 - 180 : azimuthOption1 + 180;
-		const quadrant = Math.floor((siderealTimeDegrees - this.rightAscension) / 90);
-		let azimuth =
-			Math.floor(azimuthOption1 / 90) === quadrant ? azimuthOption1 : azimuthOption2;
-		
+		const azimuthFromSouth = normalizeDegrees(atan2deg(
+			sindeg(hourAngle),
+			sindeg(geoLatitude) * cosdeg(hourAngle) - cosdeg(geoLatitude) * tandeg(declination)
+		));
+
 		// Return azimuth with north as reference instead of south
-		azimuth = Azimuthal.toggleAzimuthReferencePoint(azimuth);
+		const azimuth = Azimuthal.toggleAzimuthReferencePoint(azimuthFromSouth);
 
+		if (atmosphere != null) {
+			return new Azimuthal(azimuth, Refraction.toApparentHeight(height, atmosphere), dateTime, atmosphere);
+		}
 		return new Azimuthal(azimuth, height, dateTime);
 	}
+
+	/**
+	 * Convert from equatorial to spherical ecliptical coordinates referred to the mean ecliptic and equinox of date
+	 * @param {Date} dateTime Date of observation
+	 * @returns {Ecliptical}
+	 */
+	toEcliptical(dateTime = new Date()) {
+		return SphericalCoordinates.fromEquatorial(this, dateTime).toEcliptical();
+	}
+}
+
+/**
+ * Conditions of the atmosphere at the observer's location, which determine the refraction
+ * @typedef {object} Atmosphere
+ * @property {number} [pressure] Air pressure in hPa, 1010 by default
+ * @property {number} [temperature] Air temperature in °C, 10 by default
+ */
+
+/**
+ * Atmospheric refraction lifts celestial objects, by more than half a degree at the horizon
+ * @link https://en.wikipedia.org/wiki/Atmospheric_refraction
+ */
+class Refraction {
+	/** Heights below this are treated as this height, since the formulas are not valid far below the horizon */
+	static minimumHeight = -1;
+
+	/**
+	 * Calculate the factor by which the refraction differs from the one at 1010 hPa and 10 °C
+	 * @param {Atmosphere} atmosphere
+	 * @returns {number}
+	 */
+	static calculateAtmosphereFactor(atmosphere = {}) {
+		return (atmosphere.pressure ?? 1010) / 1010 * 283 / (273 + (atmosphere.temperature ?? 10));
+	}
+
+	/**
+	 * Calculate the refraction from the geometric height using Saemundsson's formula,
+	 * with the correction given by Meeus so that it vanishes at the zenith instead of becoming slightly negative
+	 * @param {number} geometricHeight Height without refraction in degrees
+	 * @param {Atmosphere} atmosphere
+	 * @returns {number} Refraction in degrees
+	 */
+	static calculateSaemundsson(geometricHeight, atmosphere = {}) {
+		const height = Math.max(geometricHeight, this.minimumHeight);
+		return Math.max(0, 1.02 / tandeg(height + 10.3 / (height + 5.11)) + 0.0019279) / 60 * this.calculateAtmosphereFactor(atmosphere);
+	}
+
+	/**
+	 * Calculate the refraction from the apparent height using Bennett's formula, corrected like calculateSaemundsson to vanish at the zenith
+	 * @param {number} apparentHeight Height including refraction in degrees
+	 * @param {Atmosphere} atmosphere
+	 * @returns {number} Refraction in degrees
+	 */
+	static calculateBennett(apparentHeight, atmosphere = {}) {
+		const height = Math.max(apparentHeight, this.minimumHeight);
+		return Math.max(0, 1 / tandeg(height + 7.31 / (height + 4.4)) + 0.0013515) / 60 * this.calculateAtmosphereFactor(atmosphere);
+	}
+
+	/**
+	 * Add the refraction to a geometric height
+	 * @param {number} geometricHeight Height without refraction in degrees
+	 * @param {Atmosphere} atmosphere
+	 * @returns {number} Apparent height in degrees
+	 */
+	static toApparentHeight(geometricHeight, atmosphere = {}) {
+		return geometricHeight + this.calculateSaemundsson(geometricHeight, atmosphere);
+	}
+
+	/**
+	 * Remove the refraction from an apparent height, the exact inverse of toApparentHeight
+	 * @param {number} apparentHeight Height including refraction in degrees
+	 * @param {Atmosphere} atmosphere
+	 * @returns {number} Geometric height in degrees
+	 */
+	static toGeometricHeight(apparentHeight, atmosphere = {}) {
+		// Bennett's formula is accurate to about 0.1', refine its result to match Saemundsson's formula
+		let geometricHeight = apparentHeight - this.calculateBennett(apparentHeight, atmosphere);
+		for (let i = 0; i < 10; i++) {
+			const previous = geometricHeight;
+			geometricHeight = apparentHeight - this.calculateSaemundsson(geometricHeight, atmosphere);
+			if (Math.abs(geometricHeight - previous) < 1e-10) break;
+		}
+		return geometricHeight;
+	}
 }
 
 /**
@@ -409,49 +1929,52 @@ class Azimuthal {
 	/** The datetime to which the coordinates refer */
 	dateTime;
 
+	/** Whether the height is the apparent height including refraction instead of the geometric height */
+	apparent;
+
+	/** Conditions used to add the refraction to the height, null if the height is geometric */
+	atmosphere;
+
 	/**
 	 * @param {number} azimuth
 	 * @param {number} height
 	 * @param {Date} dateTime The datetime to which the coordinates refer
+	 * @param {Atmosphere | null} atmosphere Conditions used to add the refraction to the height, null if the height is geometric
 	 */
-	constructor(azimuth, height, dateTime = new Date()) {
+	constructor(azimuth, height, dateTime = new Date(), atmosphere = null) {
 		this.azimuth = azimuth;
 		this.height = height;
 		this.dateTime = dateTime;
+		this.apparent = atmosphere != null;
+		this.atmosphere = atmosphere;
 	}
 
 	/**
-	 * Convert from azimuthal to equatorial coordinates
+	 * Convert from azimuthal to equatorial coordinates, referred to the true equator and equinox of date.
+	 * If the height is apparent, the refraction is removed first.
 	 * @param {number} geoLatitude Geographic latitude of the observer
 	 * @param {number} geoLongitude Geographic longitude of the observer
 	 * @returns {Equatorial}
 	 */
 	toEquatorial(geoLatitude, geoLongitude) {
-		const siderealTime = SiderealTime.calculate(geoLongitude, this.dateTime);
+		const siderealTime = SiderealTime.calculateApparent(geoLongitude, this.dateTime);
 		const siderealTimeDegrees = siderealTime.toDegrees();
+		const height = this.apparent ? Refraction.toGeometricHeight(this.height, this.atmosphere) : this.height;
 
 		// For calculations, use south as reference instead of north
 		const azimuthFromSouth = Azimuthal.toggleAzimuthReferencePoint(this.azimuth);
 
 		const declination = asindeg(
-			sindeg(geoLatitude) * sindeg(this.height)
-			- cosdeg(geoLatitude) * cosdeg(this.height) * cosdeg(azimuthFromSouth)
+			sindeg(geoLatitude) * sindeg(height)
+			- cosdeg(geoLatitude) * cosdeg(height) * cosdeg(azimuthFromSouth)
 		);
-		const hourAngleAtan = atandeg(
-			sindeg(azimuthFromSouth)
-			/ (
-				sindeg(geoLatitude) * cosdeg(azimuthFromSouth)
-				+ cosdeg(geoLatitude) * tandeg(this.height)
-			)
+		const hourAngle = atan2deg(
+			sindeg(azimuthFromSouth),
+			sindeg(geoLatitude) * cosdeg(azimuthFromSouth)
+			+ cosdeg(geoLatitude) * tandeg(height)
 		);
-		const hourAngleOption1 = hourAngleAtan < 0 ? hourAngleAtan + 360 : hourAngleAtan;
-		const hourAngleOption2 = hourAngleOption1 >= 180 ? hourAngleOption1 - 180 : hourAngleOption1 + 180;
-		const quadrant = Math.floor(azimuthFromSouth / 90);
-		const hourAngle =
-			Math.floor(hourAngleOption1 / 90) === quadrant ? hourAngleOption1 : hourAngleOption2;
 
-		const rightAscension = siderealTimeDegrees - hourAngle;
-		return new Equatorial(rightAscension < 0 ? rightAscension + 360 : rightAscension, declination);
+		return new Equatorial(normalizeDegrees(siderealTimeDegrees - hourAngle), declination);
 	}
 
 	/**
@@ -478,32 +2001,55 @@ class HeliocentricCartesian {
 	z;
 	dateTime;
 
+	/** Velocity in AU per day, null if only the position was calculated */
+	vx;
+	vy;
+	vz;
+
 	/**
 	 * @param {number} x
 	 * @param {number} y
 	 * @param {number} z
 	 * @param {Date} dateTime
+	 * @param {number | null} vx Velocity in AU per day, null if unknown
+	 * @param {number | null} vy
+	 * @param {number | null} vz
 	 */
-	constructor(x, y, z, dateTime) {
+	constructor(x, y, z, dateTime, vx = null, vy = null, vz = null) {
 		this.x = x;
 		this.y = y;
 		this.z = z;
 		this.dateTime = dateTime;
+		this.vx = vx;
+		this.vy = vy;
+		this.vz = vz;
 	}
 
 	/**
-	 * Convert from heliocentric to geocentric cartesian coordinates
+	 * Convert from heliocentric to geocentric cartesian coordinates, including the velocity if it is known
+	 * @param {number | string | JPLEphemeris} precision Precision of the earth position, see VSOP87Precision, or a JPLEphemeris
 	 * @returns {GeocentricCartesian}
 	 */
-	toGeocentricCartesian() {
-		const earthCoords = new Planet(PlanetAbbreviation.ear).calculateHeliocentricCartesian(this.dateTime);
+	toGeocentricCartesian(precision = Planet.defaultPrecision) {
+		const earthCoords = new Planet(PlanetAbbreviation.ear, precision).calculateHeliocentricCartesian(this.dateTime, this.vx != null);
 		const xObject = this.x - earthCoords.x;
 		const yObject = this.y - earthCoords.y;
 		const zObject = this.z - earthCoords.z;
+		if (this.vx != null) {
+			return new GeocentricCartesian(xObject, yObject, zObject, this.dateTime,
+				this.vx - earthCoords.vx, this.vy - earthCoords.vy, this.vz - earthCoords.vz);
+		}
 		return new GeocentricCartesian(xObject, yObject, zObject, this.dateTime);
 	}
 }
 
+/**
+ * Apparent angular motion of a body
+ * @typedef {object} AngularRates
+ * @property {number} rightAscension Change of the right ascension in arcseconds per hour, not multiplied by cos(declination)
+ * @property {number} declination Change of the declination in arcseconds per hour
+ */
+
 /**
  * Basically the same as heliocentric cartesian coordinates, but with the earth instead of the sun in its center
  */
@@ -513,33 +2059,94 @@ class GeocentricCartesian {
 	z;
 	dateTime;
 
+	/** Velocity in AU per day, null if only the position was calculated */
+	vx;
+	vy;
+	vz;
+
 	/**
 	 * @param {number} x
 	 * @param {number} y
 	 * @param {number} z
 	 * @param {Date} dateTime;
+	 * @param {number | null} vx Velocity in AU per day, null if unknown
+	 * @param {number | null} vy
+	 * @param {number | null} vz
 	 */
-	constructor(x, y, z, dateTime) {
+	constructor(x, y, z, dateTime, vx = null, vy = null, vz = null) {
 		this.x = x;
 		this.y = y;
 		this.z = z;
 		this.dateTime = dateTime;
+		this.vx = vx;
+		this.vy = vy;
+		this.vz = vz;
 	}
 
 	/**
-	 * Convert from geocentric to heliocentric cartesian coordinates
+	 * Convert from geocentric to heliocentric cartesian coordinates, including the velocity if it is known
+	 * @param {number | string | JPLEphemeris} precision Precision of the earth position, see VSOP87Precision, or a JPLEphemeris
 	 * @returns {HeliocentricCartesian}
 	 */
-	toHeliocentricCartesian() {
-		const earthCoords = new Planet(PlanetAbbreviation.ear).calculateHeliocentricCartesian(this.dateTime);
+	toHeliocentricCartesian(precision = Planet.defaultPrecision) {
+		const earthCoords = new Planet(PlanetAbbreviation.ear, precision).calculateHeliocentricCartesian(this.dateTime, this.vx != null);
 		const xPlanet = this.x + earthCoords.x;
 		const yPlanet = this.y + earthCoords.y;
 		const zPlanet = this.z + earthCoords.z;
+		if (this.vx != null) {
+			return new HeliocentricCartesian(xPlanet, yPlanet, zPlanet, this.dateTime,
+				this.vx + earthCoords.vx, this.vy + earthCoords.vy, this.vz + earthCoords.vz);
+		}
 		return new HeliocentricCartesian(xPlanet, yPlanet, zPlanet, this.dateTime);
 	}
 
 	/**
-	 * Convert from geocentric cartesian to spherical ecliptical coordinates
+	 * Calculate the rate at which the distance from the earth's center changes
+	 * @returns {number} km/s, negative while the body approaches
+	 */
+	calculateRangeRate() {
+		if (this.vx == null) {
+			throw Error("Can't calculate the range rate: The velocity is unknown");
+		}
+		const distance = Math.hypot(this.x, this.y, this.z);
+		return (this.x * this.vx + this.y * this.vy + this.z * this.vz) / distance * Const.kmPerAU / 86400;
+	}
+
+	/**
+	 * Calculate the apparent motion in right ascension and declination, referred to the true equator and equinox of date
+	 * @returns {AngularRates}
+	 */
+	calculateEquatorialRates() {
+		if (this.vx == null) {
+			throw Error("Can't calculate the equatorial rates: The velocity is unknown");
+		}
+		// The rotation of the equator by precession and nutation is negligible compared to the motion of the bodies
+		const julianDay = JulianDay.fromDate(this.dateTime, TimeScale.tt);
+		const eclipticalToEquatorial = multiplyMatrices(Nutation.calculateMatrix(julianDay),
+			rotationMatrix(0, -Precession.calculateMeanObliquity(julianDay)));
+		const [x, y, z] = multiplyMatrixVector(eclipticalToEquatorial, [this.x, this.y, this.z]);
+		const [vx, vy, vz] = multiplyMatrixVector(eclipticalToEquatorial, [this.vx, this.vy, this.vz]);
+
+		const arcsecondsPerHour = 180 / Math.PI * 3600 / 24;
+		const projectedDistanceSquared = x**2 + y**2;
+		return {
+			rightAscension: (x * vy - y * vx) / projectedDistanceSquared * arcsecondsPerHour,
+			declination: (vz * projectedDistanceSquared - z * (x * vx + y * vy))
+				/ ((projectedDistanceSquared + z**2) * Math.sqrt(projectedDistanceSquared)) * arcsecondsPerHour
+		};
+	}
+
+	/**
+	 * Calculate the ratio of the received to the emitted frequency due to the relativistic Doppler effect of the range rate
+	 * @returns {number} Less than 1 while the body recedes
+	 */
+	calculateDopplerFactor() {
+		const beta = this.calculateRangeRate() / Const.speedOfLight;
+		return Math.sqrt((1 - beta) / (1 + beta));
+	}
+
+	/**
+	 * Convert from geocentric cartesian to spherical ecliptical coordinates
 	 * @returns {Ecliptical}
 	 */
 	toEcliptical() {
@@ -570,161 +2177,5092 @@ class Ecliptical {
 	}
 
 	/**
-	 * Convert from spherical ecliptical to equatorial coordinates
+	 * Convert from spherical ecliptical coordinates referred to the mean equinox of date
+	 * to equatorial coordinates referred to the true equator and equinox of date
 	 * @returns {Equatorial}
 	 */
 	toEquatorial() {
+		const julianDay = JulianDay.fromDate(this.dateTime, TimeScale.tt);
+		const nutation = Nutation.calculate(julianDay);
+		const obliquity = Precession.calculateMeanObliquity(julianDay) + nutation.obliquity;
+		const longitude = this.longitude + nutation.longitude;
+
 		const declination = asindeg(
-			cosdeg(Const.e) * sindeg(this.latitude)
-			+ sindeg(Const.e) * cosdeg(this.latitude) * sindeg(this.longitude)
+			cosdeg(obliquity) * sindeg(this.latitude)
+			+ sindeg(obliquity) * cosdeg(this.latitude) * sindeg(longitude)
 		);
-		let rightAscension;
-		if (this.longitude !== 90 && this.longitude !== 270) {
-			const rightAscensionAtan = atandeg(
-				(cosdeg(Const.e) * sindeg(this.longitude) - sindeg(Const.e) * tandeg(this.latitude))
-				/ cosdeg(this.longitude)
-			);
-			const rightAscensionOption1 = rightAscensionAtan < 0 ? rightAscensionAtan + 360 : rightAscensionAtan;
-			const rightAscensionOption2 = rightAscensionOption1 >= 180 ? rightAscensionOption1 - 180 : rightAscensionOption1 + 180;
-			let quadrant = Math.floor(this.longitude / 90);
-			quadrant = quadrant < 0 ? quadrant + 4 : quadrant;
-			rightAscension = Math.floor(rightAscensionOption1 / 90) === quadrant ? rightAscensionOption1 : rightAscensionOption2;
-		} else {
-			rightAscension = this.longitude;
+		const rightAscension = atan2deg(
+			cosdeg(obliquity) * sindeg(longitude) - sindeg(obliquity) * tandeg(this.latitude),
+			cosdeg(longitude)
+		);
+
+		return new Equatorial(normalizeDegrees(rightAscension), declination);
+	}
+
+	/**
+	 * Convert from spherical ecliptical to geocentric cartesian coordinates
+	 * @param {number} distance Distance from the center of the earth in AU
+	 * @returns {GeocentricCartesian}
+	 */
+	toGeocentricCartesian(distance = 1) {
+		const [x, y, z] = sphericalToVector(this.longitude, this.latitude).map(coordinate => coordinate * distance);
+		return new GeocentricCartesian(x, y, z, this.dateTime);
+	}
+}
+
+/**
+ * Position of an observer on the earth's surface, needed by the frames of the local sky
+ * @typedef {object} Observer
+ * @property {number} geoLatitude Geographic latitude of the observer
+ * @property {number} geoLongitude Geographic longitude of the observer
+ * @property {number} [elevation] Height of the observer above sea level in meters, 0 by default
+ */
+
+/**
+ * The graph of the coordinate frames, a tree with ICRS as root. Each frame is linked to its parent frame by the matrix
+ * rotating vectors from the parent frame to the frame, calculated from the Julian Day (TT), the date and the observer.
+ * @type {Object<string, {parent: CoordinateFrame, calculateMatrix: (julianDay: number, dateTime: Date, observer: Observer | null) => number[][]}>}
+ */
+const frameLinks = {
+	// Frame bias between ICRS and the mean equator and equinox of J2000 (IERS Conventions 2010)
+	[CoordinateFrame.fk5]: {
+		parent: CoordinateFrame.icrs,
+		calculateMatrix: () => multiplyMatrices(rotationMatrix(0, 0.0068192 / 3600),
+			multiplyMatrices(rotationMatrix(1, -0.016617 / 3600), rotationMatrix(2, -0.0146 / 3600)))
+	},
+	[CoordinateFrame.meanOfDate]: {
+		parent: CoordinateFrame.fk5,
+		calculateMatrix: julianDay => Precession.calculateMatrix(Equinox.J2000, julianDay)
+	},
+	[CoordinateFrame.trueOfDate]: {
+		parent: CoordinateFrame.meanOfDate,
+		calculateMatrix: julianDay => Nutation.calculateMatrix(julianDay)
+	},
+	[CoordinateFrame.eclipticOfDate]: {
+		parent: CoordinateFrame.meanOfDate,
+		calculateMatrix: julianDay => rotationMatrix(0, Precession.calculateMeanObliquity(julianDay))
+	},
+	// North galactic pole at RA 192.85948° and Dec 27.12825°, galactic center at l = 0° (Hipparcos)
+	[CoordinateFrame.galactic]: {
+		parent: CoordinateFrame.icrs,
+		calculateMatrix: () => [
+			[-0.0548755604162154, -0.8734370902348850, -0.4838350155487132],
+			[0.4941094278755837, -0.4448296299600112, 0.7469822444972189],
+			[-0.8676661490190047, -0.1980763734312015, 0.4559837761750669]
+		]
+	},
+	// North supergalactic pole at l = 47.37° and b = 6.32°, origin at l = 137.37° and b = 0° (de Vaucouleurs)
+	[CoordinateFrame.supergalactic]: {
+		parent: CoordinateFrame.galactic,
+		calculateMatrix: () => [
+			[-0.7357425748043749, 0.6772612964138943, 0],
+			[-0.0745537783652337, -0.0809914713069767, 0.9939225903997749],
+			[0.6731453021092076, 0.7312711658169645, 0.1100812622247821]
+		]
+	},
+	// The x axis points to the meridian and the y axis to the east, so the longitude is the negative hour angle
+	[CoordinateFrame.hourAngle]: {
+		parent: CoordinateFrame.trueOfDate,
+		calculateMatrix: (julianDay, dateTime, observer) =>
+			rotationMatrix(2, SiderealTime.calculateApparent(observer.geoLongitude, dateTime).toDegrees())
+	},
+	// The x axis points to the north, the y axis to the west and the z axis to the zenith, so the longitude is the negative azimuth
+	[CoordinateFrame.horizontal]: {
+		parent: CoordinateFrame.hourAngle,
+		calculateMatrix: (julianDay, dateTime, observer) => [
+			[-sindeg(observer.geoLatitude), 0, cosdeg(observer.geoLatitude)],
+			[0, -1, 0],
+			[cosdeg(observer.geoLatitude), 0, sindeg(observer.geoLatitude)]
+		]
+	}
+};
+
+/** Frames whose longitude, i.e. the hour angle and the azimuth, is measured clockwise */
+const clockwiseFrames = new Set([CoordinateFrame.hourAngle, CoordinateFrame.horizontal]);
+
+/**
+ * Calculate the matrix rotating vectors from ICRS to a frame by following the links of the frame graph
+ * @param {CoordinateFrame} frame
+ * @param {number} julianDay Julian Day (TT) of dateTime
+ * @param {Date} dateTime
+ * @param {Observer | null} observer
+ * @returns {number[][]}
+ */
+function calculateFrameMatrix(frame, julianDay, dateTime, observer) {
+	if (frame === CoordinateFrame.icrs) {
+		return [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+	}
+	const link = frameLinks[frame];
+	if (link == undefined) {
+		throw Error(`Unknown frame "${frame}": Use one of CoordinateFrame`);
+	}
+	if (observer == null && (frame === CoordinateFrame.hourAngle || frame === CoordinateFrame.horizontal)) {
+		throw Error(`Can't convert to or from the ${frame} frame: An observer is needed`);
+	}
+	return multiplyMatrices(link.calculateMatrix(julianDay, dateTime, observer),
+		calculateFrameMatrix(link.parent, julianDay, dateTime, observer));
+}
+
+/**
+ * Spherical coordinates in one of the frames of CoordinateFrame, which can be converted to any other frame.
+ * The conversions only rotate the frames, they don't apply aberration, parallax or refraction.
+ * @example
+ * new SphericalCoordinates(CoordinateFrame.icrs, 266.405, -28.936).to(CoordinateFrame.galactic) -> l = 0°, b = 0°
+ */
+class SphericalCoordinates {
+	/** Frame the coordinates are referred to, see CoordinateFrame */
+	frame;
+
+	/** Right ascension, ecliptic, galactic or supergalactic longitude, hour angle or azimuth (from north towards east) */
+	longitude;
+
+	/** Declination, ecliptic, galactic or supergalactic latitude or height */
+	latitude;
+
+	/** Date of observation, needed by the frames of date and by the frames of the local sky */
+	dateTime;
+
+	/** Position of the observer, needed by the frames of the local sky, null otherwise */
+	observer;
+
+	/**
+	 * @param {CoordinateFrame} frame
+	 * @param {number} longitude
+	 * @param {number} latitude
+	 * @param {Date} dateTime Date of observation
+	 * @param {Observer | null} observer Position of the observer, needed by the hour angle and horizontal frames
+	 */
+	constructor(frame, longitude, latitude, dateTime = new Date(), observer = null) {
+		this.frame = frame;
+		this.longitude = longitude;
+		this.latitude = latitude;
+		this.dateTime = dateTime;
+		this.observer = observer;
+	}
+
+	/**
+	 * Calculate the matrix rotating vectors from one frame to another.
+	 * Since the hour angle and the azimuth are measured clockwise, the y axis of these frames points to the east and to the west respectively.
+	 * @param {CoordinateFrame} fromFrame
+	 * @param {CoordinateFrame} toFrame
+	 * @param {Date} dateTime Date of observation
+	 * @param {Observer | null} observer Position of the observer, needed by the hour angle and horizontal frames
+	 * @returns {number[][]}
+	 */
+	static calculateMatrix(fromFrame, toFrame, dateTime = new Date(), observer = null) {
+		const julianDay = JulianDay.fromDate(dateTime, TimeScale.tt);
+		return multiplyMatrices(calculateFrameMatrix(toFrame, julianDay, dateTime, observer),
+			transposeMatrix(calculateFrameMatrix(fromFrame, julianDay, dateTime, observer)));
+	}
+
+	/**
+	 * Create spherical coordinates from equatorial coordinates. Coordinates referred to the true equator and equinox of date
+	 * are in the frame trueOfDate, all others are converted to the mean equator and equinox of J2000 (fk5).
+	 * @param {Equatorial} equatorial
+	 * @param {Date} dateTime Date of observation
+	 * @param {Observer | null} observer Position of the observer, needed by the hour angle and horizontal frames
+	 * @returns {SphericalCoordinates}
+	 */
+	static fromEquatorial(equatorial, dateTime = new Date(), observer = null) {
+		if (equatorial.equinox == null) {
+			return new SphericalCoordinates(CoordinateFrame.trueOfDate, equatorial.rightAscension, equatorial.declination, dateTime, observer);
+		}
+		const j2000 = equatorial.equinox === Equinox.J2000 ? equatorial : equatorial.precess(Equinox.J2000, dateTime);
+		return new SphericalCoordinates(CoordinateFrame.fk5, j2000.rightAscension, j2000.declination, dateTime, observer);
+	}
+
+	/**
+	 * Create spherical coordinates in the frame eclipticOfDate from ecliptical coordinates
+	 * @param {Ecliptical} ecliptical
+	 * @param {Observer | null} observer Position of the observer, needed by the hour angle and horizontal frames
+	 * @returns {SphericalCoordinates}
+	 */
+	static fromEcliptical(ecliptical, observer = null) {
+		return new SphericalCoordinates(CoordinateFrame.eclipticOfDate, ecliptical.longitude, ecliptical.latitude,
+			ecliptical.dateTime, observer);
+	}
+
+	/**
+	 * Create spherical coordinates in the frame horizontal from azimuthal coordinates, removing the refraction from apparent heights
+	 * @param {Azimuthal} azimuthal
+	 * @param {Observer} observer Position of the observer
+	 * @returns {SphericalCoordinates}
+	 */
+	static fromAzimuthal(azimuthal, observer) {
+		const height = azimuthal.apparent ? Refraction.toGeometricHeight(azimuthal.height, azimuthal.atmosphere) : azimuthal.height;
+		return new SphericalCoordinates(CoordinateFrame.horizontal, azimuthal.azimuth, height, azimuthal.dateTime, observer);
+	}
+
+	/**
+	 * Convert the coordinates to another frame, keeping the date and the observer
+	 * @example
+	 * SphericalCoordinates.fromEquatorial(Star.byName("Deneb").calculateEquatorial(date), date).to(CoordinateFrame.galactic)
+	 * @param {CoordinateFrame} frame
+	 * @returns {SphericalCoordinates}
+	 */
+	to(frame) {
+		const sign = frame => clockwiseFrames.has(frame) ? -1 : 1;
+		const vector = sphericalToVector(sign(this.frame) * this.longitude, this.latitude);
+		const spherical = vectorToSpherical(multiplyMatrixVector(
+			SphericalCoordinates.calculateMatrix(this.frame, frame, this.dateTime, this.observer), vector));
+		return new SphericalCoordinates(frame, normalizeDegrees(sign(frame) * spherical.longitude), spherical.latitude,
+			this.dateTime, this.observer);
+	}
+
+	/**
+	 * Convert to equatorial coordinates
+	 * @param {number | null} equinox Julian Day of the mean equator and equinox to refer to (see Equinox), null for the true equator and equinox of date
+	 * @returns {Equatorial}
+	 */
+	toEquatorial(equinox = null) {
+		if (equinox == null) {
+			const trueOfDate = this.to(CoordinateFrame.trueOfDate);
+			return new Equatorial(trueOfDate.longitude, trueOfDate.latitude);
+		}
+		const j2000 = this.to(CoordinateFrame.fk5);
+		const equatorial = new Equatorial(j2000.longitude, j2000.latitude, Equinox.J2000);
+		return equinox === Equinox.J2000 ? equatorial : equatorial.precess(equinox, this.dateTime);
+	}
+
+	/**
+	 * Convert to ecliptical coordinates referred to the mean ecliptic and equinox of date
+	 * @returns {Ecliptical}
+	 */
+	toEcliptical() {
+		const ecliptical = this.to(CoordinateFrame.eclipticOfDate);
+		return new Ecliptical(ecliptical.longitude, ecliptical.latitude, this.dateTime);
+	}
+
+	/**
+	 * Convert to azimuthal coordinates as seen by the observer
+	 * @param {Atmosphere | null} atmosphere Conditions used to add the refraction to the height, null for the geometric height
+	 * @returns {Azimuthal}
+	 */
+	toAzimuthal(atmosphere = null) {
+		const horizontal = this.to(CoordinateFrame.horizontal);
+		if (atmosphere != null) {
+			return new Azimuthal(horizontal.longitude, Refraction.toApparentHeight(horizontal.latitude, atmosphere), this.dateTime, atmosphere);
+		}
+		return new Azimuthal(horizontal.longitude, horizontal.latitude, this.dateTime);
+	}
+}
+
+
+
+/**
+ * Rise, upper transit and set of a celestial body on a certain day
+ * @typedef {object} RiseTransitSet
+ * @property {Date | null} rise Null if the body doesn't rise on that day
+ * @property {number | null} riseAzimuth
+ * @property {Date | null} transit Upper transit, when the body crosses the meridian at its highest point
+ * @property {number | null} transitHeight
+ * @property {Date | null} set Null if the body doesn't set on that day
+ * @property {number | null} setAzimuth
+ * @property {boolean} circumpolar Whether the body stays above the horizon the whole day
+ * @property {boolean} neverRises Whether the body stays below the horizon the whole day
+ */
+
+/**
+ * Calculate the beginning of the local mean solar day containing dateTime, i.e. midnight of the mean solar time at a certain longitude
+ * @param {number} geoLongitude Geographic longitude of the observer
+ * @param {Date} dateTime
+ * @returns {Date}
+ */
+function calculateLocalDayStart(geoLongitude, dateTime) {
+	const msPerDay = 86400000;
+	const longitudeOffset = geoLongitude / 360 * msPerDay;
+	return new Date(Math.floor((dateTime.getTime() + longitudeOffset) / msPerDay) * msPerDay - longitudeOffset);
+}
+
+/**
+ * Calculate rise, upper transit and set of a body during the local mean solar day (derived from the geographic longitude) containing dateTime
+ * @param {(dateTime: Date) => Equatorial} calculateEquatorial Calculates the position of the body at a certain time
+ * @param {number} horizonHeight Geometric height of the body's center at rise and set in degrees
+ * @param {number} geoLatitude Geographic latitude of the observer
+ * @param {number} geoLongitude Geographic longitude of the observer
+ * @param {Date} dateTime
+ * @returns {RiseTransitSet}
+ */
+function calculateRiseTransitSet(calculateEquatorial, horizonHeight, geoLatitude, geoLongitude, dateTime) {
+	const msPerDay = 86400000;
+	const dayStart = calculateLocalDayStart(geoLongitude, dateTime).getTime();
+	const dayEnd = dayStart + msPerDay;
+
+	// Hour angle between -180° and 180°
+	const calculateHourAngle = (date, equatorial) =>
+		normalizeDegrees(equatorial.calculateHourAngle(geoLongitude, date).toDegrees() + 180) - 180;
+
+	// Hour angle of the body when its center is at horizonHeight, ±Infinity if it doesn't reach that height
+	const calculateHorizonHourAngle = equatorial => {
+		const cosHourAngle = (sindeg(horizonHeight) - sindeg(geoLatitude) * sindeg(equatorial.declination))
+			/ (cosdeg(geoLatitude) * cosdeg(equatorial.declination));
+		return cosHourAngle < -1 ? -Infinity : cosHourAngle > 1 ? Infinity : acosdeg(cosHourAngle);
+	};
+
+	// Move the time until the hour angle of the body reaches a certain value, recalculating the body's position on every step
+	const iterateHourAngle = (time, calculateTargetHourAngle) => {
+		for (let i = 0; i < 10; i++) {
+			const equatorial = calculateEquatorial(time);
+			const targetHourAngle = calculateTargetHourAngle(equatorial);
+			if (!isFinite(targetHourAngle)) return null;
+			const difference = normalizeDegrees(targetHourAngle - calculateHourAngle(time, equatorial) + 180) - 180;
+			time = new Date(time.getTime() + difference / Const.siderealRotationPerDay * msPerDay);
+			if (Math.abs(difference) < 1e-3) break;
+		}
+		return time;
+	};
+
+	// Find the time during the day when the hour angle reaches a certain value
+	const findEvent = calculateTargetHourAngle => {
+		let time = iterateHourAngle(new Date(dayStart + msPerDay / 2), calculateTargetHourAngle);
+		if (time != null && time.getTime() < dayStart) {
+			time = iterateHourAngle(new Date(time.getTime() + msPerDay), calculateTargetHourAngle);
+		} else if (time != null && time.getTime() >= dayEnd) {
+			time = iterateHourAngle(new Date(time.getTime() - msPerDay), calculateTargetHourAngle);
+		}
+		return time != null && time.getTime() >= dayStart && time.getTime() < dayEnd ? time : null;
+	};
+
+	const transit = findEvent(() => 0);
+	const rise = findEvent(equatorial => -calculateHorizonHourAngle(equatorial));
+	const set = findEvent(equatorial => calculateHorizonHourAngle(equatorial));
+
+	const calculateAzimuthal = date => date == null ? null
+		: calculateEquatorial(date).toAzimuthal(geoLatitude, geoLongitude, date);
+	const horizonHourAngle = calculateHorizonHourAngle(calculateEquatorial(transit ?? new Date(dayStart + msPerDay / 2)));
+
+	return {
+		rise,
+		riseAzimuth: calculateAzimuthal(rise)?.azimuth ?? null,
+		transit,
+		transitHeight: calculateAzimuthal(transit)?.height ?? null,
+		set,
+		setAzimuth: calculateAzimuthal(set)?.azimuth ?? null,
+		circumpolar: horizonHourAngle === -Infinity,
+		neverRises: horizonHourAngle === Infinity
+	};
+}
+
+/**
+ * Position of a body at a certain stage of the apparent place calculation
+ * @typedef {object} PlaceStage
+ * @property {Equatorial} equatorial Referred to the true equator and equinox of date
+ * @property {number} distance Distance in AU
+ */
+
+/**
+ * Apparent place of a body together with the intermediate results of all corrections
+ * @typedef {object} ApparentPlace
+ * @property {PlaceStage} geometric Position of the body at the time of observation, seen from the earth's center
+ * @property {number} lightTime Light travel time from the body to the earth's center in days
+ * @property {PlaceStage} astrometric Position of the body when the observed light was emitted, seen from the earth's center
+ * @property {PlaceStage} apparent Astrometric position shifted towards the direction of the earth's motion (annual aberration)
+ * @property {PlaceStage} topocentric Apparent position seen from the observer instead of the earth's center
+ */
+
+/**
+ * Calculate the distances of an observer from the rotation axis and the equatorial plane of the earth
+ * @param {number} geoLatitude Geographic latitude of the observer
+ * @param {number} elevation Height of the observer above the WGS 84 ellipsoid (approximately sea level) in meters
+ * @returns {{fromAxis: number, fromEquator: number}} Distances in AU
+ */
+function calculateObserverDistances(geoLatitude, elevation) {
+	const axisRatio = 1 - Const.earthFlattening;
+	const c = 1 / Math.sqrt(cosdeg(geoLatitude)**2 + axisRatio**2 * sindeg(geoLatitude)**2);
+	const height = elevation / 1000;
+	return {
+		fromAxis: (Const.earthRadius * c + height) * cosdeg(geoLatitude) / Const.kmPerAU,
+		fromEquator: (Const.earthRadius * c * axisRatio**2 + height) * sindeg(geoLatitude) / Const.kmPerAU
+	};
+}
+
+/**
+ * Calculate the position of an observer relative to the earth's center
+ * @param {number} geoLatitude Geographic latitude of the observer
+ * @param {number} geoLongitude Geographic longitude of the observer
+ * @param {number} elevation Height of the observer above the WGS 84 ellipsoid (approximately sea level) in meters
+ * @param {Date} dateTime
+ * @returns {number[]} Cartesian coordinates in AU, referred to the true equator and equinox of date
+ */
+function calculateObserverPosition(geoLatitude, geoLongitude, elevation, dateTime) {
+	const siderealTime = SiderealTime.calculateApparent(geoLongitude, dateTime).toDegrees();
+	const { fromAxis, fromEquator } = calculateObserverDistances(geoLatitude, elevation);
+	return [fromAxis * cosdeg(siderealTime), fromAxis * sindeg(siderealTime), fromEquator];
+}
+
+/**
+ * Calculate the velocity of a body by differentiating its position numerically over a short interval
+ * @param {(dateTime: Date) => number[]} calculatePosition Calculates the position of the body in AU at a certain time
+ * @param {Date} dateTime
+ * @returns {number[]} Velocity in AU per day
+ */
+function differentiatePosition(calculatePosition, dateTime) {
+	const msPerDay = 86400000;
+	const step = 0.01;
+	const before = calculatePosition(new Date(dateTime.getTime() - step / 2 * msPerDay));
+	const after = calculatePosition(new Date(dateTime.getTime() + step / 2 * msPerDay));
+	return after.map((x, i) => (x - before[i]) / step);
+}
+
+/** Time in days the light needs to travel one AU */
+const lightDaysPerAU = Const.kmPerAU / Const.speedOfLight / 86400;
+
+/**
+ * Calculate the apparent place of a body by correcting its geometric position for light travel time,
+ * annual aberration and the position of the observer on the earth's surface
+ * @param {(dateTime: Date) => HeliocentricCartesian} calculateHeliocentricCartesian Calculates the position of the body at a certain time
+ * @param {number | string | JPLEphemeris} precision Precision of the earth position, see VSOP87Precision, or a JPLEphemeris
+ * @param {number} geoLatitude Geographic latitude of the observer
+ * @param {number} geoLongitude Geographic longitude of the observer
+ * @param {number} elevation Height of the observer above sea level in meters
+ * @param {Date} dateTime
+ * @returns {ApparentPlace}
+ */
+function calculateApparentPlace(calculateHeliocentricCartesian, precision, geoLatitude, geoLongitude, elevation, dateTime) {
+	const msPerDay = 86400000;
+	const earth = new Planet(PlanetAbbreviation.ear, precision);
+	const earthState = earth.calculateHeliocentricCartesian(dateTime, true);
+	const earthPosition = cartesianToVector(earthState);
+	const calculateGeocentricVector = date =>
+		cartesianToVector(calculateHeliocentricCartesian(date)).map((x, i) => x - earthPosition[i]);
+
+	// VSOP87C refers to the ecliptic and mean equinox of date
+	const julianDay = JulianDay.fromDate(dateTime, TimeScale.tt);
+	const eclipticalToEquatorial = multiplyMatrices(Nutation.calculateMatrix(julianDay),
+		rotationMatrix(0, -Precession.calculateMeanObliquity(julianDay)));
+	const toStage = vector => {
+		const spherical = vectorToSpherical(vector);
+		return { equatorial: new Equatorial(spherical.longitude, spherical.latitude), distance: Math.hypot(...vector) };
+	};
+
+	const geometric = multiplyMatrixVector(eclipticalToEquatorial, calculateGeocentricVector(dateTime));
+
+	// The light travel time depends on the position of the body when the light was emitted, so iterate
+	let lightTime = 0;
+	let astrometric = geometric;
+	for (let i = 0; i < 3; i++) {
+		lightTime = Math.hypot(...astrometric) * lightDaysPerAU;
+		astrometric = multiplyMatrixVector(eclipticalToEquatorial,
+			calculateGeocentricVector(new Date(dateTime.getTime() - lightTime * msPerDay)));
+	}
+
+	// Velocity of the earth in units of the speed of light
+	const velocity = multiplyMatrixVector(eclipticalToEquatorial,
+		[earthState.vx, earthState.vy, earthState.vz].map(x => x * lightDaysPerAU));
+
+	// Annual aberration: the direction to the body shifts towards the velocity of the observer
+	const distance = Math.hypot(...astrometric);
+	const direction = astrometric.map(x => x / distance);
+	const projection = direction[0] * velocity[0] + direction[1] * velocity[1] + direction[2] * velocity[2];
+	const shifted = direction.map((x, i) => x + velocity[i] - projection * x);
+	const apparent = shifted.map(x => x / Math.hypot(...shifted) * distance);
+
+	const observer = calculateObserverPosition(geoLatitude, geoLongitude, elevation, dateTime);
+	const topocentric = apparent.map((x, i) => x - observer[i]);
+
+	return {
+		geometric: toStage(geometric),
+		lightTime,
+		astrometric: toStage(astrometric),
+		apparent: toStage(apparent),
+		topocentric: toStage(topocentric)
+	};
+}
+
+
+
+/**
+ * Time at which a function of time crosses zero
+ * @typedef {object} Crossing
+ * @property {Date} date
+ * @property {boolean} rising Whether the value changes from negative to positive
+ */
+
+/**
+ * Time at which a function of time reaches a local maximum or minimum
+ * @typedef {object} Extremum
+ * @property {Date} date
+ * @property {number} value Value of the function at date
+ * @property {boolean} maximum Whether the value is a maximum, otherwise a minimum
+ */
+
+/**
+ * Search for the times at which a quantity like a distance or an angle reaches zero or an extreme value.
+ * The function is sampled in fixed steps, then the times are refined by bisection or golden-section search.
+ */
+class EventSearch {
+	/** Precision of the found times in milliseconds */
+	static precision = 1000;
+
+	/**
+	 * Find all times between two dates at which a function crosses zero.
+	 * The function has to be continuous, e.g. use the sine of a difference of angles instead of the normalized difference.
+	 * @example
+	 * // Times when the sun crosses the celestial equator
+	 * EventSearch.findCrossings(date => Sun.calculateEquatorial(date).declination, new Date("2025-01-01"), new Date("2026-01-01"))
+	 * @param {(dateTime: Date) => number} calculateValue
+	 * @param {Date} startDate
+	 * @param {Date} endDate
+	 * @param {number} step Sampling interval in days, two crossings closer than this may be missed
+	 * @returns {Crossing[]}
+	 */
+	static findCrossings(calculateValue, startDate, endDate, step = 1) {
+		const calculate = time => calculateValue(new Date(time));
+		const stepMs = step * 86400000;
+		const end = endDate.getTime();
+
+		const crossings = [];
+		let time = startDate.getTime();
+		let value = calculate(time);
+		while (time < end) {
+			const next = Math.min(time + stepMs, end);
+			const nextValue = calculate(next);
+			if (value < 0 !== nextValue < 0) {
+				// Bisection, keeping the sign of the value at the beginning of the interval
+				const rising = value < 0;
+				let before = time;
+				let after = next;
+				while (after - before > this.precision) {
+					const middle = (before + after) / 2;
+					if (calculate(middle) < 0 === rising) before = middle;
+					else after = middle;
+				}
+				crossings.push({ date: new Date((before + after) / 2), rising });
+			}
+			time = next;
+			value = nextValue;
 		}
+		return crossings;
+	}
+
+	/**
+	 * Find all local maxima and minima of a function between two dates
+	 * @param {(dateTime: Date) => number} calculateValue
+	 * @param {Date} startDate
+	 * @param {Date} endDate
+	 * @param {number} step Sampling interval in days, two extrema closer than this may be missed
+	 * @returns {Extremum[]}
+	 */
+	static findExtrema(calculateValue, startDate, endDate, step = 1) {
+		const calculate = time => calculateValue(new Date(time));
+		const stepMs = step * 86400000;
+		const start = startDate.getTime();
+		const end = endDate.getTime();
 
-		return new Equatorial(rightAscension < 0 ? rightAscension + 360 : rightAscension, declination);
+		// Golden-section search within two steps around the sample with the extreme value
+		const refine = (from, to, sign) => {
+			const ratio = (Math.sqrt(5) - 1) / 2;
+			while (to - from > this.precision) {
+				const a = to - ratio * (to - from);
+				const b = from + ratio * (to - from);
+				if (sign * calculate(a) > sign * calculate(b)) to = b;
+				else from = a;
+			}
+			return (from + to) / 2;
+		};
+
+		// Sample one step beyond both dates, so that extrema close to them are found as well
+		const extrema = [];
+		let previous = calculate(start - stepMs);
+		let time = start;
+		let value = calculate(time);
+		while (time < end + stepMs) {
+			const next = time + stepMs;
+			const nextValue = calculate(next);
+			const maximum = value > previous && value >= nextValue;
+			if (maximum || value < previous && value <= nextValue) {
+				const extremum = refine(time - stepMs, next, maximum ? 1 : -1);
+				if (extremum >= start && extremum < end) {
+					extrema.push({ date: new Date(extremum), value: calculate(extremum), maximum });
+				}
+			}
+			previous = value;
+			time = next;
+			value = nextValue;
+		}
+		return extrema;
 	}
 }
 
 
 
+/**
+ * Catalog data describing the motion of a star
+ * @typedef {object} StarMotion
+ * @property {number} [properMotionRA] Proper motion in right ascension multiplied by cos(declination) in milliarcseconds per year
+ * @property {number} [properMotionDec] Proper motion in declination in milliarcseconds per year
+ * @property {number} [parallax] Parallax in milliarcseconds, 0 if unknown
+ * @property {number} [radialVelocity] Radial velocity in kilometers per second, positive if the star moves away
+ * @property {number} [epoch] Julian Day of the date the position refers to, defaults to the equinox or J2000
+ */
+
+/**
+ * Catalog data describing a star apart from its position and motion
+ * @typedef {object} StarDetails
+ * @property {string | null} [name] Proper name like "Vega"
+ * @property {string[]} [designations] Designations like "α Lyr", "3 Lyr", "HR 7001", "HD 172167" and "HIP 91262"
+ * @property {number | null} [magnitude] Apparent visual magnitude
+ * @property {number | null} [colorIndex] B-V color index
+ */
+
 class Star {
 	rightAscension;
 	declination;
 
+	/** Julian Day of the mean equator and equinox the coordinates are referred to, see Equinox */
+	equinox;
+
+	/** Julian Day of the date the position refers to */
+	epoch;
+
+	/** Proper motion in right ascension multiplied by cos(declination) in milliarcseconds per year */
+	properMotionRA;
+
+	/** Proper motion in declination in milliarcseconds per year */
+	properMotionDec;
+
+	/** Parallax in milliarcseconds, 0 if unknown */
+	parallax;
+
+	/** Radial velocity in kilometers per second */
+	radialVelocity;
+
+	/** Proper name like "Vega", null if the star has none */
+	name;
+
+	/** Designations like "α Lyr", "3 Lyr", "HR 7001", "HD 172167" and "HIP 91262" */
+	designations;
+
+	/** Apparent visual magnitude, null if unknown */
+	magnitude;
+
+	/** B-V color index, null if unknown */
+	colorIndex;
+
 	/**
 	 * @param {number} rightAscension
 	 * @param {number} declination
+	 * @param {number | null} equinox Julian Day of the mean equator and equinox the coordinates are referred to (see Equinox),
+	 * null if they are already referred to the true equator and equinox of the date of observation
+	 * @param {StarMotion} motion Proper motion, parallax and radial velocity of the star and the epoch of its position
+	 * @param {StarDetails} details Name, designations and brightness of the star
 	 */
-	constructor(rightAscension, declination) {
+	constructor(rightAscension, declination, equinox = Equinox.J2000, motion = {}, details = {}) {
 		this.rightAscension = rightAscension;
 		this.declination = declination;
+		this.equinox = equinox;
+		this.epoch = motion.epoch ?? equinox ?? Equinox.J2000;
+		this.properMotionRA = motion.properMotionRA ?? 0;
+		this.properMotionDec = motion.properMotionDec ?? 0;
+		this.parallax = motion.parallax ?? 0;
+		this.radialVelocity = motion.radialVelocity ?? 0;
+		this.name = details.name ?? null;
+		this.designations = details.designations ?? [];
+		this.magnitude = details.magnitude ?? null;
+		this.colorIndex = details.colorIndex ?? null;
 	}
 
 	/**
-	 * Calculate azimuthal position of the star
-	 * @param {number} geoLatitude Geographic latitude of the observer
-	 * @param {number} geoLongitude Geographic longitude of the observer
-	 * @param {Date} dateTime
-	 * @returns {Azimuthal}
+	 * Look up a star of the catalog by its proper name like "Vega", see loadCatalog_data()
+	 * @param {string} name Case and accents are ignored
+	 * @returns {Star | null} null if there is no such star in the catalog
 	 */
-	calculateAzimuthal(geoLatitude, geoLongitude, dateTime = new Date()) {
-		return new Equatorial(this.rightAscension, this.declination)
-			.toAzimuthal(geoLatitude, geoLongitude, dateTime);
+	static byName(name) {
+		return getCatalog_data().starsByName.get(normalizeCatalogName(name)) ?? null;
 	}
-}
 
-class Planet {
-	/** A number indicating which planet from PlanetAbbreviation to use */
-	planet;
+	/**
+	 * Look up a star of the catalog by its number in the Hipparcos, Bright Star or Henry Draper catalog
+	 * or by its Bayer or Flamsteed designation, see loadCatalog_data()
+	 * @example
+	 * Star.byId("HIP 91262"), Star.byId("HR 7001"), Star.byId("HD 172167"), Star.byId("α Lyr"), Star.byId("Alpha Lyrae"), Star.byId("3 Lyr")
+	 * @param {string} designation
+	 * @returns {Star | null} null if there is no such star in the catalog
+	 */
+	static byId(designation) {
+		const catalogNumber = normalizeCatalogName(designation).match(/^(hip|hr|hd) ?0*(\d+)$/);
+		const key = catalogNumber != null ? `${catalogNumber[1]} ${catalogNumber[2]}` : parseStellarDesignation(designation);
+		return getCatalog_data().starsById.get(key) ?? null;
+	}
 
 	/**
-	 * @param {number} planet A number indicating which planet from PlanetAbbreviation to use
+	 * Find all stars of the catalog above the horizon that are at least as bright as a certain magnitude, see loadCatalog_data()
+	 * @param {number} geoLatitude Geographic latitude of the observer
+	 * @param {number} geoLongitude Geographic longitude of the observer
+	 * @param {Date} dateTime
+	 * @param {number} magnitudeLimit Faintest magnitude to include, stars of unknown magnitude are only included with Infinity
+	 * @param {number} minimumHeight Height above which the stars have to be
+	 * @param {Atmosphere | null} atmosphere Conditions used to add the refraction to the height, null for the geometric height
+	 * @returns {VisibleObject[]} Brightest stars first
 	 */
-	constructor(planet) {
-		this.planet = planet;
+	static findAboveHorizon(geoLatitude, geoLongitude, dateTime = new Date(), magnitudeLimit = Infinity, minimumHeight = 0, atmosphere = null) {
+		return findCatalogObjectsAboveHorizon(getCatalog_data().stars, geoLatitude, geoLongitude, dateTime,
+			magnitudeLimit, minimumHeight, atmosphere);
 	}
 
 	/**
-	 * Calculate heliocentric cartesian position of the planet
+	 * Move the star along its straight space motion from the epoch of its position to another date, taking into account
+	 * that the light travel time changes with the distance. Without a parallax, the radial velocity is ignored.
 	 * @param {Date} dateTime
-	 * @returns {HeliocentricCartesian}
+	 * @returns {Star} The star with position, proper motion, parallax and radial velocity at dateTime
 	 */
-	calculateHeliocentricCartesian(dateTime = new Date()) {
-		const year = dateTime.getUTCFullYear();
-		const month = dateTime.getUTCMonth() + 1;
-		const hours = dateTime.getUTCHours();
-		const minutes = dateTime.getUTCMinutes();
-		const seconds = dateTime.getUTCSeconds();
-		const milliseconds = dateTime.getUTCMilliseconds();
-		
-		const date = dateTime.getUTCDate() + hours / 24 + minutes / 60 / 24 + seconds / 60 / 60 / 24 + milliseconds / 1000 / 60 / 60 / 24;
+	propagate(dateTime = new Date()) {
+		const julianDay = JulianDay.fromDate(dateTime, TimeScale.tt);
+		if (this.properMotionRA === 0 && this.properMotionDec === 0 && this.radialVelocity === 0) {
+			return new Star(this.rightAscension, this.declination, this.equinox, { ...this, epoch: julianDay }, this);
+		}
 
-		const JD = JulianDay.calculate(year, month, date);
-		const T = JulianDay.calculateJulianMillenniaJ2000(JD);
+		const daysPerYear = 365.25;
+		const masToRadians = Math.PI / 180 / 3600000;
+		const secondsPerDay = 86400;
 
-		const planetName = Object.entries(PlanetAbbreviation).find(x => x[1] === this.planet)[0];
-		if (vsop87c_data == undefined) {
-			throw Error("Trying to access undefined variable vsop87c_data: Call loadVSOP87_data() before calculating planet/sun position");
-		}
-		const data = vsop87c_data[planetName];
-		let xyz = [];
+		// Distance in light days and radial velocity in distances of the star per year, both unknown without a parallax
+		const distance = this.parallax > 0 ? Const.kmPerAU * 648000000 / Math.PI / this.parallax / Const.speedOfLight / secondsPerDay : 0;
+		const radialVelocity = distance > 0 ? this.radialVelocity / Const.speedOfLight / distance * daysPerYear : 0;
 
-		for (const rows of data) {
-			let series = [];
-			for (const row of rows) {
-				const terms = row.map(term => term.a * Math.cos(term.b + term.c * T));
-				series.push(sum(terms));
-			}
-			const variable = series.reduce((partialSum, currVal, i) => partialSum + currVal * T**i, 0);
-			xyz.push(variable);
+		// Unit vector towards the star and the directions of increasing right ascension and declination
+		const position = sphericalToVector(this.rightAscension, this.declination);
+		const east = [-sindeg(this.rightAscension), cosdeg(this.rightAscension), 0];
+		const north = [
+			-sindeg(this.declination) * cosdeg(this.rightAscension),
+			-sindeg(this.declination) * sindeg(this.rightAscension),
+			cosdeg(this.declination)
+		];
+
+		// The proper motion is observed over the time the light arrives, which differs from the time it is emitted if the distance changes
+		const lightTimeFactor = distance > 0 ? 1 + this.radialVelocity / Const.speedOfLight : 1;
+		const velocity = [0, 1, 2].map(i => (this.properMotionRA * east[i] + this.properMotionDec * north[i]) * masToRadians * lightTimeFactor
+			+ radialVelocity * position[i]);
+
+		// The light arriving at dateTime left the star earlier or later than the light arriving at the epoch
+		const years = (julianDay - this.epoch) / daysPerYear;
+		const move = years => position.map((x, i) => x + velocity[i] * years);
+		let moved = move(years);
+		for (let i = 0; i < 2; i++) {
+			moved = move(years + distance * (1 - Math.hypot(...moved)) / daysPerYear);
 		}
 
-		return new HeliocentricCartesian(...xyz, dateTime);
-	}
+		const movedDistance = Math.hypot(...moved);
+		const spherical = vectorToSpherical(moved);
+		const movedEast = [-sindeg(spherical.longitude), cosdeg(spherical.longitude), 0];
+		const movedNorth = [
+			-sindeg(spherical.latitude) * cosdeg(spherical.longitude),
+			-sindeg(spherical.latitude) * sindeg(spherical.longitude),
+			cosdeg(spherical.latitude)
+		];
+		const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+		const movedRadialVelocity = distance > 0
+			? dot(velocity, moved) / movedDistance * distance * Const.speedOfLight / daysPerYear
+			: this.radialVelocity;
+		const movedLightTimeFactor = distance > 0 ? 1 + movedRadialVelocity / Const.speedOfLight : 1;
 
-	/**
-	 * Calculate equatorial position of the planet
-	 * @param {Date} dateTime
-	 * @returns {Equatorial}
-	 */
-	calculateEquatorial(dateTime = new Date()) {
-		return this.calculateHeliocentricCartesian(dateTime)
-			.toGeocentricCartesian().toEcliptical().toEquatorial();
+		return new Star(spherical.longitude, spherical.latitude, this.equinox, {
+			epoch: julianDay,
+			properMotionRA: dot(velocity, movedEast) / movedDistance / masToRadians / movedLightTimeFactor,
+			properMotionDec: dot(velocity, movedNorth) / movedDistance / masToRadians / movedLightTimeFactor,
+			parallax: this.parallax / movedDistance,
+			radialVelocity: movedRadialVelocity
+		}, this);
 	}
 
 	/**
-	 * Calculate azimuthal position of the planet
+	 * Calculate azimuthal position of the star
 	 * @param {number} geoLatitude Geographic latitude of the observer
 	 * @param {number} geoLongitude Geographic longitude of the observer
 	 * @param {Date} dateTime
+	 * @param {Atmosphere | null} atmosphere Conditions used to add the refraction to the height, null for the geometric height
 	 * @returns {Azimuthal}
 	 */
-	calculateAzimuthal(geoLatitude, geoLongitude, dateTime = new Date()) {
-		return this.calculateEquatorial(dateTime).toAzimuthal(geoLatitude, geoLongitude, dateTime);
+	calculateAzimuthal(geoLatitude, geoLongitude, dateTime = new Date(), atmosphere = null) {
+		return this.calculateEquatorial(dateTime).toAzimuthal(geoLatitude, geoLongitude, dateTime, atmosphere);
 	}
-}
 
-class Sun {
 	/**
-	 * Calculate geocentric cartesian position of the sun
+	 * Calculate equatorial position of the star at dateTime, referred to the true equator and equinox of date
 	 * @param {Date} dateTime
-	 * @returns {GeocentricCartesian}
+	 * @returns {Equatorial}
 	 */
-	static calculateGeocentricCartesian(dateTime = new Date()) {
-		return new HeliocentricCartesian(0, 0, 0, dateTime).toGeocentricCartesian();
+	calculateEquatorial(dateTime = new Date()) {
+		const star = this.propagate(dateTime);
+		return new Equatorial(star.rightAscension, star.declination, this.equinox).precess(null, dateTime);
 	}
 
 	/**
-	 * Calculate azimuthal position of the sun
+	 * Calculate rise, upper transit and set of the star on the local day containing dateTime
 	 * @param {number} geoLatitude Geographic latitude of the observer
 	 * @param {number} geoLongitude Geographic longitude of the observer
 	 * @param {Date} dateTime
-	 * @returns {Azimuthal}
+	 * @returns {RiseTransitSet}
+	 */
+	calculateRiseTransitSet(geoLatitude, geoLongitude, dateTime = new Date()) {
+		return calculateRiseTransitSet(date => this.calculateEquatorial(date), Const.horizonHeight,
+			geoLatitude, geoLongitude, dateTime);
+	}
+}
+
+/**
+ * Catalog data describing a deep-sky object
+ * @typedef {object} DeepSkyObjectDetails
+ * @property {string[]} [designations] Designations like "M 31" and "NGC 224", the most common one first
+ * @property {string[]} [names] Common names like "Andromeda Galaxy"
+ * @property {DeepSkyObjectType} [type]
+ * @property {number | null} [magnitude] Apparent visual magnitude, or blue magnitude if the visual one is unknown
+ * @property {number | null} [majorAxis] Apparent size along the major axis in arcminutes
+ * @property {number | null} [minorAxis] Apparent size along the minor axis in arcminutes
+ * @property {number | null} [positionAngle] Position angle of the major axis in degrees, measured from north towards east
+ * @property {string | null} [constellation] Abbreviation of the constellation like "And"
+ */
+
+/**
+ * Galaxies, star clusters and nebulae. They are so far away that they don't move noticeably.
+ * @link https://en.wikipedia.org/wiki/Deep-sky_object
+ */
+class DeepSkyObject {
+	rightAscension;
+	declination;
+
+	/** Julian Day of the mean equator and equinox the coordinates are referred to, see Equinox */
+	equinox;
+
+	/** Designations like "M 31" and "NGC 224", the most common one first */
+	designations;
+
+	/** Common names like "Andromeda Galaxy" */
+	names;
+
+	/** Kind of object, see DeepSkyObjectType */
+	type;
+
+	/** Apparent visual magnitude, or blue magnitude if the visual one is unknown, null if unknown */
+	magnitude;
+
+	/** Apparent size along the major axis in arcminutes, null if unknown */
+	majorAxis;
+
+	/** Apparent size along the minor axis in arcminutes, null if unknown */
+	minorAxis;
+
+	/** Position angle of the major axis in degrees, measured from north towards east, null if unknown */
+	positionAngle;
+
+	/** Abbreviation of the constellation like "And", null if unknown */
+	constellation;
+
+	/**
+	 * @param {number} rightAscension
+	 * @param {number} declination
+	 * @param {number} equinox Julian Day of the mean equator and equinox the coordinates are referred to, see Equinox
+	 * @param {DeepSkyObjectDetails} details Designations, names, type, brightness and size of the object
+	 */
+	constructor(rightAscension, declination, equinox = Equinox.J2000, details = {}) {
+		this.rightAscension = rightAscension;
+		this.declination = declination;
+		this.equinox = equinox;
+		this.designations = details.designations ?? [];
+		this.names = details.names ?? [];
+		this.type = details.type ?? DeepSkyObjectType.other;
+		this.magnitude = details.magnitude ?? null;
+		this.majorAxis = details.majorAxis ?? null;
+		this.minorAxis = details.minorAxis ?? null;
+		this.positionAngle = details.positionAngle ?? null;
+		this.constellation = details.constellation ?? null;
+	}
+
+	/**
+	 * Look up a deep-sky object of the catalog by its designation, see loadCatalog_data()
+	 * @example
+	 * DeepSkyObject.byId("M31"), DeepSkyObject.byId("NGC 224"), DeepSkyObject.byId("IC 434")
+	 * @param {string} designation
+	 * @returns {DeepSkyObject | null} null if there is no such object in the catalog
+	 */
+	static byId(designation) {
+		return getCatalog_data().deepSkyObjectsById.get(normalizeDeepSkyObjectDesignation(designation)) ?? null;
+	}
+
+	/**
+	 * Look up a deep-sky object of the catalog by its common name like "Andromeda Galaxy", see loadCatalog_data()
+	 * @param {string} name Case and accents are ignored
+	 * @returns {DeepSkyObject | null} null if there is no such object in the catalog
+	 */
+	static byName(name) {
+		return getCatalog_data().deepSkyObjectsByName.get(normalizeCatalogName(name)) ?? null;
+	}
+
+	/**
+	 * Find all deep-sky objects of the catalog above the horizon that are at least as bright as a certain magnitude, see loadCatalog_data()
+	 * @param {number} geoLatitude Geographic latitude of the observer
+	 * @param {number} geoLongitude Geographic longitude of the observer
+	 * @param {Date} dateTime
+	 * @param {number} magnitudeLimit Faintest magnitude to include, objects of unknown magnitude are only included with Infinity
+	 * @param {number} minimumHeight Height above which the objects have to be
+	 * @param {Atmosphere | null} atmosphere Conditions used to add the refraction to the height, null for the geometric height
+	 * @returns {VisibleObject[]} Brightest objects first
+	 */
+	static findAboveHorizon(geoLatitude, geoLongitude, dateTime = new Date(), magnitudeLimit = Infinity, minimumHeight = 0, atmosphere = null) {
+		return findCatalogObjectsAboveHorizon(getCatalog_data().deepSkyObjects, geoLatitude, geoLongitude, dateTime,
+			magnitudeLimit, minimumHeight, atmosphere);
+	}
+
+	/**
+	 * Calculate azimuthal position of the object
+	 * @param {number} geoLatitude Geographic latitude of the observer
+	 * @param {number} geoLongitude Geographic longitude of the observer
+	 * @param {Date} dateTime
+	 * @param {Atmosphere | null} atmosphere Conditions used to add the refraction to the height, null for the geometric height
+	 * @returns {Azimuthal}
+	 */
+	calculateAzimuthal(geoLatitude, geoLongitude, dateTime = new Date(), atmosphere = null) {
+		return this.calculateEquatorial(dateTime).toAzimuthal(geoLatitude, geoLongitude, dateTime, atmosphere);
+	}
+
+	/**
+	 * Calculate equatorial position of the object at dateTime, referred to the true equator and equinox of date
+	 * @param {Date} dateTime
+	 * @returns {Equatorial}
+	 */
+	calculateEquatorial(dateTime = new Date()) {
+		return new Equatorial(this.rightAscension, this.declination, this.equinox).precess(null, dateTime);
+	}
+
+	/**
+	 * Calculate rise, upper transit and set of the object on the local day containing dateTime
+	 * @param {number} geoLatitude Geographic latitude of the observer
+	 * @param {number} geoLongitude Geographic longitude of the observer
+	 * @param {Date} dateTime
+	 * @returns {RiseTransitSet}
+	 */
+	calculateRiseTransitSet(geoLatitude, geoLongitude, dateTime = new Date()) {
+		return calculateRiseTransitSet(date => this.calculateEquatorial(date), Const.horizonHeight,
+			geoLatitude, geoLongitude, dateTime);
+	}
+}
+
+/**
+ * Boundaries of the constellations as defined by Delporte in 1930, referred to the equinox B1875 (Roman 1987, CDS catalog VI/42).
+ * Each row contains the lower and upper right ascension in hours, the lower declination in degrees and the abbreviation of the constellation.
+ * A position belongs to the constellation of the first row whose area contains it.
+ * @link https://cdsarc.cds.unistra.fr/viz-bin/cat/VI/42
+ */
+const constellationBoundaries = [
+	[0, 24, 88, "UMi"], [8, 14.5, 86.5, "UMi"], [21, 23, 86.1667, "UMi"], [18, 21, 86, "UMi"], [0, 8, 85, "Cep"],
+	[9.1667, 10.6667, 82, "Cam"], [0, 5, 80, "Cep"], [10.6667, 14.5, 80, "Cam"], [17.5, 18, 80, "UMi"],
+	[20.1667, 21, 80, "Dra"], [0, 3.5083, 77, "Cep"], [11.5, 13.5833, 77, "Cam"], [16.5333, 17.5, 75, "UMi"],
+	[20.1667, 20.6667, 75, "Cep"], [7.9667, 9.1667, 73.5, "Cam"], [9.1667, 11.3333, 73.5, "Dra"],
+	[13, 16.5333, 70, "UMi"], [3.1, 3.4167, 68, "Cas"], [20.4167, 20.6667, 67, "Dra"],
+	[11.3333, 12, 66.5, "Dra"], [0, 0.3333, 66, "Cep"], [14, 15.6667, 66, "UMi"], [23.5833, 24, 66, "Cep"],
+	[12, 13.5, 64, "Dra"], [13.5, 14.4167, 63, "Dra"], [23.1667, 23.5833, 63, "Cep"], [6.1, 7, 62, "Cam"],
+	[20, 20.4167, 61.5, "Dra"], [20.5367, 20.6, 60.9167, "Cep"], [7, 7.9667, 60, "Cam"],
+	[7.9667, 8.4167, 60, "UMa"], [19.7667, 20, 59.5, "Dra"], [20, 20.5367, 59.5, "Cep"],
+	[22.8667, 23.1667, 59.0833, "Cep"], [0, 2.4333, 58.5, "Cas"], [19.4167, 19.7667, 58, "Dra"],
+	[1.7, 1.9083, 57.5, "Cas"], [2.4333, 3.1, 57, "Cas"], [3.1, 3.1667, 57, "Cam"],
+	[22.3167, 22.8667, 56.25, "Cep"], [5, 6.1, 56, "Cam"], [14.0333, 14.4167, 55.5, "UMa"],
+	[14.4167, 19.4167, 55.5, "Dra"], [3.1667, 3.3333, 55, "Cam"], [22.1333, 22.3167, 55, "Cep"],
+	[20.6, 21.9667, 54.8333, "Cep"], [0, 1.7, 54, "Cas"], [6.1, 6.5, 54, "Lyn"], [12.0833, 13.5, 53, "UMa"],
+	[15.25, 15.75, 53, "Dra"], [21.9667, 22.1333, 52.75, "Cep"], [3.3333, 5, 52.5, "Cam"],
+	[22.8667, 23.3333, 52.5, "Cas"], [15.75, 17, 51.5, "Dra"], [2.0417, 2.5167, 50.5, "Per"],
+	[17, 18.2333, 50.5, "Dra"], [0, 1.3667, 50, "Cas"], [1.3667, 1.6667, 50, "Per"], [6.5, 6.8, 50, "Lyn"],
+	[23.3333, 24, 50, "Cas"], [13.5, 14.0333, 48.5, "UMa"], [0, 1.1167, 48, "Cas"], [23.5833, 24, 48, "Cas"],
+	[18.175, 18.2333, 47.5, "Her"], [18.2333, 19.0833, 47.5, "Dra"], [19.0833, 19.1667, 47.5, "Cyg"],
+	[1.6667, 2.0417, 47, "Per"], [8.4167, 9.1667, 47, "UMa"], [0.1667, 0.8667, 46, "Cas"],
+	[12, 12.0833, 45, "UMa"], [6.8, 7.3667, 44.5, "Lyn"], [21.9083, 21.9667, 44, "Cyg"],
+	[21.875, 21.9083, 43.75, "Cyg"], [19.1667, 19.4, 43.5, "Cyg"], [9.1667, 10.1667, 42, "UMa"],
+	[10.1667, 10.7833, 40, "UMa"], [15.4333, 15.75, 40, "Boo"], [15.75, 16.3333, 40, "Her"],
+	[9.25, 9.5833, 39.75, "Lyn"], [0, 2.5167, 36.75, "And"], [2.5167, 2.5667, 36.75, "Per"],
+	[19.3583, 19.4, 36.5, "Lyr"], [4.5, 4.6917, 36, "Per"], [21.7333, 21.875, 36, "Cyg"],
+	[21.875, 22, 36, "Lac"], [6.5333, 7.3667, 35.5, "Aur"], [7.3667, 7.75, 35.5, "Lyn"], [0, 2, 35, "And"],
+	[22, 22.8167, 35, "Lac"], [22.8167, 22.8667, 34.5, "Lac"], [22.8667, 23.5, 34.5, "And"],
+	[2.5667, 2.7167, 34, "Per"], [10.7833, 11, 34, "UMa"], [12, 12.3333, 34, "CVn"], [7.75, 9.25, 33.5, "Lyn"],
+	[9.25, 9.8833, 33.5, "LMi"], [0.7167, 1.4083, 33, "And"], [15.1833, 15.4333, 33, "Boo"],
+	[23.5, 23.75, 32.0833, "And"], [12.3333, 13.25, 32, "CVn"], [23.75, 24, 31.3333, "And"],
+	[13.9583, 14.0333, 30.75, "CVn"], [2.4167, 2.7167, 30.6667, "Tri"], [2.7167, 4.5, 30.6667, "Per"],
+	[4.5, 4.75, 30, "Aur"], [18.175, 19.3583, 30, "Lyr"], [11, 12, 29, "UMa"], [19.6667, 20.9167, 29, "Cyg"],
+	[4.75, 5.8833, 28.5, "Aur"], [9.8833, 10.5, 28.5, "LMi"], [13.25, 13.9583, 28.5, "CVn"],
+	[0, 0.0667, 28, "And"], [1.4083, 1.6667, 28, "Tri"], [5.8833, 6.5333, 28, "Aur"], [7.8833, 8, 28, "Gem"],
+	[20.9167, 21.7333, 28, "Cyg"], [19.2583, 19.6667, 27.5, "Cyg"], [1.9167, 2.4167, 27.25, "Tri"],
+	[16.1667, 16.3333, 27, "CrB"], [15.0833, 15.1833, 26, "Boo"], [15.1833, 16.1667, 26, "CrB"],
+	[18.3667, 18.8667, 26, "Lyr"], [10.75, 11, 25.5, "LMi"], [18.8667, 19.2583, 25.5, "Lyr"],
+	[1.6667, 1.9167, 25, "Tri"], [0.7167, 0.85, 23.75, "Psc"], [10.5, 10.75, 23.5, "LMi"],
+	[21.25, 21.4167, 23.5, "Vul"], [5.7, 5.8833, 22.8333, "Tau"], [0.0667, 0.1417, 22, "And"],
+	[15.9167, 16.0333, 22, "Ser"], [5.8833, 6.2167, 21.5, "Gem"], [19.8333, 20.25, 21.25, "Vul"],
+	[18.8667, 19.25, 21.0833, "Vul"], [0.1417, 0.85, 21, "And"], [20.25, 20.5667, 20.5, "Vul"],
+	[7.8083, 7.8833, 20, "Gem"], [20.5667, 21.25, 19.5, "Vul"], [19.25, 19.8333, 19.1667, "Vul"],
+	[3.2833, 3.3667, 19, "Ari"], [18.8667, 19, 18.5, "Sge"], [5.7, 5.7667, 18, "Ori"],
+	[6.2167, 6.3083, 17.5, "Gem"], [19, 19.8333, 16.1667, "Sge"], [4.9667, 5.3333, 16, "Tau"],
+	[15.9167, 16.0833, 16, "Her"], [19.8333, 20.25, 15.75, "Sge"], [4.6167, 4.9667, 15.5, "Tau"],
+	[5.3333, 5.6, 15.5, "Tau"], [12.8333, 13.5, 15, "Com"], [17.25, 18.25, 14.3333, "Her"],
+	[11.8667, 12.8333, 14, "Com"], [7.5, 7.8083, 13.5, "Gem"], [16.75, 17.25, 12.8333, "Her"],
+	[0, 0.1417, 12.5, "Peg"], [5.6, 5.7667, 12.5, "Tau"], [7, 7.5, 12.5, "Gem"], [21.1167, 21.3333, 12.5, "Peg"],
+	[6.3083, 6.9333, 12, "Gem"], [18.25, 18.8667, 12, "Her"], [20.875, 21.05, 11.8333, "Del"],
+	[21.05, 21.1167, 11.8333, "Peg"], [11.5167, 11.8667, 11, "Leo"], [6.2417, 6.3083, 10, "Ori"],
+	[6.9333, 7, 10, "Gem"], [7.8083, 7.925, 10, "Cnc"], [23.8333, 24, 10, "Peg"],
+	[1.6667, 3.2833, 9.9167, "Ari"], [20.1417, 20.3, 8.5, "Del"], [13.5, 15.0833, 8, "Boo"],
+	[22.75, 23.8333, 7.5, "Peg"], [7.925, 9.25, 7, "Cnc"], [9.25, 10.75, 7, "Leo"],
+	[18.25, 18.6622, 6.25, "Oph"], [18.6622, 18.8667, 6.25, "Aql"], [20.8333, 20.875, 6, "Del"],
+	[7, 7.0167, 5.5, "CMi"], [18.25, 18.425, 4.5, "Ser"], [16.0833, 16.75, 4, "Her"], [18.25, 18.425, 3, "Oph"],
+	[21.4667, 21.6667, 2.75, "Peg"], [0, 2, 2, "Psc"], [18.5833, 18.8667, 2, "Ser"], [20.3, 20.8333, 2, "Del"],
+	[20.8333, 21.3333, 2, "Equ"], [21.3333, 21.4667, 2, "Peg"], [22, 22.75, 2, "Peg"],
+	[21.6667, 22, 1.75, "Peg"], [7.0167, 7.2, 1.5, "CMi"], [3.5833, 4.6167, 0, "Tau"],
+	[4.6167, 4.6667, 0, "Ori"], [7.2, 8.0833, 0, "CMi"], [14.6667, 15.0833, 0, "Vir"],
+	[17.8333, 18.25, 0, "Oph"], [2.65, 3.2833, -1.75, "Cet"], [3.2833, 3.5833, -1.75, "Tau"],
+	[15.0833, 16.2667, -3.25, "Ser"], [4.6667, 5.0833, -4, "Ori"], [5.8333, 6.2417, -4, "Ori"],
+	[17.8333, 17.9667, -4, "Ser"], [18.25, 18.5833, -4, "Ser"], [18.5833, 18.8667, -4, "Aql"],
+	[22.75, 23.8333, -4, "Psc"], [10.75, 11.5167, -6, "Leo"], [11.5167, 11.8333, -6, "Vir"],
+	[0, 0.3333, -7, "Psc"], [23.8333, 24, -7, "Psc"], [14.25, 14.6667, -8, "Vir"], [15.9167, 16.2667, -8, "Oph"],
+	[20, 20.5333, -9, "Aql"], [21.3333, 21.8667, -9, "Aqr"], [17.1667, 17.9667, -10, "Oph"],
+	[5.8333, 8.0833, -11, "Mon"], [4.9167, 5.0833, -11, "Eri"], [5.0833, 5.8333, -11, "Ori"],
+	[8.0833, 8.3667, -11, "Hya"], [9.5833, 10.75, -11, "Sex"], [11.8333, 12.8333, -11, "Vir"],
+	[17.5833, 17.6667, -11.6667, "Oph"], [18.8667, 20, -12.0333, "Aql"], [4.8333, 4.9167, -14.5, "Eri"],
+	[20.5333, 21.3333, -15, "Aqr"], [17.1667, 18.25, -16, "Ser"], [18.25, 18.8667, -16, "Sct"],
+	[8.3667, 8.5833, -17, "Hya"], [16.2667, 16.375, -18.25, "Oph"], [8.5833, 9.0833, -19, "Hya"],
+	[10.75, 10.8333, -19, "Crt"], [16.2667, 16.375, -19.25, "Sco"], [15.6667, 15.9167, -20, "Lib"],
+	[12.5833, 12.8333, -22, "Crv"], [12.8333, 14.25, -22, "Vir"], [9.0833, 9.75, -24, "Hya"],
+	[1.6667, 2.65, -24.3833, "Cet"], [2.65, 3.75, -24.3833, "Eri"], [10.8333, 11.8333, -24.5, "Crt"],
+	[11.8333, 12.5833, -24.5, "Crv"], [14.25, 14.9167, -24.5, "Lib"], [16.2667, 16.75, -24.5833, "Oph"],
+	[0, 1.6667, -25.5, "Cet"], [21.3333, 21.8667, -25.5, "Cap"], [21.8667, 23.8333, -25.5, "Aqr"],
+	[23.8333, 24, -25.5, "Cet"], [9.75, 10.25, -26.5, "Hya"], [4.7, 4.8333, -27.25, "Eri"],
+	[4.8333, 6.1167, -27.25, "Lep"], [20, 21.3333, -28, "Cap"], [10.25, 10.5833, -29.1667, "Hya"],
+	[12.5833, 14.9167, -29.5, "Hya"], [14.9167, 15.6667, -29.5, "Lib"], [15.6667, 16, -29.5, "Sco"],
+	[4.5833, 4.7, -30, "Eri"], [16.75, 17.6, -30, "Oph"], [17.6, 17.8333, -30, "Sgr"],
+	[10.5833, 10.8333, -31.1667, "Hya"], [6.1167, 7.3667, -33, "CMa"], [12.25, 12.5833, -33, "Hya"],
+	[10.8333, 12.25, -35, "Hya"], [3.5, 3.75, -36, "For"], [8.3667, 9.3667, -36.75, "Pyx"],
+	[4.2667, 4.5833, -37, "Eri"], [17.8333, 19.1667, -37, "Sgr"], [21.3333, 23, -37, "PsA"],
+	[23, 23.3333, -37, "Scl"], [3, 3.5, -39.5833, "For"], [9.3667, 11, -39.75, "Ant"], [0, 1.6667, -40, "Scl"],
+	[1.6667, 3, -40, "For"], [3.8667, 4.2667, -40, "Eri"], [23.3333, 24, -40, "Scl"],
+	[14.1667, 14.9167, -42, "Cen"], [15.6667, 16, -42, "Lup"], [16, 16.4208, -42, "Sco"],
+	[4.8333, 5, -43, "Cae"], [5, 6.5833, -43, "Col"], [8, 8.3667, -43, "Pup"], [3.4167, 3.8667, -44, "Eri"],
+	[16.4208, 17.8333, -45.5, "Sco"], [17.8333, 19.1667, -45.5, "CrA"], [19.1667, 20.3333, -45.5, "Sgr"],
+	[20.3333, 21.3333, -45.5, "Mic"], [3, 3.4167, -46, "Eri"], [4.5, 4.8333, -46.5, "Cae"],
+	[15.3333, 15.6667, -48, "Lup"], [0, 2.3333, -48.1667, "Phe"], [2.6667, 3, -49, "Eri"],
+	[4.0833, 4.2667, -49, "Hor"], [4.2667, 4.5, -49, "Cae"], [21.3333, 22, -50, "Gru"], [6, 8, -50.75, "Pup"],
+	[8, 8.1667, -50.75, "Vel"], [2.4167, 2.6667, -51, "Eri"], [3.8333, 4.0833, -51, "Hor"],
+	[0, 1.8333, -51.5, "Phe"], [6, 6.1667, -52.5, "Car"], [8.1667, 8.45, -53, "Vel"],
+	[3.5, 3.8333, -53.1667, "Hor"], [3.8333, 4, -53.1667, "Dor"], [0, 1.5833, -53.5, "Phe"],
+	[2.1667, 2.4167, -54, "Eri"], [4.5, 5, -54, "Pic"], [15.05, 15.3333, -54, "Lup"],
+	[8.45, 8.8333, -54.5, "Vel"], [6.1667, 6.5, -55, "Car"], [11.8333, 12.8333, -55, "Cen"],
+	[14.1667, 15.05, -55, "Lup"], [15.05, 15.3333, -55, "Nor"], [4, 4.3333, -56.5, "Dor"],
+	[8.8333, 11, -56.5, "Vel"], [11, 11.25, -56.5, "Cen"], [17.5, 18, -57, "Ara"], [18, 20.3333, -57, "Tel"],
+	[22, 23.3333, -57, "Gru"], [3.2, 3.5, -57.5, "Hor"], [5, 5.5, -57.5, "Pic"], [6.5, 6.8333, -58, "Car"],
+	[0, 1.3333, -58.5, "Phe"], [1.3333, 2.1667, -58.5, "Eri"], [23.3333, 24, -58.5, "Phe"],
+	[4.3333, 4.5833, -59, "Dor"], [15.3333, 16.4208, -60, "Nor"], [20.3333, 21.3333, -60, "Ind"],
+	[5.5, 6, -61, "Pic"], [15.1667, 15.3333, -61, "Cir"], [16.4208, 16.5833, -61, "Ara"],
+	[14.9167, 15.1667, -63.5833, "Cir"], [16.5833, 16.75, -63.5833, "Ara"], [6, 6.8333, -64, "Pic"],
+	[6.8333, 9.0333, -64, "Car"], [11.25, 11.8333, -64, "Cen"], [11.8333, 12.8333, -64, "Cru"],
+	[12.8333, 14.5333, -64, "Cen"], [13.5, 13.6667, -65, "Cir"], [16.75, 16.8333, -65, "Ara"],
+	[2.1667, 3.2, -67.5, "Hor"], [3.2, 4.5833, -67.5, "Ret"], [14.75, 14.9167, -67.5, "Cir"],
+	[16.8333, 17.5, -67.5, "Ara"], [17.5, 18, -67.5, "Pav"], [22, 23.3333, -67.5, "Tuc"],
+	[4.5833, 6.5833, -70, "Dor"], [13.6667, 14.75, -70, "Cir"], [14.75, 17, -70, "TrA"], [0, 1.3333, -75, "Tuc"],
+	[3.5, 4.5833, -75, "Hyi"], [6.5833, 9.0333, -75, "Vol"], [9.0333, 11.25, -75, "Car"],
+	[11.25, 13.6667, -75, "Mus"], [18, 21.3333, -75, "Pav"], [21.3333, 23.3333, -75, "Ind"],
+	[23.3333, 24, -75, "Tuc"], [0.75, 1.3333, -76, "Tuc"], [0, 3.5, -82.5, "Hyi"],
+	[7.6667, 13.6667, -82.5, "Cha"], [13.6667, 18, -82.5, "Aps"], [3.5, 7.6667, -85, "Men"], [0, 24, -90, "Oct"]
+];
+
+/**
+ * Stick figures of the constellations as lines between stars, given by their Hipparcos numbers
+ * @link https://github.com/ofrohn/d3-celestial
+ */
+const constellationLines = {
+	And: [[9640, 5447, 3092, 677], [4463, 3693, 3031, 3092, 2912, 116631, 113726], [116631, 116805, 116584],
+		[5447, 4436, 3881, 5434, 7607], [116805, 117221]],
+	Ant: [[46515, 51172, 53502]],
+	Aps: [[72370, 80047, 81852, 81065]],
+	Aqr: [[102618, 103045, 106278, 109074, 110395, 110960, 111497, 112961, 115033, 114341], [106278, 109139],
+		[109074, 110003], [110960, 110672], [115438, 115033, 116901]],
+	Aql: [[97278, 97649, 98036, 99473, 97804, 95501, 93747, 97649, 95501, 93805]],
+	Ara: [[85267, 85727, 82363, 83081, 83153, 85792, 85258]],
+	Ari: [[13209, 9884, 8903, 8832]],
+	Aur: [[28360, 24608, 23767, 23015, 25428, 28380, 28360, 28358, 24608, 23416, 23453]],
+	Boo: [[67275, 67927, 69673, 71053, 71075, 73555, 74666, 72105, 69673, 71795],
+		[71075, 69732, 69481, 70497, 69732]],
+	Cae: [[21060, 21770, 21861, 23595]],
+	Cam: [[23040, 23522, 22783, 17959, 17884, 16228], [22783, 29997, 33694]],
+	Cnc: [[44066, 42911, 42806, 43100], [42911, 40526]],
+	CVn: [[63121, 61317]],
+	CMa: [[30324, 32349, 33977, 34444, 33856, 33579, 30122], [35904, 34444], [32349, 33347, 34045, 33160, 33347]],
+	CMi: [[37279, 36188]],
+	Cap: [[100027, 100345, 101027, 102485, 102978, 105881, 107556, 106985, 105515, 104139, 100027]],
+	Car: [[31685, 30438, 45238, 50099, 52419, 51576, 50371, 45556, 41037, 38827, 39953, 42913, 45556],
+		[52419, 54301, 54461, 54751, 54463, 53253, 51576]],
+	Cas: [[8886, 6686, 4427, 3179, 746]],
+	Cen: [[55425, 59196, 60823, 61932, 66657, 68002, 67472, 67464, 68933, 71352, 73334], [67464, 65109],
+		[71681, 66657, 68702], [60823, 59449, 56243]],
+	Cep: [[101093, 102422, 105199, 107259, 109857, 109492, 110991, 112724, 116727, 106032, 105199], [106032, 112724]],
+	Cet: [[12706, 12093, 11484, 12828, 13954, 14135, 12706, 12387, 10826, 8645, 8102, 3419, 1562, 5364, 6537, 8645]],
+	Cha: [[40702, 51839, 52595, 60000, 58484, 51839]],
+	Cir: [[74824, 71908, 75323]],
+	Col: [[30277, 27628, 26634, 25859], [27628, 28328]],
+	Com: [[64241, 64394, 60742]],
+	CrA: [[93174, 93825, 94114, 94160, 94005, 93542, 92382, 90982]],
+	CrB: [[76127, 75695, 76267, 76952, 77512, 78159, 78493]],
+	Crv: [[59199, 59316, 59803, 60965, 61359, 59316]],
+	Crt: [[56633, 55687, 55282, 53740, 54682, 55598, 55705, 57283, 58188], [55282, 55705]],
+	Cru: [[62434, 59747], [60718, 61084]],
+	Cyg: [[104732, 102488, 100453, 97165, 95853, 94779], [102098, 100453, 98110, 95947]],
+	Del: [[101421, 101769, 101958, 102531, 102281, 101769]],
+	Dor: [[19893, 21281, 26069, 27100, 27890, 26069, 23693, 21281]],
+	Dra: [[87585, 87833, 85670, 85829, 87585, 94376, 89908, 83895, 80331, 78527, 75458, 68756, 61281, 56211],
+		[89908, 89937], [94376, 97433]],
+	Equ: [[104987, 104858, 104521]],
+	Eri: [[23875, 22109, 21444, 19587, 18543, 17593, 17378, 16537, 13701, 12770, 12843, 14146, 15474, 16611, 17651, 21393, 20535, 20042, 17874, 16870, 15510, 13847, 12486, 11407, 10602, 9007, 7588]],
+	For: [[14879, 13147, 9677]],
+	Gem: [[29655, 30343, 32246, 34693, 36850, 37826, 36962, 35550, 34088, 31681, 32362], [35550, 35350]],
+	Gru: [[113638, 112623, 112122, 111043, 109268, 112122], [110997, 109908, 109111, 108085]],
+	Her: [[80170, 80816, 81693, 81833, 81126, 79992, 79101, 77760], [81693, 83207], [81833, 84380],
+		[87808, 85112, 84380, 83207, 84379, 86974, 87933, 88794], [84345, 80816]],
+	Hor: [[19747, 12653, 12225, 12484, 14240, 13884]],
+	Hya: [[43109, 43234, 42799, 42402, 42313, 43109, 43813, 45336, 47431, 46390, 48356, 49841, 51069, 52943, 56343, 57936, 64962, 68895, 72571]],
+	Hyi: [[2021, 17678, 12394, 11001, 8928, 9236]],
+	Ind: [[101772, 102333, 103227, 108431, 105319, 101772]],
+	Lac: [[110538, 111169, 111022, 110351, 111104, 111944, 111022, 110609, 110538], [111104, 109754, 109937]],
+	Leo: [[49669, 49583, 50583, 54872, 57632, 54879, 49669], [50583, 50335, 48455, 47908]],
+	LMi: [[49593, 51056, 53229, 51233, 49593, 46952]],
+	Lep: [[28910, 28103, 27288, 25985, 24305, 23685, 25606, 27072, 27654], [24327, 24305, 24845]],
+	Lib: [[73714, 72622, 74785, 76333, 76470, 76600], [72622, 76333]],
+	Lup: [[77634, 76705, 75177, 75141, 73273, 71860, 74395, 74911, 75264, 76297, 78384, 78918], [75141, 76297]],
+	Lyn: [[30060, 33449, 36145, 41075, 44248, 45688, 45860]],
+	Lyr: [[91971, 91926, 91262, 91971, 92791, 93194, 92420, 91971]],
+	Men: [[29271, 25918, 22871, 23467]],
+	Mic: [[102831, 102693, 105382, 105140, 103738, 102831]],
+	Mon: [[37447, 39863, 34769, 30867, 29651], [34769, 32578, 30419, 31216, 31978]],
+	Mus: [[57363, 59929, 61585, 62322, 63613, 61199, 61585]],
+	Nor: [[78914, 80582, 80000, 78639, 78914]],
+	Oct: [[70638, 112405, 107089, 70638]],
+	Oph: [[88048, 87108, 86742, 86032, 83000, 80883, 79593, 79882, 81377, 84012],
+		[83000, 81377, 80894, 80569, 80343, 80473], [86742, 84012, 84970, 85423]],
+	Ori: [[29038, 27913, 28716, 29426, 28614, 27989, 25336, 22845],
+		[23123, 22797, 22549, 22449, 22509, 22845, 22957, 23607, 24010],
+		[24436, 25281, 25930, 25336, 26207, 27989, 26727, 27366], [26727, 26311, 25930]],
+	Pav: [[100751, 102395, 99240, 92609, 90098, 88866, 86929, 91792, 98495, 102395, 105858]],
+	Peg: [[109410, 112158, 113881, 677, 1067, 113963, 112447, 112029, 109427, 107315],
+		[113963, 113881, 112748, 112440, 109176, 107354]],
+	Per: [[17448, 18246, 18614, 18532, 17529, 17358, 16826, 15863, 14328, 13268, 13531, 14632, 14668, 14576, 14817, 14354, 13879, 13949, 14576],
+		[19167, 19812, 19343, 17358], [14632, 12777, 8068]],
+	Phe: [[2081, 5165, 6867, 7083, 5348, 5165, 765, 2081]],
+	Pic: [[32607, 27530, 27321]],
+	Psc: [[5742, 5586, 6193, 5742, 5571, 7097, 8198, 9487, 8833, 7884, 7007, 5737, 4906, 3786, 118268, 116771, 115830, 115227, 114971, 115738, 116928, 117245, 116771],
+		[114971, 113889]],
+	PsA: [[111954, 113368, 113246, 112948, 111188, 109285, 107380, 107608, 109285, 111954]],
+	Pup: [[31685, 35264, 36917, 37229, 38170, 38835, 39757, 39429, 39953], [38170, 38070, 37677, 36917]],
+	Pyx: [[39429, 42515, 42828, 43409]],
+	Ret: [[19780, 19921, 18597, 17440, 19780]],
+	Sge: [[96757, 97365, 98337], [96837, 97365]],
+	Sgr: [[89642, 90185, 89931, 90496, 89341], [95241, 95347, 93506, 92041, 90496],
+		[98032, 98412, 98066, 96465, 95477, 94643, 92855, 92041, 89931, 88635, 90185, 93506, 93864, 92855, 93683, 94141, 94820, 95168, 95176],
+		[93683, 93085, 92761, 92855]],
+	Sco: [[78265, 78401, 78820],
+		[78401, 80112, 80763, 81266, 82396, 82514, 82729, 84143, 86228, 87073, 86670, 85927]],
+	Scl: [[4577, 117452, 115102, 116231]],
+	Sct: [[91117, 92175, 91726, 90595, 91117]],
+	Ser: [[77233, 76852, 77450, 78072, 77233, 76276, 77070, 77622, 79593],
+		[84012, 86263, 88048, 88404, 89962, 92946]],
+	Sex: [[49641, 48437, 51362, 51437]],
+	Tau: [[26451, 21421, 20894, 20205, 20455, 20889, 25428], [20205, 18724, 16083, 18907], [16083, 15900, 16852]],
+	Tel: [[89112, 90422, 90568]],
+	Tri: [[8796, 10064, 10670, 8796]],
+	TrA: [[82273, 77952, 74946, 82273]],
+	Tuc: [[110130, 114996, 2484, 1599, 118322, 110838, 110130]],
+	UMa: [[59774, 54061, 53910, 58001, 59774, 62956, 65378, 67301], [58001, 57399, 55219, 55203],
+		[57399, 54539, 50801], [54539, 50372], [54061, 46733, 41704, 48319, 53910], [53910, 48402, 46853, 44127],
+		[44471, 46853]],
+	UMi: [[77055, 79822, 75097, 72607, 77055, 82080, 85822, 11767]],
+	Vel: [[42913, 45941, 48774, 52727, 50191, 46651, 44816, 39953]],
+	Vir: [[57380, 57757, 60129, 61941, 64238, 65474, 69701, 71957], [63608, 63090, 61941],
+		[64238, 66249, 68520, 72220]],
+	Vol: [[44382, 41312, 39794, 35228, 34481, 39794, 44382]],
+	Vul: [[94703, 95771, 97886, 98543, 99874]]
+};
+
+/** Positions for the labels of the constellations as right ascension and declination in degrees, referred to the equinox J2000 */
+const constellationLabels = {
+	And: [[0.75, 43]], Ant: [[156, -36]], Aps: [[240, -74]], Aqr: [[337.5, -5]], Aql: [[291, 8]], Ara: [[258, -56]],
+	Ari: [[42, 22]], Aur: [[82.5, 37]], Boo: [[223.5, 35]], Cae: [[73.5, -42]], Cam: [[84, 72]], Cnc: [[128.25, 27]],
+	CVn: [[192, 43]], CMa: [[97.5, -26]], CMi: [[109.5, 5]], Cap: [[315, -22]], Car: [[144, -66]], Cas: [[354, 55.5]],
+	Cen: [[199.5, -40]], Cep: [[337.5, 71]], Cet: [[28.5, -5]], Cha: [[189, -81]], Cir: [[217.5, -67]],
+	Col: [[85.5, -39]], Com: [[193.5, 24]], CrA: [[282, -40]], CrB: [[238.5, 32]], Crv: [[186, -19.5]],
+	Crt: [[174.75, -15]], Cru: [[193.5, -62]], Cyg: [[307.5, 50]], Del: [[309, 6]], Dor: [[76.5, -64]],
+	Dra: [[268.5, 64]], Equ: [[320.25, 11.5]], Eri: [[52.5, -18]], For: [[40.5, -28]], Gem: [[107.25, 23.5]],
+	Gru: [[342, -41.5]], Her: [[253.5, 35]], Hor: [[51, -52]], Hya: [[150, -22]], Hyi: [[34.5, -72]],
+	Ind: [[318, -55.5]], Lac: [[342, 47]], Leo: [[159, 15]], LMi: [[157.5, 30]], Lep: [[88.5, -25]], Lib: [[231, -26]],
+	Lup: [[228.75, -35]], Lyn: [[121.5, 49]], Lyr: [[279, 30]], Men: [[82.5, -80]], Mic: [[316.5, -37]],
+	Mon: [[114.75, -6]], Mus: [[195, -73]], Nor: [[243, -52]], Oct: [[300, -80]], Oph: [[258, 3]], Ori: [[84, 13]],
+	Pav: [[297, -62]], Peg: [[334.5, 16]], Per: [[66, 45]], Phe: [[16.5, -43]], Pic: [[82.5, -50]], Psc: [[19.5, 15]],
+	PsA: [[333, -29]], Pup: [[111, -46]], Pyx: [[132, -24]], Ret: [[55.5, -61]], Sge: [[291, 18]], Sgr: [[292.5, -34]],
+	Sco: [[249, -38]], Scl: [[1.5, -33]], Sct: [[282, -12.5]], Ser: [[232.5, 5], [280.5, 3]], Sex: [[157.5, -7]],
+	Tau: [[54, 15]], Tel: [[277.5, -54]], Tri: [[27, 34]], TrA: [[240, -67.5]], Tuc: [[348, -64]], UMa: [[165, 48]],
+	UMi: [[226.5, 68]], Vel: [[143.25, -46]], Vir: [[199.5, -4]], Vol: [[111, -73]], Vul: [[295.5, 21]]
+};
+
+/**
+ * One of the 88 constellations of the IAU
+ * @link https://en.wikipedia.org/wiki/IAU_designated_constellations
+ */
+class Constellation {
+	/** Abbreviation like "Ori" */
+	abbreviation;
+
+	/** Name like "Orion" */
+	name;
+
+	/** Genitive like "Orionis", as used in the designations of stars */
+	genitive;
+
+	/** Positions for labels, referred to the equinox J2000. Serpens has two, one for each of its parts. */
+	labels;
+
+	/** Stick figure as lists of stars to connect, given by their Hipparcos numbers */
+	lines;
+
+	/**
+	 * @param {string} abbreviation Abbreviation like "Ori"
+	 */
+	constructor(abbreviation) {
+		if (constellations[abbreviation] == undefined) {
+			throw Error(`Unknown constellation "${abbreviation}": Use the abbreviation of one of the 88 constellations of the IAU`);
+		}
+		this.abbreviation = abbreviation;
+		[this.name, this.genitive] = constellations[abbreviation];
+		this.labels = constellationLabels[abbreviation].map(([rightAscension, declination]) =>
+			new Equatorial(rightAscension, declination, Equinox.J2000));
+		this.lines = constellationLines[abbreviation];
+	}
+
+	/**
+	 * Get all 88 constellations
+	 * @returns {Constellation[]}
+	 */
+	static list() {
+		return Object.keys(constellations).map(abbreviation => new Constellation(abbreviation));
+	}
+
+	/**
+	 * Get a constellation by its abbreviation, name or genitive
+	 * @param {string} name Case and accents are ignored
+	 * @returns {Constellation | null} null if there is no such constellation
+	 */
+	static byName(name) {
+		const abbreviation = constellationAliases.get(normalizeCatalogName(name));
+		return abbreviation == undefined ? null : new Constellation(abbreviation);
+	}
+
+	/**
+	 * Find the constellation containing a position
+	 * @example
+	 * Constellation.find(new Equatorial(83.82, -5.39, Equinox.J2000)) -> Orion
+	 * Constellation.find(Star.byName("Vega")) -> Lyra
+	 * Constellation.find(new Planet(PlanetAbbreviation.mar), dateTime) -> the constellation Mars is seen in at dateTime
+	 * @param {Equatorial | {calculateEquatorial: (dateTime: Date) => Equatorial}} position Equatorial coordinates
+	 * or anything that calculates them, like a Star, Planet, Sun or Moon
+	 * @param {Date} dateTime Date of observation, needed if the position is referred to the true equator and equinox of date
+	 * @returns {Constellation}
+	 */
+	static find(position, dateTime = new Date()) {
+		const equatorial = (position instanceof Equatorial ? position : position.calculateEquatorial(dateTime))
+			.precess(Equinox.B1875, dateTime);
+		const rightAscension = equatorial.rightAscension / 15;
+		const boundary = constellationBoundaries.find(([lowerRightAscension, upperRightAscension, lowerDeclination]) =>
+			equatorial.declination >= lowerDeclination && rightAscension >= lowerRightAscension && rightAscension < upperRightAscension);
+		return new Constellation(boundary[3]);
+	}
+
+	/**
+	 * Get the stars of the stick figure from the catalog, see loadCatalog_data()
+	 * @returns {Star[][]} Lists of stars to connect
+	 */
+	getLineStars() {
+		return this.lines.map(line => line.map(hip => {
+			const star = Star.byId(`HIP ${hip}`);
+			if (star == null) {
+				throw Error(`Star HIP ${hip} of the stick figure of ${this.name} is missing in the catalog: Rebuild it with scripts/build-catalog.js`);
+			}
+			return star;
+		}));
+	}
+}
+
+/**
+ * Equatorial radii of the planets in kilometers and the directions of their north poles as right ascension and declination
+ * (referred to J2000) with their changes per Julian century, according to the IAU Working Group on Cartographic Coordinates 2015
+ * without the periodic terms
+ * @link https://doi.org/10.1007/s10569-017-9805-5
+ */
+const planetPhysicalData = {
+	[PlanetAbbreviation.mer]: { radius: 2440.53, pole: [281.0103, -0.0328, 61.4155, -0.0049] },
+	[PlanetAbbreviation.ven]: { radius: 6051.8, pole: [272.76, 0, 67.16, 0] },
+	[PlanetAbbreviation.mar]: { radius: 3396.19, pole: [317.269202, -0.10927547, 54.432516, -0.05827105] },
+	[PlanetAbbreviation.jup]: { radius: 71492, pole: [268.056595, -0.006499, 64.495303, 0.002413] },
+	[PlanetAbbreviation.sat]: { radius: 60268, pole: [40.589, -0.036, 83.537, -0.004] },
+	[PlanetAbbreviation.ura]: { radius: 25559, pole: [257.311, 0, -15.175, 0] },
+	[PlanetAbbreviation.nep]: { radius: 24764, pole: [299.36, 0, 43.46, 0] }
+};
+
+/**
+ * Physical ephemeris of a planet, i.e. how it appears from the earth
+ * @typedef {object} PhysicalEphemeris
+ * @property {number} heliocentricDistance Distance from the sun in AU
+ * @property {number} geocentricDistance Distance from the earth in AU
+ * @property {number} phaseAngle Angle sun-planet-earth in degrees, 0° when the planet is fully lit
+ * @property {number} illuminatedFraction Fraction of the planet's disk lit by the sun, between 0 and 1
+ * @property {number} elongation Angle sun-earth-planet in degrees
+ * @property {number} angularDiameter Apparent equatorial diameter in arcseconds
+ * @property {number} magnitude Apparent visual magnitude
+ * @property {number | null} ringTilt Saturnicentric latitude of the earth referred to the plane of Saturn's rings in degrees,
+ * positive if the northern side of the rings is visible, null for the other planets
+ */
+
+/**
+ * Calculate the apparent visual magnitude of a planet according to Mallama & Hilton (2018).
+ * The small corrections for the orbital and rotational longitude of Mars are left out.
+ * @link https://doi.org/10.1016/j.ascom.2018.08.002
+ * @param {number} planet A number from PlanetAbbreviation
+ * @param {number} phaseAngle Phase angle in degrees
+ * @param {number} heliocentricDistance Distance from the sun in AU
+ * @param {number} geocentricDistance Distance from the earth in AU
+ * @param {number} sunLatitude Planetocentric latitude of the sub-solar point in degrees
+ * @param {number} earthLatitude Planetocentric latitude of the sub-earth point in degrees
+ * @param {number} julianDay
+ * @returns {number}
+ */
+function calculatePlanetMagnitude(planet, phaseAngle, heliocentricDistance, geocentricDistance, sunLatitude, earthLatitude, julianDay) {
+	const a = phaseAngle;
+	const distanceTerm = 5 * Math.log10(heliocentricDistance * geocentricDistance);
+
+	switch (planet) {
+		case PlanetAbbreviation.mer:
+			return distanceTerm - 0.613 + 6.3280e-2 * a - 1.6336e-3 * a**2 + 3.3644e-5 * a**3
+				- 3.4265e-7 * a**4 + 1.6893e-9 * a**5 - 3.0334e-12 * a**6;
+		case PlanetAbbreviation.ven:
+			return a < 163.7
+				? distanceTerm - 4.384 - 1.044e-3 * a + 3.687e-4 * a**2 - 2.814e-6 * a**3 + 8.938e-9 * a**4
+				: distanceTerm + 236.05828 - 2.81914 * a + 8.39034e-3 * a**2;
+		case PlanetAbbreviation.mar:
+			return a <= 50
+				? distanceTerm - 1.601 + 2.267e-2 * a - 1.302e-4 * a**2
+				: distanceTerm - 0.367 - 2.573e-2 * a + 3.445e-4 * a**2;
+		case PlanetAbbreviation.jup: {
+			if (a <= 12) return distanceTerm - 9.395 - 3.7e-4 * a + 6.16e-4 * a**2;
+			const x = a / 180;
+			return distanceTerm - 9.428 - 2.5 * Math.log10(1 - 1.507 * x - 0.363 * x**2 - 0.062 * x**3 + 2.809 * x**4 - 1.876 * x**5);
+		}
+		case PlanetAbbreviation.sat: {
+			// The rings appear as bright as if tilted by the geometric mean of their tilts towards the sun and the earth
+			const tilt = sunLatitude * earthLatitude > 0 ? Math.sqrt(sunLatitude * earthLatitude) : 0;
+			if (a <= 6.5 && tilt <= 27) {
+				return distanceTerm - 8.914 - 1.825 * sindeg(tilt) + 0.026 * a - 0.378 * sindeg(tilt) * Math.exp(-2.25 * a);
+			}
+			// Only the globe, for phase angles that can't be reached from the earth
+			return distanceTerm - 8.94 + 2.446e-4 * a + 2.672e-4 * a**2 - 1.505e-6 * a**3 + 4.767e-9 * a**4;
+		}
+		case PlanetAbbreviation.ura: {
+			const latitude = (Math.abs(sunLatitude) + Math.abs(earthLatitude)) / 2;
+			return distanceTerm - 7.110 - 8.4e-4 * latitude + 6.587e-3 * a + 1.045e-4 * a**2;
+		}
+		case PlanetAbbreviation.nep: {
+			// Neptune brightened from 1980 to 2000
+			const year = 2000 + (julianDay - Equinox.J2000) / 365.25;
+			const absoluteMagnitude = -6.89 - 0.11 * Math.min(Math.max((year - 1980) / 20, 0), 1);
+			return distanceTerm + absoluteMagnitude + 7.944e-3 * a + 9.617e-5 * a**2;
+		}
+		default: {
+			const planetName = Object.entries(PlanetAbbreviation).find(x => x[1] === planet)?.[0] ?? planet;
+			throw Error(`Can't calculate the magnitude of planet "${planetName}": Only available for the planets other than the earth`);
+		}
+	}
+}
+
+/**
+ * Event in the apparent motion of a planet as seen from the earth's center
+ * @typedef {object} PlanetEvent
+ * @property {PlanetEventType} type
+ * @property {Date} date
+ * @property {number} separation Angular distance in degrees to the other body of a conjunction, otherwise to the sun (elongation)
+ * @property {object | null} body The other body of a conjunction, like a Planet or Star, null for the events relative to the sun
+ */
+
+class Planet {
+	/**
+	 * Precision used by planets without an own precision and by the sun, see VSOP87Precision.
+	 * A JPLEphemeris replaces VSOP87 for all of them.
+	 * @type {number | string | JPLEphemeris}
+	 */
+	static defaultPrecision = VSOP87Precision.full;
+
+	/** A number indicating which planet from PlanetAbbreviation to use */
+	planet;
+
+	/**
+	 * Precision of the VSOP87 series, see VSOP87Precision, or a JPLEphemeris to use instead of VSOP87.
+	 * Planet.defaultPrecision is used if undefined.
+	 */
+	precision;
+
+	/**
+	 * @param {number} planet A number indicating which planet from PlanetAbbreviation to use
+	 * @param {number | string | JPLEphemeris} precision A value or key of VSOP87Precision or any other threshold in AU,
+	 * or a JPLEphemeris to use instead of VSOP87
+	 */
+	constructor(planet, precision = undefined) {
+		this.planet = planet;
+		this.precision = precision;
+	}
+
+	/**
+	 * Calculate heliocentric cartesian position of the planet
+	 * @param {Date} dateTime
+	 * @param {boolean} withVelocity Whether to calculate the velocity as well, by differentiating the VSOP87 series
+	 * @returns {HeliocentricCartesian}
+	 */
+	calculateHeliocentricCartesian(dateTime = new Date(), withVelocity = false) {
+		const precision = this.precision ?? Planet.defaultPrecision;
+		if (precision instanceof JPLEphemeris) {
+			return precision.calculateHeliocentricCartesian(planetJPLBodies[this.planet], dateTime, withVelocity);
+		}
+
+		// VSOP87 is a function of TDB
+		const T = JulianDay.calculateJulianMillenniaJ2000(JulianDay.fromDate(dateTime, TimeScale.tdb));
+
+		const planetName = Object.entries(PlanetAbbreviation).find(x => x[1] === this.planet)[0];
+		const data = getVSOP87_data(precision)[planetName];
+		let xyz = [];
+		let velocity = [];
+
+		// Plain loops instead of map/reduce, since this is evaluated for tens of thousands of terms
+		for (const rows of data) {
+			let variable = 0;
+			let rate = 0;
+			for (let i = 0; i < rows.length; i++) {
+				const row = rows[i];
+				let series = 0;
+				let seriesRate = 0;
+				for (let j = 0; j < row.length; j++) {
+					const angle = row[j].b + row[j].c * T;
+					series += row[j].a * Math.cos(angle);
+					if (withVelocity) {
+						seriesRate -= row[j].a * row[j].c * Math.sin(angle);
+					}
+				}
+				variable += series * T**i;
+				rate += seriesRate * T**i + (i > 0 ? i * series * T**(i - 1) : 0);
+			}
+			xyz.push(variable);
+			// The series are functions of Julian millennia
+			velocity.push(rate / 365250);
+		}
+
+		return withVelocity ? new HeliocentricCartesian(...xyz, dateTime, ...velocity) : new HeliocentricCartesian(...xyz, dateTime);
+	}
+
+	/**
+	 * Calculate equatorial position of the planet
+	 * @param {Date} dateTime
+	 * @returns {Equatorial}
+	 */
+	calculateEquatorial(dateTime = new Date()) {
+		return this.calculateHeliocentricCartesian(dateTime)
+			.toGeocentricCartesian(this.precision).toEcliptical().toEquatorial();
+	}
+
+	/**
+	 * Calculate azimuthal position of the planet
+	 * @param {number} geoLatitude Geographic latitude of the observer
+	 * @param {number} geoLongitude Geographic longitude of the observer
+	 * @param {Date} dateTime
+	 * @param {Atmosphere | null} atmosphere Conditions used to add the refraction to the height, null for the geometric height
+	 * @returns {Azimuthal}
+	 */
+	calculateAzimuthal(geoLatitude, geoLongitude, dateTime = new Date(), atmosphere = null) {
+		return this.calculateEquatorial(dateTime).toAzimuthal(geoLatitude, geoLongitude, dateTime, atmosphere);
+	}
+
+	/**
+	 * Calculate the topocentric apparent place of the planet, corrected for light travel time, annual aberration
+	 * and the position of the observer, together with the results of the single corrections
+	 * @param {number} geoLatitude Geographic latitude of the observer
+	 * @param {number} geoLongitude Geographic longitude of the observer
+	 * @param {Date} dateTime
+	 * @param {number} elevation Height of the observer above sea level in meters
+	 * @returns {ApparentPlace}
+	 */
+	calculateApparentPlace(geoLatitude, geoLongitude, dateTime = new Date(), elevation = 0) {
+		return calculateApparentPlace(date => this.calculateHeliocentricCartesian(date), this.precision ?? Planet.defaultPrecision,
+			geoLatitude, geoLongitude, elevation, dateTime);
+	}
+
+	/**
+	 * Calculate distances, phase, elongation, apparent diameter and visual magnitude of the planet as seen from the earth's center,
+	 * taking the light travel time into account
+	 * @param {Date} dateTime
+	 * @returns {PhysicalEphemeris}
+	 */
+	calculatePhysicalEphemeris(dateTime = new Date()) {
+		const physicalData = planetPhysicalData[this.planet];
+		if (physicalData == undefined) {
+			const planetName = Object.entries(PlanetAbbreviation).find(x => x[1] === this.planet)[0];
+			throw Error(`Can't calculate the physical ephemeris of planet "${planetName}": Only available for the planets other than the earth`);
+		}
+		const msPerDay = 86400000;
+		const earth = cartesianToVector(new Planet(PlanetAbbreviation.ear, this.precision).calculateHeliocentricCartesian(dateTime));
+
+		// Position of the planet when the observed light was emitted
+		let heliocentric = cartesianToVector(this.calculateHeliocentricCartesian(dateTime));
+		for (let i = 0; i < 2; i++) {
+			const lightTime = Math.hypot(...heliocentric.map((x, j) => x - earth[j])) * lightDaysPerAU;
+			heliocentric = cartesianToVector(this.calculateHeliocentricCartesian(new Date(dateTime.getTime() - lightTime * msPerDay)));
+		}
+		const geocentric = heliocentric.map((x, i) => x - earth[i]);
+		const heliocentricDistance = Math.hypot(...heliocentric);
+		const geocentricDistance = Math.hypot(...geocentric);
+		const phaseAngle = angleBetweenVectors(heliocentric, geocentric);
+
+		// Latitudes of the points below the sun and the earth, relative to the planet's equator. VSOP87C refers to the ecliptic of date.
+		const julianDay = JulianDay.fromDate(dateTime, TimeScale.tt);
+		const T = JulianDay.calculateJulianCenturiesJ2000(julianDay);
+		const [poleRA, poleRARate, poleDec, poleDecRate] = physicalData.pole;
+		const eclipticToJ2000 = multiplyMatrices(Precession.calculateMatrix(julianDay, Equinox.J2000),
+			rotationMatrix(0, -Precession.calculateMeanObliquity(julianDay)));
+		const pole = sphericalToVector(poleRA + poleRARate * T, poleDec + poleDecRate * T);
+		const calculateLatitude = direction => 90 - angleBetweenVectors(pole,
+			multiplyMatrixVector(eclipticToJ2000, direction.map(x => -x)));
+		const sunLatitude = calculateLatitude(heliocentric);
+		const earthLatitude = calculateLatitude(geocentric);
+
+		return {
+			heliocentricDistance,
+			geocentricDistance,
+			phaseAngle,
+			illuminatedFraction: (1 + cosdeg(phaseAngle)) / 2,
+			elongation: angleBetweenVectors(earth.map(x => -x), geocentric),
+			angularDiameter: 2 * atandeg(physicalData.radius / (geocentricDistance * Const.kmPerAU)) * 3600,
+			magnitude: calculatePlanetMagnitude(this.planet, phaseAngle, heliocentricDistance, geocentricDistance,
+				sunLatitude, earthLatitude, julianDay),
+			ringTilt: this.planet === PlanetAbbreviation.sat ? earthLatitude : null
+		};
+	}
+
+	/**
+	 * Calculate the conjunctions in right ascension of the planet with another body between two dates
+	 * @example
+	 * jupiter.calculateConjunctions(new Planet(PlanetAbbreviation.sat), new Date("2020-01-01"), new Date("2021-01-01"))
+	 * jupiter.calculateConjunctions(Star.byName("Regulus"), new Date("2026-01-01"), new Date("2028-01-01"))
+	 * @param {{calculateEquatorial: (dateTime: Date) => Equatorial}} body Another planet, a star or anything else that calculates its position
+	 * @param {Date} startDate
+	 * @param {Date} endDate
+	 * @returns {PlanetEvent[]} Events of type conjunction with the angular distance between the two bodies
+	 */
+	calculateConjunctions(body, startDate, endDate) {
+		// The sine has roots at the conjunctions and the times of opposite right ascensions, which are skipped
+		const calculatePositions = date => [this.calculateEquatorial(date), body.calculateEquatorial(date)];
+		const calculateValue = date => {
+			const [planet, other] = calculatePositions(date);
+			return sindeg(planet.rightAscension - other.rightAscension);
+		};
+
+		return EventSearch.findCrossings(calculateValue, startDate, endDate).flatMap(({ date }) => {
+			const [planet, other] = calculatePositions(date);
+			if (cosdeg(planet.rightAscension - other.rightAscension) < 0) return [];
+			return [{
+				type: PlanetEventType.conjunction,
+				date,
+				separation: angleBetweenVectors(sphericalToVector(planet.rightAscension, planet.declination),
+					sphericalToVector(other.rightAscension, other.declination)),
+				body
+			}];
+		});
+	}
+
+	/**
+	 * Calculate the oppositions, conjunctions with the sun, greatest elongations and stationary points of the planet between two dates.
+	 * Oppositions, conjunctions and stationary points refer to the ecliptic longitude.
+	 * @example
+	 * new Planet(PlanetAbbreviation.mer).calculateEvents(new Date("2025-01-01"), new Date("2026-01-01"))
+	 * @param {Date} startDate
+	 * @param {Date} endDate
+	 * @returns {PlanetEvent[]} Sorted by date, with the elongation as separation
+	 */
+	calculateEvents(startDate, endDate) {
+		if (this.planet === PlanetAbbreviation.ear) {
+			throw Error("Can't calculate the events of the earth: Only available for the planets other than the earth");
+		}
+		const earth = new Planet(PlanetAbbreviation.ear, this.precision);
+
+		// Geocentric positions of the sun and the planet, referred to the ecliptic of date
+		const calculatePositions = date => {
+			const earthPosition = cartesianToVector(earth.calculateHeliocentricCartesian(date));
+			const planet = cartesianToVector(this.calculateHeliocentricCartesian(date)).map((x, i) => x - earthPosition[i]);
+			return {
+				sun: earthPosition.map(x => -x),
+				planet,
+				longitudeDifference: atan2deg(planet[1], planet[0]) - atan2deg(-earthPosition[1], -earthPosition[0])
+			};
+		};
+		const calculateElongation = date => {
+			const { sun, planet } = calculatePositions(date);
+			return angleBetweenVectors(sun, planet);
+		};
+		const calculateLongitude = date => {
+			const { planet } = calculatePositions(date);
+			return atan2deg(planet[1], planet[0]);
+		};
+		const createEvent = (type, date) => ({ type, date, separation: calculateElongation(date), body: null });
+
+		// Conjunctions at a difference of 0°, oppositions at 180°
+		const conjunctions = EventSearch.findCrossings(date => sindeg(calculatePositions(date).longitudeDifference), startDate, endDate)
+			.map(({ date }) => {
+				const { sun, planet, longitudeDifference } = calculatePositions(date);
+				if (cosdeg(longitudeDifference) < 0) {
+					return createEvent(PlanetEventType.opposition, date);
+				}
+				return createEvent(Math.hypot(...planet) < Math.hypot(...sun)
+					? PlanetEventType.inferiorConjunction : PlanetEventType.superiorConjunction, date);
+			});
+
+		// Only Mercury and Venus have a greatest elongation, the elongation of the other planets increases up to the opposition
+		const elongations = this.planet > PlanetAbbreviation.ear ? [] : EventSearch.findExtrema(calculateElongation, startDate, endDate)
+			.filter(extremum => extremum.maximum)
+			.map(({ date }) => createEvent(sindeg(calculatePositions(date).longitudeDifference) > 0
+				? PlanetEventType.greatestEasternElongation : PlanetEventType.greatestWesternElongation, date));
+
+		// The planet stands still when the change of its longitude within an hour before and after changes its sign
+		const hour = 3600000;
+		const stations = EventSearch.findCrossings(date => sindeg(calculateLongitude(new Date(date.getTime() + hour))
+			- calculateLongitude(new Date(date.getTime() - hour))), startDate, endDate)
+			.map(({ date, rising }) => createEvent(rising ? PlanetEventType.stationaryDirect : PlanetEventType.stationaryRetrograde, date));
+
+		return [...conjunctions, ...elongations, ...stations].sort((a, b) => a.date.getTime() - b.date.getTime());
+	}
+
+	/**
+	 * Calculate rise, upper transit and set of the planet on the local day containing dateTime
+	 * @param {number} geoLatitude Geographic latitude of the observer
+	 * @param {number} geoLongitude Geographic longitude of the observer
+	 * @param {Date} dateTime
+	 * @returns {RiseTransitSet}
+	 */
+	calculateRiseTransitSet(geoLatitude, geoLongitude, dateTime = new Date()) {
+		return calculateRiseTransitSet(date => this.calculateEquatorial(date), Const.horizonHeight,
+			geoLatitude, geoLongitude, dateTime);
+	}
+}
+
+/**
+ * Osculating orbital elements of a body orbiting the sun. Elliptic orbits are defined by semiMajorAxis, meanAnomaly and epoch,
+ * parabolic and hyperbolic orbits by perihelionDistance and perihelionTime. Angles are in degrees.
+ * @typedef {object} OrbitalElements
+ * @property {string} [name]
+ * @property {number} eccentricity
+ * @property {number} inclination
+ * @property {number} longitudeOfAscendingNode
+ * @property {number} argumentOfPerihelion
+ * @property {number} [semiMajorAxis] Semi-major axis in AU
+ * @property {number} [meanAnomaly] Mean anomaly at epoch
+ * @property {number} [epoch] Julian Day (TT) of the mean anomaly
+ * @property {number} [perihelionDistance] Perihelion distance in AU
+ * @property {number} [perihelionTime] Julian Day (TT) of the perihelion passage
+ * @property {number} [equinox] Julian Day of the ecliptic and equinox the angles are referred to, J2000 by default
+ * @property {number} [absoluteMagnitude] Absolute magnitude H
+ * @property {number} [slopeParameter] Slope parameter G
+ */
+
+/**
+ * Solve Kepler's equation M = E - e·sin(E) for elliptic orbits
+ * @link https://en.wikipedia.org/wiki/Kepler%27s_equation
+ * @param {number} meanAnomaly Mean anomaly M in radians
+ * @param {number} eccentricity Eccentricity e between 0 and 1
+ * @returns {number} Eccentric anomaly E in radians between -π and π
+ */
+function solveKepler(meanAnomaly, eccentricity) {
+	const M = meanAnomaly - 2 * Math.PI * Math.round(meanAnomaly / (2 * Math.PI));
+
+	// E - sin(E) as a series for small E, which avoids cancellation for orbits close to a parabola
+	const calculateEMinusSinE = E => Math.abs(E) < 0.1
+		? E**3 / 6 - E**5 / 120 + E**7 / 5040 - E**9 / 362880
+		: E - Math.sin(E);
+
+	// Newton's method with a bisection fallback, since E lies between 0 and M ± π
+	let lower = Math.min(0, M + Math.sign(M) * Math.PI);
+	let upper = Math.max(0, M + Math.sign(M) * Math.PI);
+	let E = M + 0.85 * eccentricity * Math.sign(Math.sin(M));
+	for (let i = 0; i < 100; i++) {
+		const f = (1 - eccentricity) * E + eccentricity * calculateEMinusSinE(E) - M;
+		if (f > 0) upper = E;
+		else lower = E;
+		let next = E - f / (1 - eccentricity * Math.cos(E));
+		if (!(next > lower && next < upper)) {
+			next = (lower + upper) / 2;
+		}
+		const done = Math.abs(next - E) < 1e-15;
+		E = next;
+		if (done) break;
+	}
+	return E;
+}
+
+/**
+ * Calculate the Stumpff functions c2(z) = (1 - cos√z) / z and c3(z) = (√z - sin√z) / √z³, continued for negative z
+ * @link https://en.wikipedia.org/wiki/Stumpff_function
+ * @param {number} z
+ * @returns {{c2: number, c3: number}}
+ */
+function calculateStumpff(z) {
+	// The power series avoids cancellation for small z
+	if (Math.abs(z) < 1) {
+		let c2 = 0;
+		let c3 = 0;
+		let term = 1 / 2;
+		for (let n = 1; n <= 20; n += 2) {
+			c2 += term;
+			c3 += term / (n + 2);
+			term *= -z / ((n + 2) * (n + 3));
+		}
+		return { c2, c3 };
+	}
+	if (z > 0) {
+		const s = Math.sqrt(z);
+		return { c2: (1 - Math.cos(s)) / z, c3: (s - Math.sin(s)) / (z * s) };
+	}
+	const s = Math.sqrt(-z);
+	return { c2: (Math.cosh(s) - 1) / -z, c3: (Math.sinh(s) - s) / (-z * s) };
+}
+
+/**
+ * Solve Kepler's equation in the universal variable χ, k·t = q·χ + e·χ³·c3(z) with z = (1 - e) / q·χ²,
+ * which holds for elliptic, parabolic and hyperbolic orbits alike
+ * @link https://en.wikipedia.org/wiki/Universal_variable_formulation
+ * @param {number} time Time since the perihelion passage, multiplied by the Gaussian gravitational constant
+ * @param {number} perihelionDistance Perihelion distance q in AU
+ * @param {number} eccentricity
+ * @returns {number} Universal variable χ in AU^(1/2)
+ */
+function solveUniversalKepler(time, perihelionDistance, eccentricity) {
+	const q = perihelionDistance;
+	const e = eccentricity;
+
+	// Barker's equation solves it for a parabola, which is a good start
+	const W = 3 * time / Math.sqrt(2 * q**3);
+	const Y = Math.cbrt(W / 2 + Math.sqrt(W**2 / 4 + 1));
+	let chi = Math.sqrt(2 * q) * (Y - 1 / Y);
+
+	// Newton's method with a bisection fallback, since the derivative is the distance q + e·χ²·c2(z) > 0, so χ lies between 0 and time / q
+	let lower = Math.min(0, time / q);
+	let upper = Math.max(0, time / q);
+	for (let i = 0; i < 100; i++) {
+		const { c2, c3 } = calculateStumpff((1 - e) / q * chi**2);
+		const f = q * chi + e * chi**3 * c3 - time;
+		if (f > 0) upper = chi;
+		else lower = chi;
+		let next = chi - f / (q + e * chi**2 * c2);
+		if (!(next > lower && next < upper)) {
+			next = (lower + upper) / 2;
+		}
+		const done = Math.abs(next - chi) <= 1e-15 * Math.abs(chi);
+		chi = next;
+		if (done) break;
+	}
+	return chi;
+}
+
+/**
+ * Solve the hyperbolic Kepler equation M = e·sinh(H) - H
+ * @param {number} meanAnomaly Mean anomaly M in radians
+ * @param {number} eccentricity Eccentricity e above 1
+ * @returns {number} Hyperbolic anomaly H
+ */
+function solveHyperbolicKepler(meanAnomaly, eccentricity) {
+	const M = meanAnomaly;
+
+	// sinh(H) - H as a series for small H, which avoids cancellation for orbits close to a parabola
+	const calculateSinhHMinusH = H => Math.abs(H) < 0.1
+		? H**3 / 6 + H**5 / 120 + H**7 / 5040 + H**9 / 362880
+		: Math.sinh(H) - H;
+
+	// Newton's method with a bisection fallback, since (e - 1)·sinh(H) <= M <= e·sinh(H) for positive M
+	let lower = Math.min(Math.asinh(M / eccentricity), Math.asinh(M / (eccentricity - 1)));
+	let upper = Math.max(Math.asinh(M / eccentricity), Math.asinh(M / (eccentricity - 1)));
+	let H = Math.sign(M) * Math.log(2 * Math.abs(M) / eccentricity + 1.8);
+	for (let i = 0; i < 100; i++) {
+		const f = (eccentricity - 1) * H + eccentricity * calculateSinhHMinusH(H) - M;
+		if (f > 0) upper = H;
+		else lower = H;
+		let next = H - f / (eccentricity * Math.cosh(H) - 1);
+		if (!(next > lower && next < upper)) {
+			next = (lower + upper) / 2;
+		}
+		const done = Math.abs(next - H) <= 1e-15 * Math.max(1, Math.abs(H));
+		H = next;
+		if (done) break;
+	}
+	return H;
+}
+
+/**
+ * Asteroids, comets and other bodies orbiting the sun, calculated from osculating orbital elements using Kepler's laws
+ * @link https://en.wikipedia.org/wiki/Orbital_elements
+ */
+class OrbitalElementsBody {
+	/** Gaussian gravitational constant in radians per day */
+	static gaussianConstant = 0.01720209895;
+
+	name;
+	eccentricity;
+	inclination;
+	longitudeOfAscendingNode;
+	argumentOfPerihelion;
+
+	/** Perihelion distance in AU */
+	perihelionDistance;
+
+	/** Julian Day (TT) of the perihelion passage */
+	perihelionTime;
+
+	/** Julian Day of the ecliptic and equinox the angles are referred to */
+	equinox;
+
+	/** Absolute magnitude H, undefined if unknown */
+	absoluteMagnitude;
+
+	/** Slope parameter G, undefined if unknown */
+	slopeParameter;
+
+	/**
+	 * @param {OrbitalElements} elements
+	 */
+	constructor(elements) {
+		this.name = elements.name;
+		this.eccentricity = elements.eccentricity;
+		this.inclination = elements.inclination;
+		this.longitudeOfAscendingNode = elements.longitudeOfAscendingNode;
+		this.argumentOfPerihelion = elements.argumentOfPerihelion;
+		this.equinox = elements.equinox ?? Equinox.J2000;
+		this.absoluteMagnitude = elements.absoluteMagnitude;
+		this.slopeParameter = elements.slopeParameter;
+
+		if (elements.perihelionDistance != null && elements.perihelionTime != null) {
+			this.perihelionDistance = elements.perihelionDistance;
+			this.perihelionTime = elements.perihelionTime;
+		} else if (elements.semiMajorAxis != null && elements.meanAnomaly != null && elements.epoch != null) {
+			if (elements.eccentricity >= 1) {
+				throw Error("Semi-major axis and mean anomaly define elliptic orbits only, use perihelionDistance and perihelionTime instead");
+			}
+			const meanMotion = OrbitalElementsBody.gaussianConstant / elements.semiMajorAxis**1.5 / Math.PI * 180;
+			this.perihelionDistance = elements.semiMajorAxis * (1 - elements.eccentricity);
+			this.perihelionTime = elements.epoch - (normalizeDegrees(elements.meanAnomaly + 180) - 180) / meanMotion;
+		} else {
+			throw Error("Orbital elements need either semiMajorAxis, meanAnomaly and epoch or perihelionDistance and perihelionTime");
+		}
+	}
+
+	/**
+	 * Calculate the position of the body in its orbital plane, with the perihelion on the x axis
+	 * @param {number} julianDay Julian Day (TT)
+	 * @returns {number[]} Cartesian coordinates in AU
+	 */
+	calculateOrbitalPlanePosition(julianDay) {
+		const k = OrbitalElementsBody.gaussianConstant;
+		const q = this.perihelionDistance;
+		const e = this.eccentricity;
+		const t = julianDay - this.perihelionTime;
+
+		if (Math.abs(e - 1) < 0.01) {
+			// Close to a parabola, the semi-major axis and the anomalies become huge or tiny, so use a universal variable instead
+			const chi = solveUniversalKepler(k * t, q, e);
+			const { c2, c3 } = calculateStumpff((1 - e) / q * chi**2);
+			return [q - chi**2 * c2, Math.sqrt(q * (1 + e)) * chi * (1 - (1 - e) / q * chi**2 * c3), 0];
+		}
+
+		const a = q / (1 - e);
+		const meanAnomaly = k / Math.abs(a)**1.5 * t;
+		if (e < 1) {
+			const E = solveKepler(meanAnomaly, e);
+			return [q - 2 * a * Math.sin(E / 2)**2, Math.sqrt(a * q * (1 + e)) * Math.sin(E), 0];
+		}
+		const H = solveHyperbolicKepler(meanAnomaly, e);
+		return [q + 2 * a * Math.sinh(H / 2)**2, Math.sqrt(-a * q * (1 + e)) * Math.sinh(H), 0];
+	}
+
+	/**
+	 * Calculate heliocentric cartesian position of the body, referred to the ecliptic and equinox of date like the planets
+	 * @param {Date} dateTime
+	 * @param {boolean} withVelocity Whether to calculate the velocity as well, by differentiating the position numerically
+	 * @returns {HeliocentricCartesian}
+	 */
+	calculateHeliocentricCartesian(dateTime = new Date(), withVelocity = false) {
+		if (withVelocity) {
+			const position = this.calculateHeliocentricCartesian(dateTime);
+			const velocity = differentiatePosition(date => cartesianToVector(this.calculateHeliocentricCartesian(date)), dateTime);
+			return new HeliocentricCartesian(position.x, position.y, position.z, dateTime, ...velocity);
+		}
+
+		const julianDay = JulianDay.fromDate(dateTime, TimeScale.tt);
+		const orbitToEcliptic = multiplyMatrices(rotationMatrix(2, -this.longitudeOfAscendingNode),
+			multiplyMatrices(rotationMatrix(0, -this.inclination), rotationMatrix(2, -this.argumentOfPerihelion)));
+
+		// Precess from the ecliptic of the elements' equinox to the ecliptic of date via the equator
+		const precession = multiplyMatrices(rotationMatrix(0, Precession.calculateMeanObliquity(julianDay)),
+			multiplyMatrices(Precession.calculateMatrix(this.equinox, julianDay),
+				rotationMatrix(0, -Precession.calculateMeanObliquity(this.equinox))));
+
+		const position = multiplyMatrixVector(multiplyMatrices(precession, orbitToEcliptic),
+			this.calculateOrbitalPlanePosition(julianDay));
+		return new HeliocentricCartesian(...position, dateTime);
+	}
+
+	/**
+	 * Calculate equatorial position of the body
+	 * @param {Date} dateTime
+	 * @returns {Equatorial}
+	 */
+	calculateEquatorial(dateTime = new Date()) {
+		return this.calculateHeliocentricCartesian(dateTime).toGeocentricCartesian().toEcliptical().toEquatorial();
+	}
+
+	/**
+	 * Calculate azimuthal position of the body
+	 * @param {number} geoLatitude Geographic latitude of the observer
+	 * @param {number} geoLongitude Geographic longitude of the observer
+	 * @param {Date} dateTime
+	 * @param {Atmosphere | null} atmosphere Conditions used to add the refraction to the height, null for the geometric height
+	 * @returns {Azimuthal}
+	 */
+	calculateAzimuthal(geoLatitude, geoLongitude, dateTime = new Date(), atmosphere = null) {
+		return this.calculateEquatorial(dateTime).toAzimuthal(geoLatitude, geoLongitude, dateTime, atmosphere);
+	}
+
+	/**
+	 * Calculate the topocentric apparent place of the body, corrected for light travel time, annual aberration
+	 * and the position of the observer, together with the results of the single corrections
+	 * @param {number} geoLatitude Geographic latitude of the observer
+	 * @param {number} geoLongitude Geographic longitude of the observer
+	 * @param {Date} dateTime
+	 * @param {number} elevation Height of the observer above sea level in meters
+	 * @returns {ApparentPlace}
+	 */
+	calculateApparentPlace(geoLatitude, geoLongitude, dateTime = new Date(), elevation = 0) {
+		return calculateApparentPlace(date => this.calculateHeliocentricCartesian(date), Planet.defaultPrecision,
+			geoLatitude, geoLongitude, elevation, dateTime);
+	}
+
+	/**
+	 * Calculate rise, upper transit and set of the body on the local day containing dateTime
+	 * @param {number} geoLatitude Geographic latitude of the observer
+	 * @param {number} geoLongitude Geographic longitude of the observer
+	 * @param {Date} dateTime
+	 * @returns {RiseTransitSet}
+	 */
+	calculateRiseTransitSet(geoLatitude, geoLongitude, dateTime = new Date()) {
+		return calculateRiseTransitSet(date => this.calculateEquatorial(date), Const.horizonHeight,
+			geoLatitude, geoLongitude, dateTime);
+	}
+}
+
+/**
+ * Convert a date in the packed form of the MPC, e.g. K2555 for 2025 May 5, to a Julian Day
+ * @link https://www.minorplanetcenter.net/iau/info/PackedDates.html
+ * @param {string} packedDate
+ * @returns {number}
+ */
+function unpackMPCDate(packedDate) {
+	// The century is given as letter (I = 18, J = 19, K = 20), month and day as digits or letters (A = 10, B = 11, ...)
+	const digit = character => parseInt(character, 36);
+	const year = digit(packedDate[0]) * 100 + Number(packedDate.slice(1, 3));
+	return JulianDay.calculate(year, digit(packedDate[3]), digit(packedDate[4]));
+}
+
+/**
+ * Parse a column of an MPC file as number
+ * @param {string} line
+ * @param {number} start Index of the first character
+ * @param {number} end Index after the last character
+ * @returns {number | undefined} Undefined if the column is empty
+ */
+function parseMPCColumn(line, start, end) {
+	const value = line.slice(start, end).trim();
+	return value === "" ? undefined : Number(value);
+}
+
+/**
+ * Parse the orbital elements of minor planets in the one-line format of the MPC, e.g. from MPCORB.DAT. Header lines are skipped.
+ * @link https://www.minorplanetcenter.net/iau/info/MPOrbitFormat.html
+ * @param {string} data Content of the file
+ * @returns {OrbitalElementsBody[]}
+ */
+function parseMPCORB(data) {
+	const bodies = [];
+	for (const line of data.split(/\r?\n/)) {
+		const packedEpoch = line.slice(20, 25);
+		if (line.length < 103 || !/^[I-L]\d\d[1-9A-C][1-9A-V]$/.test(packedEpoch)) {
+			continue;
+		}
+		bodies.push(new OrbitalElementsBody({
+			name: line.slice(166, 194).trim() || line.slice(0, 7).trim(),
+			absoluteMagnitude: parseMPCColumn(line, 8, 13),
+			slopeParameter: parseMPCColumn(line, 14, 19),
+			epoch: unpackMPCDate(packedEpoch),
+			meanAnomaly: parseMPCColumn(line, 26, 35),
+			argumentOfPerihelion: parseMPCColumn(line, 37, 46),
+			longitudeOfAscendingNode: parseMPCColumn(line, 48, 57),
+			inclination: parseMPCColumn(line, 59, 68),
+			eccentricity: parseMPCColumn(line, 70, 79),
+			semiMajorAxis: parseMPCColumn(line, 92, 103)
+		}));
+	}
+	return bodies;
+}
+
+/**
+ * Parse the orbital elements of comets in the one-line format of the MPC, e.g. from CometEls.txt. Header lines are skipped.
+ * @link https://www.minorplanetcenter.net/iau/info/CometOrbitFormat.html
+ * @param {string} data Content of the file
+ * @returns {OrbitalElementsBody[]}
+ */
+function parseCometEls(data) {
+	const bodies = [];
+	for (const line of data.split(/\r?\n/)) {
+		if (line.length < 79 || !/^\d{4} \d\d [ \d]\d\.\d{4}$/.test(line.slice(14, 29))) {
+			continue;
+		}
+		bodies.push(new OrbitalElementsBody({
+			name: line.slice(102, 158).trim() || line.slice(0, 12).trim(),
+			perihelionTime: JulianDay.calculate(Number(line.slice(14, 18)), Number(line.slice(19, 21)), Number(line.slice(22, 29))),
+			perihelionDistance: parseMPCColumn(line, 30, 39),
+			eccentricity: parseMPCColumn(line, 41, 49),
+			argumentOfPerihelion: parseMPCColumn(line, 51, 59),
+			longitudeOfAscendingNode: parseMPCColumn(line, 61, 69),
+			inclination: parseMPCColumn(line, 71, 79),
+			absoluteMagnitude: parseMPCColumn(line, 91, 95),
+			slopeParameter: parseMPCColumn(line, 96, 100)
+		}));
+	}
+	return bodies;
+}
+
+/**
+ * Solar eclipse as seen from the whole earth
+ * @typedef {object} SolarEclipse
+ * @property {EclipseType} type Partial, annular, total or hybrid
+ * @property {Date} greatestEclipse Time when the axis of the moon's shadow passes closest to the earth's center
+ * @property {number} gamma Least distance between the shadow axis and the earth's center in equatorial radii of the earth,
+ * positive if the axis passes north of the center
+ * @property {number} magnitude Fraction of the sun's diameter covered by the moon at the point of greatest eclipse,
+ * for central eclipses the ratio of the apparent diameters of moon and sun
+ */
+
+/**
+ * Lunar eclipse, which looks the same from everywhere on the night side of the earth.
+ * Times of phases that don't occur during the eclipse are null.
+ * @typedef {object} LunarEclipse
+ * @property {EclipseType} type Penumbral, partial or total
+ * @property {Date} greatestEclipse Time when the moon's center passes closest to the axis of the earth's shadow
+ * @property {number} gamma Least distance between the moon's center and the shadow axis in equatorial radii of the earth,
+ * positive if the moon passes north of the axis
+ * @property {number} magnitude Fraction of the moon's diameter within the umbra at greatest eclipse, negative for penumbral eclipses
+ * @property {number} penumbralMagnitude Fraction of the moon's diameter within the penumbra at greatest eclipse
+ * @property {Date} penumbralBegin
+ * @property {Date | null} partialBegin
+ * @property {Date | null} totalBegin
+ * @property {Date | null} totalEnd
+ * @property {Date | null} partialEnd
+ * @property {Date} penumbralEnd
+ */
+
+/**
+ * Position of sun and moon at a contact or the maximum of a solar eclipse as seen by an observer
+ * @typedef {object} EclipseContact
+ * @property {Date} date
+ * @property {number} sunHeight Geometric height of the sun's center in degrees
+ * @property {number} moonHeight Geometric height of the moon's center in degrees, taking the parallax into account
+ */
+
+/**
+ * Solar eclipse as seen by an observer. Contacts that don't occur during a partial eclipse are null.
+ * @typedef {object} LocalSolarEclipse
+ * @property {SolarEclipse} eclipse The eclipse as seen from the whole earth
+ * @property {EclipseType} type Partial, annular or total
+ * @property {number} magnitude Fraction of the sun's diameter covered by the moon at maximum
+ * @property {number} obscuration Fraction of the sun's disk covered by the moon at maximum
+ * @property {EclipseContact} firstContact Beginning of the partial phase (C1)
+ * @property {EclipseContact | null} secondContact Beginning of the total or annular phase (C2)
+ * @property {EclipseContact} maximum
+ * @property {EclipseContact | null} thirdContact End of the total or annular phase (C3)
+ * @property {EclipseContact} fourthContact End of the partial phase (C4)
+ */
+
+/**
+ * Calculate the geocentric position of the sun displaced by the aberration, i.e. where it is seen from the earth.
+ * Since the sun hardly moves, this is the opposite of the earth's position when the light reaching it was emitted.
+ * @param {Date} dateTime
+ * @returns {GeocentricCartesian} Referred to the ecliptic and equinox of date
+ */
+function calculateApparentSunCartesian(dateTime) {
+	const earth = new Planet(PlanetAbbreviation.ear);
+	const position = earth.calculateHeliocentricCartesian(dateTime);
+	const lightTime = Math.hypot(position.x, position.y, position.z) * lightDaysPerAU;
+	const emission = earth.calculateHeliocentricCartesian(new Date(dateTime.getTime() - lightTime * 86400000));
+	return new GeocentricCartesian(-emission.x, -emission.y, -emission.z, dateTime);
+}
+
+/**
+ * Calculate the apparent ecliptic longitude of the sun, displaced by the aberration and referred to the true equinox of date
+ * @param {Date} dateTime
+ * @returns {number} Longitude in degrees
+ */
+function calculateApparentSunLongitude(dateTime) {
+	const nutation = Nutation.calculate(JulianDay.fromDate(dateTime, TimeScale.tt));
+	return normalizeDegrees(calculateApparentSunCartesian(dateTime).toEcliptical().longitude + nutation.longitude);
+}
+
+/**
+ * Calculate how far the ecliptic longitude of the moon exceeds the one of the sun as seen from the earth
+ * @param {Date} dateTime
+ * @returns {number} Angle between 0° and 360°: 0° at new moon, 90° at first quarter, 180° at full moon and 270° at last quarter
+ */
+function calculateMoonSunLongitudeDifference(dateTime) {
+	return normalizeDegrees(Moon.calculateEcliptical(dateTime).longitude - calculateApparentSunCartesian(dateTime).toEcliptical().longitude);
+}
+
+/**
+ * Find the times at which the ecliptic longitude of the moon exceeds the one of the sun by a certain angle
+ * @param {number} longitudeDifference 0° for new moon, 90° for first quarter, 180° for full moon and 270° for last quarter
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @returns {Date[]}
+ */
+function findMoonPhases(longitudeDifference, startDate, endDate) {
+	// The sine has roots at the difference and at the opposite phase, which is skipped
+	const calculateDifference = date => calculateMoonSunLongitudeDifference(date) - longitudeDifference;
+	return EventSearch.findCrossings(date => sindeg(calculateDifference(date)), startDate, endDate)
+		.filter(({ date }) => cosdeg(calculateDifference(date)) > 0)
+		.map(({ date }) => date);
+}
+
+/**
+ * Calculate the geocentric positions of sun and moon used for eclipses
+ * @param {Date} dateTime
+ * @returns {{sun: number[], moon: number[]}} Cartesian coordinates in km, referred to the true equator and equinox of date
+ */
+function calculateEclipsePositions(dateTime) {
+	const julianDay = JulianDay.fromDate(dateTime, TimeScale.tt);
+	const eclipticalToEquatorial = multiplyMatrices(Nutation.calculateMatrix(julianDay),
+		rotationMatrix(0, -Precession.calculateMeanObliquity(julianDay)));
+	const toEquatorialKm = cartesian => multiplyMatrixVector(eclipticalToEquatorial,
+		cartesianToVector(cartesian).map(x => x * Const.kmPerAU));
+	return {
+		sun: toEquatorialKm(calculateApparentSunCartesian(dateTime)),
+		moon: toEquatorialKm(Moon.calculateGeocentricCartesian(dateTime))
+	};
+}
+
+/**
+ * Calculate the shadow a body casts in the light of the sun, at the distance of a certain point behind the body
+ * @param {number[]} sun Position of the sun
+ * @param {number[]} body Position of the body casting the shadow
+ * @param {number} bodyRadius Radius of the body in km
+ * @param {number[]} point Position of the point, all positions in km
+ * @returns {{axis: number[], offset: number[], penumbraRadius: number, umbraRadius: number}} Unit vector along the shadow axis
+ * pointing away from the sun, vector from the axis to the point perpendicular to the axis and the radii of the shadow in km
+ * at the distance of the point. The umbra radius is negative behind the tip of the umbra, where the antumbra begins.
+ */
+function calculateShadow(sun, body, bodyRadius, point) {
+	const sunDistance = Math.hypot(...body.map((x, i) => x - sun[i]));
+	const axis = body.map((x, i) => (x - sun[i]) / sunDistance);
+	const relative = point.map((x, i) => x - body[i]);
+	const distanceBehind = sum(relative.map((x, i) => x * axis[i]));
+	return {
+		axis,
+		offset: relative.map((x, i) => x - distanceBehind * axis[i]),
+		penumbraRadius: bodyRadius + distanceBehind * (Const.sunRadius + bodyRadius) / sunDistance,
+		umbraRadius: bodyRadius - distanceBehind * (Const.sunRadius - bodyRadius) / sunDistance
+	};
+}
+
+/**
+ * Find the time within a day around a new or full moon when a distance becomes least
+ * @param {(dateTime: Date) => number} calculateDistance
+ * @param {Date} syzygy Time of the new or full moon
+ * @returns {Date}
+ */
+function findLeastDistance(calculateDistance, syzygy) {
+	const halfDay = 43200000;
+	return EventSearch.findExtrema(calculateDistance, new Date(syzygy.getTime() - halfDay), new Date(syzygy.getTime() + halfDay), 0.25)
+		.filter(extremum => !extremum.maximum)
+		.reduce((least, extremum) => extremum.value < least.value ? extremum : least).date;
+}
+
+/**
+ * Find the time before or after an eclipse's maximum when a function of time crosses zero
+ * @param {(dateTime: Date) => number} calculateValue
+ * @param {Date} maximum
+ * @param {number} direction -1 to search before the maximum, 1 to search after it
+ * @returns {Date | null} null if the value doesn't cross zero within 6 hours
+ */
+function findEclipseContact(calculateValue, maximum, direction) {
+	const window = 0.25;
+	const other = new Date(maximum.getTime() + direction * window * 86400000);
+	const [startDate, endDate] = direction < 0 ? [other, maximum] : [maximum, other];
+	return EventSearch.findCrossings(calculateValue, startDate, endDate, window)[0]?.date ?? null;
+}
+
+/**
+ * Calculate the circumstances of a solar eclipse at the time of the new moon, null if the shadow of the moon misses the earth
+ * @param {Date} newMoon
+ * @returns {SolarEclipse | null}
+ */
+function calculateSolarEclipse(newMoon) {
+	const origin = [0, 0, 0];
+	const calculateEarthShadow = date => {
+		const { sun, moon } = calculateEclipsePositions(date);
+		return { sun, moon, shadow: calculateShadow(sun, moon, Const.moonRadius, origin) };
+	};
+	const greatestEclipse = findLeastDistance(date => Math.hypot(...calculateEarthShadow(date).shadow.offset), newMoon);
+	const { sun, moon, shadow } = calculateEarthShadow(greatestEclipse);
+
+	// Stretching the z axis turns the flattened earth into a sphere with the equatorial radius
+	const stretch = 1 / (1 - Const.earthFlattening);
+	const toStretched = vector => [vector[0], vector[1], vector[2] * stretch];
+	const stretchedMoon = toStretched(moon);
+	const stretchedAxis = toStretched(shadow.axis).map(x => x / Math.hypot(...toStretched(shadow.axis)));
+	const moonProjection = sum(stretchedMoon.map((x, i) => x * stretchedAxis[i]));
+	const stretchedDistance = Math.hypot(...stretchedMoon.map((x, i) => x - moonProjection * stretchedAxis[i]));
+
+	const gamma = Math.sign(-shadow.offset[2]) * Math.hypot(...shadow.offset) / Const.earthRadius;
+	if (stretchedDistance >= Const.earthRadius + shadow.penumbraRadius) {
+		return null;
+	}
+
+	// Point on the earth's surface where the shadow axis enters or, if the axis misses the earth, which is closest to it
+	const central = stretchedDistance < Const.earthRadius;
+	const point = central
+		? stretchedAxis.map((x, i) => stretchedMoon[i] - (moonProjection + Math.sqrt(Const.earthRadius**2 - stretchedDistance**2)) * x)
+		: stretchedAxis.map((x, i) => (stretchedMoon[i] - moonProjection * x) / stretchedDistance * Const.earthRadius);
+	const surfacePoint = [point[0], point[1], point[2] / stretch];
+	const topocentricSun = sun.map((x, i) => x - surfacePoint[i]);
+	const topocentricMoon = moon.map((x, i) => x - surfacePoint[i]);
+	const sunRadius = asindeg(Const.sunRadius / Math.hypot(...topocentricSun));
+	const moonRadius = asindeg(Const.moonRadius / Math.hypot(...topocentricMoon));
+
+	if (central) {
+		// The umbra may not reach the parts of the earth farther away from the moon, where the eclipse becomes annular
+		return {
+			type: moonRadius < sunRadius ? EclipseType.annular : shadow.umbraRadius < 0 ? EclipseType.hybrid : EclipseType.total,
+			greatestEclipse,
+			gamma,
+			magnitude: moonRadius / sunRadius
+		};
+	}
+
+	// Only the edge of the umbra or antumbra or only the penumbra touches the earth
+	return {
+		type: stretchedDistance - Const.earthRadius >= Math.abs(shadow.umbraRadius) ? EclipseType.partial
+			: shadow.umbraRadius > 0 ? EclipseType.total : EclipseType.annular,
+		greatestEclipse,
+		gamma,
+		magnitude: (sunRadius + moonRadius - angleBetweenVectors(topocentricSun, topocentricMoon)) / (2 * sunRadius)
+	};
+}
+
+/**
+ * Calculate the circumstances of a lunar eclipse at the time of the full moon, null if the moon misses the earth's penumbra
+ * @param {Date} fullMoon
+ * @returns {LunarEclipse | null}
+ */
+function calculateLunarEclipse(fullMoon) {
+	// The atmosphere enlarges the earth's shadow as if the earth's radius was larger by 1/85 (Danjon).
+	// The radius at a latitude of 45° is used for the flattened earth.
+	const earthRadius = Const.earthRadius * (1 - Const.earthFlattening / 2) * (1 + 1 / 85);
+	const calculateMoonShadow = date => {
+		const { sun, moon } = calculateEclipsePositions(date);
+		const shadow = calculateShadow(sun, [0, 0, 0], earthRadius, moon);
+		const distance = Math.hypot(...shadow.offset);
+		return {
+			distance,
+			north: shadow.offset[2] > 0,
+			penumbra: (shadow.penumbraRadius + Const.moonRadius - distance) / (2 * Const.moonRadius),
+			umbra: (shadow.umbraRadius + Const.moonRadius - distance) / (2 * Const.moonRadius)
+		};
+	};
+	const greatestEclipse = findLeastDistance(date => calculateMoonShadow(date).distance, fullMoon);
+	const greatest = calculateMoonShadow(greatestEclipse);
+	if (greatest.penumbra <= 0) {
+		return null;
+	}
+
+	// The contacts occur when the magnitudes are 0 (first and last contact) or 1 (moon entirely within the shadow)
+	const findContacts = (calculateValue, occurs) => occurs ? [
+		findEclipseContact(calculateValue, greatestEclipse, -1),
+		findEclipseContact(calculateValue, greatestEclipse, 1)
+	] : [null, null];
+	const [penumbralBegin, penumbralEnd] = findContacts(date => calculateMoonShadow(date).penumbra, true);
+	const [partialBegin, partialEnd] = findContacts(date => calculateMoonShadow(date).umbra, greatest.umbra > 0);
+	const [totalBegin, totalEnd] = findContacts(date => calculateMoonShadow(date).umbra - 1, greatest.umbra > 1);
+
+	return {
+		type: greatest.umbra > 1 ? EclipseType.total : greatest.umbra > 0 ? EclipseType.partial : EclipseType.penumbral,
+		greatestEclipse,
+		gamma: (greatest.north ? 1 : -1) * greatest.distance / Const.earthRadius,
+		magnitude: greatest.umbra,
+		penumbralMagnitude: greatest.penumbra,
+		penumbralBegin,
+		partialBegin,
+		totalBegin,
+		totalEnd,
+		partialEnd,
+		penumbralEnd
+	};
+}
+
+/**
+ * Calculate the circumstances of a solar eclipse for an observer, null if the sun is eclipsed only while it is below the horizon
+ * @param {SolarEclipse} eclipse
+ * @param {number} geoLatitude Geographic latitude of the observer
+ * @param {number} geoLongitude Geographic longitude of the observer
+ * @param {number} elevation Height of the observer above sea level in meters
+ * @returns {LocalSolarEclipse | null}
+ */
+function calculateLocalSolarEclipse(eclipse, geoLatitude, geoLongitude, elevation) {
+	// Apparent radii of sun and moon and the angle between their centers as seen by the observer
+	const calculateDisks = date => {
+		const { sun, moon } = calculateEclipsePositions(date);
+		const observer = calculateObserverPosition(geoLatitude, geoLongitude, elevation, date).map(x => x * Const.kmPerAU);
+		const topocentricSun = sun.map((x, i) => x - observer[i]);
+		const topocentricMoon = moon.map((x, i) => x - observer[i]);
+		return {
+			topocentricSun,
+			topocentricMoon,
+			sunRadius: asindeg(Const.sunRadius / Math.hypot(...topocentricSun)),
+			moonRadius: asindeg(Const.moonRadius / Math.hypot(...topocentricMoon)),
+			separation: angleBetweenVectors(topocentricSun, topocentricMoon)
+		};
+	};
+
+	const search = 0.2 * 86400000;
+	const maximum = EventSearch.findExtrema(date => calculateDisks(date).separation,
+		new Date(eclipse.greatestEclipse.getTime() - search), new Date(eclipse.greatestEclipse.getTime() + search), 0.05)
+		.filter(extremum => !extremum.maximum)
+		.reduce((least, extremum) => extremum.value < (least?.value ?? Infinity) ? extremum : least, null)?.date;
+	if (maximum == undefined) {
+		return null;
+	}
+	const disks = calculateDisks(maximum);
+	if (disks.separation >= disks.sunRadius + disks.moonRadius) {
+		return null;
+	}
+
+	const calculateContact = date => {
+		if (date == null) return null;
+		const { topocentricSun, topocentricMoon } = calculateDisks(date);
+		const siderealTime = SiderealTime.calculateApparent(geoLongitude, date).toDegrees();
+		const zenith = [cosdeg(geoLatitude) * cosdeg(siderealTime), cosdeg(geoLatitude) * sindeg(siderealTime), sindeg(geoLatitude)];
+		return {
+			date,
+			sunHeight: 90 - angleBetweenVectors(zenith, topocentricSun),
+			moonHeight: 90 - angleBetweenVectors(zenith, topocentricMoon)
+		};
+	};
+	const calculateOverlap = date => {
+		const { sunRadius, moonRadius, separation } = calculateDisks(date);
+		return sunRadius + moonRadius - separation;
+	};
+	const calculateInnerOverlap = date => {
+		const { sunRadius, moonRadius, separation } = calculateDisks(date);
+		return Math.abs(sunRadius - moonRadius) - separation;
+	};
+	const central = calculateInnerOverlap(maximum) > 0;
+	const contacts = {
+		firstContact: calculateContact(findEclipseContact(calculateOverlap, maximum, -1)),
+		secondContact: central ? calculateContact(findEclipseContact(calculateInnerOverlap, maximum, -1)) : null,
+		maximum: calculateContact(maximum),
+		thirdContact: central ? calculateContact(findEclipseContact(calculateInnerOverlap, maximum, 1)) : null,
+		fourthContact: calculateContact(findEclipseContact(calculateOverlap, maximum, 1))
+	};
+	if ([contacts.firstContact, contacts.maximum, contacts.fourthContact].every(contact => (contact?.sunHeight ?? -90) < Const.horizonHeightSun)) {
+		return null;
+	}
+
+	// Area of the intersection of the two disks
+	const { sunRadius: R, moonRadius: r, separation: d } = disks;
+	let obscuration;
+	if (d <= Math.abs(R - r)) {
+		obscuration = Math.min(r / R, 1)**2;
+	} else {
+		const lens = r**2 * Math.acos((d**2 + r**2 - R**2) / (2 * d * r)) + R**2 * Math.acos((d**2 + R**2 - r**2) / (2 * d * R))
+			- Math.sqrt((-d + r + R) * (d + r - R) * (d - r + R) * (d + r + R)) / 2;
+		obscuration = lens / (Math.PI * R**2);
+	}
+
+	return {
+		eclipse,
+		type: !central ? EclipseType.partial : r > R ? EclipseType.total : EclipseType.annular,
+		magnitude: (R + r - d) / (2 * R),
+		obscuration,
+		...contacts
+	};
+}
+
+/**
+ * Event of the earth's orbit around the sun
+ * @typedef {object} SeasonalEvent
+ * @property {SeasonalEventType} type
+ * @property {Date} date
+ */
+
+/**
+ * Equinoxes and solstices of a year
+ * @typedef {object} Seasons
+ * @property {Date} marchEquinox
+ * @property {Date} juneSolstice
+ * @property {Date} septemberEquinox
+ * @property {Date} decemberSolstice
+ */
+
+/**
+ * Find the equinoxes, solstices and cross-quarter days, when the apparent ecliptic longitude of the sun is a multiple of 45°
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @returns {SeasonalEvent[]}
+ */
+function findSeasonalLongitudes(startDate, endDate) {
+	const types = [
+		SeasonalEventType.marchEquinox, SeasonalEventType.mayCrossQuarter,
+		SeasonalEventType.juneSolstice, SeasonalEventType.augustCrossQuarter,
+		SeasonalEventType.septemberEquinox, SeasonalEventType.novemberCrossQuarter,
+		SeasonalEventType.decemberSolstice, SeasonalEventType.februaryCrossQuarter
+	];
+
+	// The sine of the fourfold longitude has roots at all multiples of 45°, which are about 45 days apart
+	return EventSearch.findCrossings(date => sindeg(4 * calculateApparentSunLongitude(date)), startDate, endDate, 5)
+		.map(({ date }) => ({ type: types[Math.round(calculateApparentSunLongitude(date) / 45) % 8], date }));
+}
+
+/**
+ * Events of the sun during a local day. Events that don't occur on that day are null, see status for the reason.
+ * @typedef {object} SolarEvents
+ * @property {Date} date Beginning of the local mean solar day
+ * @property {Date | null} astronomicalDawn
+ * @property {Date | null} nauticalDawn
+ * @property {Date | null} civilDawn
+ * @property {Date | null} sunrise
+ * @property {Date | null} solarNoon
+ * @property {number | null} solarNoonHeight
+ * @property {Date | null} sunset
+ * @property {Date | null} civilDusk
+ * @property {Date | null} nauticalDusk
+ * @property {Date | null} astronomicalDusk Beginning of the astronomical darkness
+ * @property {number} dayLength Hours between sunrise and sunset, 24 during polar day and 0 during polar night
+ * @property {boolean} polarDay Whether the sun doesn't set the whole day
+ * @property {boolean} polarNight Whether the sun doesn't rise the whole day
+ * @property {{daylight: SunHeightStatus, civil: SunHeightStatus, nautical: SunHeightStatus, astronomical: SunHeightStatus}} status
+ * Whether the sun crosses the horizon and the heights of the twilights on that day
+ */
+
+class Sun {
+	/**
+	 * Calculate geocentric cartesian position of the sun
+	 * @param {Date} dateTime
+	 * @param {boolean} withVelocity Whether to calculate the velocity as well
+	 * @returns {GeocentricCartesian}
+	 */
+	static calculateGeocentricCartesian(dateTime = new Date(), withVelocity = false) {
+		return new HeliocentricCartesian(0, 0, 0, dateTime, ...(withVelocity ? [0, 0, 0] : [])).toGeocentricCartesian();
+	}
+
+	/**
+	 * Calculate equatorial position of the sun
+	 * @param {Date} dateTime
+	 * @returns {Equatorial}
+	 */
+	static calculateEquatorial(dateTime = new Date()) {
+		return this.calculateGeocentricCartesian(dateTime).toEcliptical().toEquatorial();
+	}
+
+	/**
+	 * Calculate azimuthal position of the sun
+	 * @param {number} geoLatitude Geographic latitude of the observer
+	 * @param {number} geoLongitude Geographic longitude of the observer
+	 * @param {Date} dateTime
+	 * @param {Atmosphere | null} atmosphere Conditions used to add the refraction to the height, null for the geometric height
+	 * @returns {Azimuthal}
+	 */
+	static calculateAzimuthal(geoLatitude, geoLongitude, dateTime = new Date(), atmosphere = null) {
+		return this.calculateEquatorial(dateTime).toAzimuthal(geoLatitude, geoLongitude, dateTime, atmosphere);
+	}
+
+	/**
+	 * Calculate the topocentric apparent place of the sun, corrected for annual aberration and the position of the observer,
+	 * together with the results of the single corrections
+	 * @param {number} geoLatitude Geographic latitude of the observer
+	 * @param {number} geoLongitude Geographic longitude of the observer
+	 * @param {Date} dateTime
+	 * @param {number} elevation Height of the observer above sea level in meters
+	 * @returns {ApparentPlace}
+	 */
+	static calculateApparentPlace(geoLatitude, geoLongitude, dateTime = new Date(), elevation = 0) {
+		return calculateApparentPlace(date => new HeliocentricCartesian(0, 0, 0, date), Planet.defaultPrecision,
+			geoLatitude, geoLongitude, elevation, dateTime);
+	}
+
+	/**
+	 * Calculate sunrise, solar noon and sunset on the local day containing dateTime
+	 * @param {number} geoLatitude Geographic latitude of the observer
+	 * @param {number} geoLongitude Geographic longitude of the observer
+	 * @param {Date} dateTime
+	 * @returns {RiseTransitSet}
+	 */
+	static calculateRiseTransitSet(geoLatitude, geoLongitude, dateTime = new Date()) {
+		return calculateRiseTransitSet(date => this.calculateEquatorial(date), Const.horizonHeightSun,
+			geoLatitude, geoLongitude, dateTime);
+	}
+
+	/**
+	 * Calculate solar noon, sunrise, sunset, dawn and dusk of all twilights and the day length on the local day containing dateTime
+	 * @param {number} geoLatitude Geographic latitude of the observer
+	 * @param {number} geoLongitude Geographic longitude of the observer
+	 * @param {Date} dateTime
+	 * @returns {SolarEvents}
+	 */
+	static calculateSolarEvents(geoLatitude, geoLongitude, dateTime = new Date()) {
+		const dayStart = calculateLocalDayStart(geoLongitude, dateTime);
+		const calculateEquatorial = date => this.calculateEquatorial(date);
+		const daylight = calculateRiseTransitSet(calculateEquatorial, Const.horizonHeightSun, geoLatitude, geoLongitude, dayStart);
+		const twilights = Object.fromEntries(Object.entries(Twilight).map(([name, height]) => [
+			name, calculateRiseTransitSet(calculateEquatorial, height, geoLatitude, geoLongitude, dayStart)
+		]));
+
+		const calculateStatus = events => events.circumpolar ? SunHeightStatus.alwaysAbove
+			: events.neverRises ? SunHeightStatus.alwaysBelow : SunHeightStatus.crosses;
+
+		// Time above the horizon during the day, the sun may also set before it rises (shortly before/after polar day)
+		const hours = (from, to) => (to.getTime() - from.getTime()) / 3600000;
+		const dayEnd = new Date(dayStart.getTime() + 86400000);
+		let dayLength;
+		if (daylight.rise == null && daylight.set == null) {
+			dayLength = daylight.circumpolar ? 24 : 0;
+		} else if (daylight.rise != null && daylight.set != null && daylight.rise < daylight.set) {
+			dayLength = hours(daylight.rise, daylight.set);
+		} else {
+			dayLength = (daylight.set == null ? 0 : hours(dayStart, daylight.set))
+				+ (daylight.rise == null ? 0 : hours(daylight.rise, dayEnd));
+		}
+
+		return {
+			date: dayStart,
+			astronomicalDawn: twilights.astronomical.rise,
+			nauticalDawn: twilights.nautical.rise,
+			civilDawn: twilights.civil.rise,
+			sunrise: daylight.rise,
+			solarNoon: daylight.transit,
+			solarNoonHeight: daylight.transitHeight,
+			sunset: daylight.set,
+			civilDusk: twilights.civil.set,
+			nauticalDusk: twilights.nautical.set,
+			astronomicalDusk: twilights.astronomical.set,
+			dayLength,
+			polarDay: daylight.circumpolar,
+			polarNight: daylight.neverRises,
+			status: {
+				daylight: calculateStatus(daylight),
+				civil: calculateStatus(twilights.civil),
+				nautical: calculateStatus(twilights.nautical),
+				astronomical: calculateStatus(twilights.astronomical)
+			}
+		};
+	}
+
+	/**
+	 * Calculate the solar events (see calculateSolarEvents) of every local day in a range, e.g. a whole year
+	 * @example
+	 * Sun.calculateSolarEventCalendar(48.1372, 11.5755, new Date("2025-01-01"), new Date("2026-01-01"))
+	 * @param {number} geoLatitude Geographic latitude of the observer
+	 * @param {number} geoLongitude Geographic longitude of the observer
+	 * @param {Date} startDate The local day containing startDate is the first day of the calendar
+	 * @param {Date} endDate The local day containing endDate is not part of the calendar anymore
+	 * @returns {SolarEvents[]}
+	 */
+	static calculateSolarEventCalendar(geoLatitude, geoLongitude, startDate, endDate) {
+		let calendar = [];
+		const end = calculateLocalDayStart(geoLongitude, endDate).getTime();
+		for (let day = calculateLocalDayStart(geoLongitude, startDate).getTime(); day < end; day += 86400000) {
+			calendar.push(this.calculateSolarEvents(geoLatitude, geoLongitude, new Date(day)));
+		}
+		return calendar;
+	}
+
+	/**
+	 * Calculate the equinoxes and solstices of a year
+	 * @example
+	 * Sun.calculateSeasons(2025).juneSolstice
+	 * @param {number} year
+	 * @returns {Seasons}
+	 */
+	static calculateSeasons(year) {
+		const startDate = new Date(0);
+		startDate.setUTCFullYear(year, 0, 1);
+		const endDate = new Date(0);
+		endDate.setUTCFullYear(year + 1, 0, 1);
+
+		const events = findSeasonalLongitudes(startDate, endDate);
+		const find = type => events.find(event => event.type === type).date;
+		return {
+			marchEquinox: find(SeasonalEventType.marchEquinox),
+			juneSolstice: find(SeasonalEventType.juneSolstice),
+			septemberEquinox: find(SeasonalEventType.septemberEquinox),
+			decemberSolstice: find(SeasonalEventType.decemberSolstice)
+		};
+	}
+
+	/**
+	 * Calculate the equinoxes, solstices, cross-quarter days and the perihelion and aphelion of the earth between two dates
+	 * @example
+	 * Sun.calculateSeasonalEvents(new Date("2025-01-01"), new Date("2026-01-01"))
+	 * @param {Date} startDate
+	 * @param {Date} endDate
+	 * @returns {SeasonalEvent[]} Sorted by date
+	 */
+	static calculateSeasonalEvents(startDate, endDate) {
+		const earth = new Planet(PlanetAbbreviation.ear);
+		const calculateDistance = date => {
+			const position = earth.calculateHeliocentricCartesian(date);
+			return Math.hypot(position.x, position.y, position.z);
+		};
+		const apsides = EventSearch.findExtrema(calculateDistance, startDate, endDate).map(({ date, maximum }) => ({
+			type: maximum ? SeasonalEventType.aphelion : SeasonalEventType.perihelion,
+			date
+		}));
+		return [...findSeasonalLongitudes(startDate, endDate), ...apsides].sort((a, b) => a.date.getTime() - b.date.getTime());
+	}
+
+	/**
+	 * Calculate all solar eclipses between two dates
+	 * @example
+	 * Sun.calculateEclipses(new Date("2024-01-01"), new Date("2027-01-01"))
+	 * @param {Date} startDate
+	 * @param {Date} endDate
+	 * @returns {SolarEclipse[]}
+	 */
+	static calculateEclipses(startDate, endDate) {
+		// Far from the nodes of its orbit, the shadow of the moon misses the earth
+		return findMoonPhases(0, startDate, endDate)
+			.filter(newMoon => Math.abs(Moon.calculateEcliptical(newMoon).latitude) < 1.6)
+			.map(calculateSolarEclipse)
+			.filter(eclipse => eclipse != null);
+	}
+
+	/**
+	 * Calculate the solar eclipses between two dates as seen by an observer, with the times of the contacts and the heights of sun and moon.
+	 * Eclipses are left out if the sun is below the horizon at the first contact, the maximum and the last contact.
+	 * @example
+	 * Sun.calculateLocalEclipses(48.1372, 11.5755, new Date("2025-01-01"), new Date("2030-01-01"))
+	 * @param {number} geoLatitude Geographic latitude of the observer
+	 * @param {number} geoLongitude Geographic longitude of the observer
+	 * @param {Date} startDate
+	 * @param {Date} endDate
+	 * @param {number} elevation Height of the observer above sea level in meters
+	 * @returns {LocalSolarEclipse[]}
+	 */
+	static calculateLocalEclipses(geoLatitude, geoLongitude, startDate, endDate, elevation = 0) {
+		return this.calculateEclipses(startDate, endDate)
+			.map(eclipse => calculateLocalSolarEclipse(eclipse, geoLatitude, geoLongitude, elevation))
+			.filter(eclipse => eclipse != null);
+	}
+}
+
+/**
+ * Periodic terms for the longitude and distance of the moon (Meeus, Astronomical Algorithms, table 47.A).
+ * Each row contains the multiples of D, M, M' and F, followed by the coefficients for Σl and Σr.
+ */
+const moonLongitudeDistanceTerms = [
+	[0, 0, 1, 0, 6288774, -20905355],	[2, 0, -1, 0, 1274027, -3699111],	[2, 0, 0, 0, 658314, -2955968],
+	[0, 0, 2, 0, 213618, -569925],		[0, 1, 0, 0, -185116, 48888],		[0, 0, 0, 2, -114332, -3149],
+	[2, 0, -2, 0, 58793, 246158],		[2, -1, -1, 0, 57066, -152138],		[2, 0, 1, 0, 53322, -170733],
+	[2, -1, 0, 0, 45758, -204586],		[0, 1, -1, 0, -40923, -129620],		[1, 0, 0, 0, -34720, 108743],
+	[0, 1, 1, 0, -30383, 104755],		[2, 0, 0, -2, 15327, 10321],		[0, 0, 1, 2, -12528, 0],
+	[0, 0, 1, -2, 10980, 79661],		[4, 0, -1, 0, 10675, -34782],		[0, 0, 3, 0, 10034, -23210],
+	[4, 0, -2, 0, 8548, -21636],		[2, 1, -1, 0, -7888, 24208],		[2, 1, 0, 0, -6766, 30824],
+	[1, 0, -1, 0, -5163, -8379],		[1, 1, 0, 0, 4987, -16675],			[2, -1, 1, 0, 4036, -12831],
+	[2, 0, 2, 0, 3994, -10445],			[4, 0, 0, 0, 3861, -11650],			[2, 0, -3, 0, 3665, 14403],
+	[0, 1, -2, 0, -2689, -7003],		[2, 0, -1, 2, -2602, 0],			[2, -1, -2, 0, 2390, 10056],
+	[1, 0, 1, 0, -2348, 6322],			[2, -2, 0, 0, 2236, -9884],			[0, 1, 2, 0, -2120, 5751],
+	[0, 2, 0, 0, -2069, 0],				[2, -2, -1, 0, 2048, -4950],		[2, 0, 1, -2, -1773, 4130],
+	[2, 0, 0, 2, -1595, 0],				[4, -1, -1, 0, 1215, -3958],		[0, 0, 2, 2, -1110, 0],
+	[3, 0, -1, 0, -892, 3258],			[2, 1, 1, 0, -810, 2616],			[4, -1, -2, 0, 759, -1897],
+	[0, 2, -1, 0, -713, -2117],			[2, 2, -1, 0, -700, 2354],			[2, 1, -2, 0, 691, 0],
+	[2, -1, 0, -2, 596, 0],				[4, 0, 1, 0, 549, -1423],			[0, 0, 4, 0, 537, -1117],
+	[4, -1, 0, 0, 520, -1571],			[1, 0, -2, 0, -487, -1739],			[2, 1, 0, -2, -399, 0],
+	[0, 0, 2, -2, -381, -4421],			[1, 1, 1, 0, 351, 0],				[3, 0, -2, 0, -340, 0],
+	[4, 0, -3, 0, 330, 0],				[2, -1, 2, 0, 327, 0],				[0, 2, 1, 0, -323, 1165],
+	[1, 1, -1, 0, 299, 0],				[2, 0, 3, 0, 294, 0],				[2, 0, -1, -2, 0, 8752]
+];
+
+/**
+ * Periodic terms for the latitude of the moon (Meeus, Astronomical Algorithms, table 47.B).
+ * Each row contains the multiples of D, M, M' and F, followed by the coefficient for Σb.
+ */
+const moonLatitudeTerms = [
+	[0, 0, 0, 1, 5128122],	[0, 0, 1, 1, 280602],	[0, 0, 1, -1, 277693],	[2, 0, 0, -1, 173237],
+	[2, 0, -1, 1, 55413],	[2, 0, -1, -1, 46271],	[2, 0, 0, 1, 32573],	[0, 0, 2, 1, 17198],
+	[2, 0, 1, -1, 9266],	[0, 0, 2, -1, 8822],	[2, -1, 0, -1, 8216],	[2, 0, -2, -1, 4324],
+	[2, 0, 1, 1, 4200],		[2, 1, 0, -1, -3359],	[2, -1, -1, 1, 2463],	[2, -1, 0, 1, 2211],
+	[2, -1, -1, -1, 2065],	[0, 1, -1, -1, -1870],	[4, 0, -1, -1, 1828],	[0, 1, 0, 1, -1794],
+	[0, 0, 0, 3, -1749],	[0, 1, -1, 1, -1565],	[1, 0, 0, 1, -1491],	[0, 1, 1, 1, -1475],
+	[0, 1, 1, -1, -1410],	[0, 1, 0, -1, -1344],	[1, 0, 0, -1, -1335],	[0, 0, 3, 1, 1107],
+	[4, 0, 0, -1, 1021],	[4, 0, -1, 1, 833],		[0, 0, 1, -3, 777],		[4, 0, -2, 1, 671],
+	[2, 0, 0, -3, 607],		[2, 0, 2, -1, 596],		[2, -1, 1, -1, 491],	[2, 0, -2, 1, -451],
+	[0, 0, 3, -1, 439],		[2, 0, 2, 1, 422],		[2, 0, -3, -1, 421],	[2, 1, -1, 1, -366],
+	[2, 1, 0, 1, -351],		[4, 0, 0, 1, 331],		[2, -1, 1, 1, 315],		[2, -2, 0, -1, 302],
+	[0, 0, 1, 3, -283],		[2, 1, 1, -1, -229],	[1, 1, 0, -1, 223],		[1, 1, 0, 1, 223],
+	[0, 1, -2, -1, -220],	[2, 1, -1, -1, -220],	[1, 0, 1, 1, -185],		[2, -1, -2, -1, 181],
+	[0, 1, 2, 1, -177],		[4, 0, -2, -1, 176],	[4, -1, -1, -1, 166],	[1, 0, 1, -1, -164],
+	[4, 0, 1, -1, 132],		[1, 0, -1, -1, -119],	[4, -1, 0, -1, 115],	[2, -2, 0, 1, 107]
+];
+
+/**
+ * Calculate the geocentric ecliptical position of the moon, referred to the mean equinox of the date.
+ * Uses the JPL ephemeris instead of the lunar theory if it is Planet.defaultPrecision.
+ * @link https://en.wikipedia.org/wiki/Lunar_theory
+ * @param {Date} dateTime
+ * @returns {{longitude: number, latitude: number, distance: number}} Longitude and latitude in degrees, distance in km
+ */
+function calculateMoonPosition(dateTime) {
+	if (Planet.defaultPrecision instanceof JPLEphemeris) {
+		const vector = cartesianToVector(Planet.defaultPrecision.calculateGeocentricCartesian(JPLBody.moon, dateTime));
+		return { ...vectorToSpherical(vector), distance: Math.hypot(...vector) * Const.kmPerAU };
+	}
+
+	const T = JulianDay.calculateJulianCenturiesJ2000(JulianDay.fromDate(dateTime, TimeScale.tt));
+
+	// Mean longitude, mean elongation, mean anomalies of sun and moon and argument of latitude
+	const L = 218.3164477 + 481267.88123421 * T - 0.0015786 * T**2 + T**3 / 538841 - T**4 / 65194000;
+	const D = 297.8501921 + 445267.1114034 * T - 0.0018819 * T**2 + T**3 / 545868 - T**4 / 113065000;
+	const M = 357.5291092 + 35999.0502909 * T - 0.0001536 * T**2 + T**3 / 24490000;
+	const Mm = 134.9633964 + 477198.8675055 * T + 0.0087414 * T**2 + T**3 / 69699 - T**4 / 14712000;
+	const F = 93.2720950 + 483202.0175233 * T - 0.0036539 * T**2 - T**3 / 3526000 + T**4 / 863310000;
+	const A1 = 119.75 + 131.849 * T;
+	const A2 = 53.09 + 479264.290 * T;
+	const A3 = 313.45 + 481266.484 * T;
+
+	// Decreasing eccentricity of the earth's orbit
+	const E = 1 - 0.002516 * T - 0.0000074 * T**2;
+
+	let sumL = 3958 * sindeg(A1) + 1962 * sindeg(L - F) + 318 * sindeg(A2);
+	let sumR = 0;
+	for (const [d, m, mm, f, l, r] of moonLongitudeDistanceTerms) {
+		const argument = d * D + m * M + mm * Mm + f * F;
+		const factor = E**Math.abs(m);
+		sumL += l * factor * sindeg(argument);
+		sumR += r * factor * cosdeg(argument);
+	}
+
+	let sumB = -2235 * sindeg(L) + 382 * sindeg(A3) + 175 * sindeg(A1 - F) + 175 * sindeg(A1 + F)
+		+ 127 * sindeg(L - Mm) - 115 * sindeg(L + Mm);
+	for (const [d, m, mm, f, b] of moonLatitudeTerms) {
+		sumB += b * E**Math.abs(m) * sindeg(d * D + m * M + mm * Mm + f * F);
+	}
+
+	return {
+		longitude: normalizeDegrees(L + sumL / 1000000),
+		latitude: sumB / 1000000,
+		distance: 385000.56 + sumR / 1000
+	};
+}
+
+/**
+ * Calculate the mean longitude of the ascending node of the moon's orbit, which moves westwards once in 18.6 years
+ * @link https://en.wikipedia.org/wiki/Lunar_node
+ * @param {Date} dateTime
+ * @returns {number} Longitude referred to the mean equinox of date in degrees, not normalized
+ */
+function calculateMoonNodeLongitude(dateTime) {
+	const T = JulianDay.calculateJulianCenturiesJ2000(JulianDay.fromDate(dateTime, TimeScale.tt));
+	return 125.0445479 - 1934.1362891 * T + 0.0020754 * T**2 + T**3 / 467441 - T**4 / 60616000;
+}
+
+/**
+ * Event in the orbit of the moon together with the position of the moon at that time
+ * @typedef {object} MoonEvent
+ * @property {MoonEventType} type
+ * @property {Date} date
+ * @property {number} longitude Ecliptic longitude referred to the mean equinox of date
+ * @property {number} declination Declination referred to the true equator of date
+ * @property {number} distance Distance between the centers of the earth and the moon in km
+ */
+
+/**
+ * Create an event of the moon, adding its position
+ * @param {MoonEventType} type
+ * @param {Date} dateTime
+ * @returns {MoonEvent}
+ */
+function createMoonEvent(type, dateTime) {
+	const position = calculateMoonPosition(dateTime);
+	return {
+		type,
+		date: dateTime,
+		longitude: position.longitude,
+		declination: new Ecliptical(position.longitude, position.latitude, dateTime).toEquatorial().declination,
+		distance: position.distance
+	};
+}
+
+/**
+ * Earth's moon, calculated using the main terms of the ELP-2000/82 theory as given by Meeus,
+ * or using the JPL ephemeris if it is Planet.defaultPrecision
+ * @link https://en.wikipedia.org/wiki/Moon
+ */
+class Moon {
+	/**
+	 * Calculate geocentric cartesian position of the moon
+	 * @param {Date} dateTime
+	 * @param {boolean} withVelocity Whether to calculate the velocity as well, by differentiating the position numerically
+	 * @returns {GeocentricCartesian}
+	 */
+	static calculateGeocentricCartesian(dateTime = new Date(), withVelocity = false) {
+		const calculateVector = date => {
+			const position = calculateMoonPosition(date);
+			const distance = position.distance / Const.kmPerAU;
+			return [
+				distance * cosdeg(position.latitude) * cosdeg(position.longitude),
+				distance * cosdeg(position.latitude) * sindeg(position.longitude),
+				distance * sindeg(position.latitude)
+			];
+		};
+		const velocity = withVelocity ? differentiatePosition(calculateVector, dateTime) : [];
+		return new GeocentricCartesian(...calculateVector(dateTime), dateTime, ...velocity);
+	}
+
+	/**
+	 * Calculate spherical ecliptical position of the moon
+	 * @param {Date} dateTime
+	 * @returns {Ecliptical}
+	 */
+	static calculateEcliptical(dateTime = new Date()) {
+		const position = calculateMoonPosition(dateTime);
+		return new Ecliptical(position.longitude, position.latitude, dateTime);
+	}
+
+	/**
+	 * Calculate equatorial position of the moon
+	 * @param {Date} dateTime
+	 * @returns {Equatorial}
+	 */
+	static calculateEquatorial(dateTime = new Date()) {
+		return this.calculateEcliptical(dateTime).toEquatorial();
+	}
+
+	/**
+	 * Calculate azimuthal position of the moon
+	 * @param {number} geoLatitude Geographic latitude of the observer
+	 * @param {number} geoLongitude Geographic longitude of the observer
+	 * @param {Date} dateTime
+	 * @param {Atmosphere | null} atmosphere Conditions used to add the refraction to the height, null for the geometric height
+	 * @returns {Azimuthal}
+	 */
+	static calculateAzimuthal(geoLatitude, geoLongitude, dateTime = new Date(), atmosphere = null) {
+		return this.calculateEquatorial(dateTime).toAzimuthal(geoLatitude, geoLongitude, dateTime, atmosphere);
+	}
+
+	/**
+	 * Calculate moonrise, upper transit and moonset on the local day containing dateTime.
+	 * Since the moon rises about 50 minutes later every day, there are days without moonrise, transit or moonset.
+	 * @param {number} geoLatitude Geographic latitude of the observer
+	 * @param {number} geoLongitude Geographic longitude of the observer
+	 * @param {Date} dateTime
+	 * @returns {RiseTransitSet}
+	 */
+	static calculateRiseTransitSet(geoLatitude, geoLongitude, dateTime = new Date()) {
+		// The horizontal parallax of the moon lifts its geometric height at rise and set
+		const parallax = asindeg(Const.earthRadius / this.calculateDistance(dateTime));
+		return calculateRiseTransitSet(date => this.calculateEquatorial(date), 0.7275 * parallax + Const.horizonHeight,
+			geoLatitude, geoLongitude, dateTime);
+	}
+
+	/**
+	 * Calculate the distance between the centers of the earth and the moon
+	 * @param {Date} dateTime
+	 * @returns {number} Distance in km
+	 */
+	static calculateDistance(dateTime = new Date()) {
+		return calculateMoonPosition(dateTime).distance;
+	}
+
+	/**
+	 * Calculate the phase angle, i.e. the angle sun-moon-earth (0° at full moon, 180° at new moon)
+	 * @param {Date} dateTime
+	 * @returns {number} Phase angle in degrees
+	 */
+	static calculatePhaseAngle(dateTime = new Date()) {
+		const moon = this.calculateGeocentricCartesian(dateTime);
+		const sun = Sun.calculateGeocentricCartesian(dateTime);
+		const toEarth = [ -moon.x, -moon.y, -moon.z ];
+		const toSun = [ sun.x - moon.x, sun.y - moon.y, sun.z - moon.z ];
+		return angleBetweenVectors(toEarth, toSun);
+	}
+
+	/**
+	 * Calculate the illuminated fraction of the moon's disk
+	 * @param {Date} dateTime
+	 * @returns {number} Fraction between 0 (new moon) and 1 (full moon)
+	 */
+	static calculateIlluminatedFraction(dateTime = new Date()) {
+		return (1 + cosdeg(this.calculatePhaseAngle(dateTime))) / 2;
+	}
+
+	/**
+	 * Calculate the time since the last new moon, i.e. since sun and moon had the same ecliptical longitude
+	 * @param {Date} dateTime
+	 * @returns {number} Age in days
+	 */
+	static calculateAge(dateTime = new Date()) {
+		// Mean motion of the moon relative to the sun in degrees per day
+		const synodicMotion = 360 / 29.530588853;
+		const elongation = date => this.calculateEcliptical(date).longitude
+			- Sun.calculateGeocentricCartesian(date).toEcliptical().longitude;
+
+		let age = normalizeDegrees(elongation(dateTime)) / synodicMotion;
+		for (let i = 0; i < 10; i++) {
+			const newMoon = new Date(dateTime.getTime() - age * 86400000);
+			const correction = normalizeDegrees(elongation(newMoon) + 180) - 180;
+			age += correction / synodicMotion;
+			if (Math.abs(correction) < 1e-7) break;
+		}
+		return age;
+	}
+
+	/**
+	 * Calculate the position angle of the midpoint of the moon's bright limb, measured eastwards from the north point of the disk
+	 * @param {Date} dateTime
+	 * @returns {number} Position angle in degrees
+	 */
+	static calculateBrightLimbAngle(dateTime = new Date()) {
+		const moon = this.calculateEquatorial(dateTime);
+		const sun = Sun.calculateEquatorial(dateTime);
+		return normalizeDegrees(atan2deg(
+			cosdeg(sun.declination) * sindeg(sun.rightAscension - moon.rightAscension),
+			sindeg(sun.declination) * cosdeg(moon.declination)
+			- cosdeg(sun.declination) * sindeg(moon.declination) * cosdeg(sun.rightAscension - moon.rightAscension)
+		));
+	}
+
+	/**
+	 * Calculate the times of new moon, first quarter, full moon and last quarter between two dates,
+	 * i.e. when the ecliptic longitude of the moon exceeds the one of the sun by 0°, 90°, 180° and 270°
+	 * @example
+	 * Moon.calculatePhases(new Date("2025-01-01"), new Date("2026-01-01"))
+	 * @param {Date} startDate
+	 * @param {Date} endDate
+	 * @returns {MoonEvent[]}
+	 */
+	static calculatePhases(startDate, endDate) {
+		const phases = [MoonEventType.newMoon, MoonEventType.firstQuarter, MoonEventType.fullMoon, MoonEventType.lastQuarter];
+
+		// The sine of the doubled difference has roots at all four phases
+		return EventSearch.findCrossings(date => sindeg(2 * calculateMoonSunLongitudeDifference(date)), startDate, endDate)
+			.map(({ date }) => createMoonEvent(phases[Math.round(calculateMoonSunLongitudeDifference(date) / 90) % 4], date));
+	}
+
+	/**
+	 * Calculate the times of perigee and apogee between two dates, when the moon is closest to and farthest from the earth
+	 * @param {Date} startDate
+	 * @param {Date} endDate
+	 * @returns {MoonEvent[]}
+	 */
+	static calculateApsides(startDate, endDate) {
+		return EventSearch.findExtrema(date => this.calculateDistance(date), startDate, endDate)
+			.map(({ date, maximum }) => createMoonEvent(maximum ? MoonEventType.apogee : MoonEventType.perigee, date));
+	}
+
+	/**
+	 * Calculate the times between two dates when the moon crosses the ecliptic
+	 * @param {Date} startDate
+	 * @param {Date} endDate
+	 * @returns {MoonEvent[]}
+	 */
+	static calculateNodes(startDate, endDate) {
+		return EventSearch.findCrossings(date => this.calculateEcliptical(date).latitude, startDate, endDate)
+			.map(({ date, rising }) => createMoonEvent(rising ? MoonEventType.ascendingNode : MoonEventType.descendingNode, date));
+	}
+
+	/**
+	 * Calculate the times between two dates when the moon reaches its greatest northern and southern declination during a month.
+	 * These reach about ±28.7° around a major and ±18.1° around a minor lunar standstill, see calculateStandstills.
+	 * @param {Date} startDate
+	 * @param {Date} endDate
+	 * @returns {MoonEvent[]}
+	 */
+	static calculateGreatestDeclinations(startDate, endDate) {
+		return EventSearch.findExtrema(date => this.calculateEquatorial(date).declination, startDate, endDate)
+			.map(({ date, maximum }) => createMoonEvent(maximum ? MoonEventType.greatestNorthernDeclination : MoonEventType.greatestSouthernDeclination, date));
+	}
+
+	/**
+	 * Calculate the times of the major and minor lunar standstills between two dates, when the mean ascending node of the moon's orbit
+	 * passes the vernal and the autumnal equinox. The inclination of the orbit then adds to or subtracts from the obliquity of the ecliptic,
+	 * so the monthly greatest declinations are near their extremes for about a year around these times.
+	 * @example
+	 * Moon.calculateStandstills(new Date("2000-01-01"), new Date("2030-01-01"))
+	 * @link https://en.wikipedia.org/wiki/Lunar_standstill
+	 * @param {Date} startDate
+	 * @param {Date} endDate
+	 * @returns {MoonEvent[]}
+	 */
+	static calculateStandstills(startDate, endDate) {
+		// The node moves westwards, so the sine of its longitude falls at 0° and rises at 180°
+		return EventSearch.findCrossings(date => sindeg(calculateMoonNodeLongitude(date)), startDate, endDate, 30)
+			.map(({ date, rising }) => createMoonEvent(rising ? MoonEventType.minorStandstill : MoonEventType.majorStandstill, date));
+	}
+
+	/**
+	 * Calculate the phases, apsides, nodes, greatest declinations and standstills of the moon between two dates, e.g. for a calendar
+	 * @example
+	 * Moon.calculateEvents(new Date("2025-01-01"), new Date("2026-01-01"))
+	 * @param {Date} startDate
+	 * @param {Date} endDate
+	 * @returns {MoonEvent[]} Sorted by date
+	 */
+	static calculateEvents(startDate, endDate) {
+		return [
+			...this.calculatePhases(startDate, endDate),
+			...this.calculateApsides(startDate, endDate),
+			...this.calculateNodes(startDate, endDate),
+			...this.calculateGreatestDeclinations(startDate, endDate),
+			...this.calculateStandstills(startDate, endDate)
+		].sort((a, b) => a.date.getTime() - b.date.getTime());
+	}
+
+	/**
+	 * Calculate all lunar eclipses between two dates, including the penumbral ones
+	 * @example
+	 * Moon.calculateEclipses(new Date("2025-01-01"), new Date("2026-01-01"))
+	 * @param {Date} startDate
+	 * @param {Date} endDate
+	 * @returns {LunarEclipse[]}
+	 */
+	static calculateEclipses(startDate, endDate) {
+		// Far from the nodes of its orbit, the moon misses the shadow of the earth
+		return findMoonPhases(180, startDate, endDate)
+			.filter(fullMoon => Math.abs(Moon.calculateEcliptical(fullMoon).latitude) < 1.6)
+			.map(calculateLunarEclipse)
+			.filter(eclipse => eclipse != null);
+	}
+}
+
+
+
+/**
+ * Constants of the WGS 72 gravity model. SGP4 has to use them, since the mean elements of TLEs are fitted with it.
+ */
+const wgs72 = {
+	/** Equatorial radius of the earth in kilometers */		earthRadius: 6378.135,
+	/** Gravitational parameter of the earth in km^3/s^2 */	mu: 398600.8,
+	/** Zonal harmonic J2 of the gravity field */			j2: 0.001082616,
+	/** Zonal harmonic J3 of the gravity field */			j3: -0.00000253881,
+	/** Zonal harmonic J4 of the gravity field */			j4: -0.00000165597
+}
+
+/**
+ * Calculate the Greenwich mean sidereal time of the IAU 1982 model, on which the TEME frame and the resonance terms of SGP4 are based
+ * @param {number} julianDay Julian Day (UT1)
+ * @returns {number} Angle in radians between 0 and 2π
+ */
+function calculateSGP4SiderealTime(julianDay) {
+	const T = JulianDay.calculateJulianCenturiesJ2000(julianDay);
+	const seconds = 67310.54841 + (876600 * 3600 + 8640184.812866) * T + 0.093104 * T**2 - 6.2e-6 * T**3;
+	const angle = (seconds / 240 * Math.PI / 180) % (2 * Math.PI);
+	return angle < 0 ? angle + 2 * Math.PI : angle;
+}
+
+/**
+ * Calculate the coefficients of the lunar and solar perturbations of deep-space orbits (dscom and the secular part of dsinit)
+ * @param {object} record SGP4 state of the satellite
+ * @returns {{cosim: number, sinim: number, emsq: number, bodies: object[]}}
+ */
+function initializeDeepSpaceTerms(record) {
+	const twoPi = 2 * Math.PI;
+	const { ecco, argpo, inclo, nodeo, no } = record;
+	const snodm = Math.sin(nodeo);
+	const cnodm = Math.cos(nodeo);
+	const sinomm = Math.sin(argpo);
+	const cosomm = Math.cos(argpo);
+	const sinim = Math.sin(inclo);
+	const cosim = Math.cos(inclo);
+	const emsq = ecco**2;
+	const betasq = 1 - emsq;
+	const rtemsq = Math.sqrt(betasq);
+
+	// Orbit of the moon at the epoch, in days since 1900 Jan 0.5
+	const day = record.epoch - 2415020;
+	const xnodce = (4.523602 - 9.2422029e-4 * day) % twoPi;
+	const stem = Math.sin(xnodce);
+	const ctem = Math.cos(xnodce);
+	const zcosil = 0.91375164 - 0.03568096 * ctem;
+	const zsinil = Math.sqrt(1 - zcosil**2);
+	const zsinhl = 0.089683511 * stem / zsinil;
+	const zcoshl = Math.sqrt(1 - zsinhl**2);
+	const gam = 5.8351514 + 0.001944368 * day;
+	const zx = Math.atan2(0.39785416 * stem / zsinil, zcoshl * ctem + 0.91744867 * zsinhl * stem) + gam - xnodce;
+
+	// Orientation of the orbit of the perturbing body relative to the orbit of the satellite
+	const calculateBody = (zcosg, zsing, zcosi, zsini, zcosh, zsinh, cc, zn, ze, zm) => {
+		const a1 = zcosg * zcosh + zsing * zcosi * zsinh;
+		const a3 = -zsing * zcosh + zcosg * zcosi * zsinh;
+		const a7 = -zcosg * zsinh + zsing * zcosi * zcosh;
+		const a8 = zsing * zsini;
+		const a9 = zsing * zsinh + zcosg * zcosi * zcosh;
+		const a10 = zcosg * zsini;
+		const a2 = cosim * a7 + sinim * a8;
+		const a4 = cosim * a9 + sinim * a10;
+		const a5 = -sinim * a7 + cosim * a8;
+		const a6 = -sinim * a9 + cosim * a10;
+
+		const x1 = a1 * cosomm + a2 * sinomm;
+		const x2 = a3 * cosomm + a4 * sinomm;
+		const x3 = -a1 * sinomm + a2 * cosomm;
+		const x4 = -a3 * sinomm + a4 * cosomm;
+		const x5 = a5 * sinomm;
+		const x6 = a6 * sinomm;
+		const x7 = a5 * cosomm;
+		const x8 = a6 * cosomm;
+
+		const z31 = 12 * x1 * x1 - 3 * x3 * x3;
+		const z32 = 24 * x1 * x2 - 6 * x3 * x4;
+		const z33 = 12 * x2 * x2 - 3 * x4 * x4;
+		const z1 = 2 * (3 * (a1 * a1 + a2 * a2) + z31 * emsq) + betasq * z31;
+		const z2 = 2 * (6 * (a1 * a3 + a2 * a4) + z32 * emsq) + betasq * z32;
+		const z3 = 2 * (3 * (a3 * a3 + a4 * a4) + z33 * emsq) + betasq * z33;
+		const z11 = -6 * a1 * a5 + emsq * (-24 * x1 * x7 - 6 * x3 * x5);
+		const z12 = -6 * (a1 * a6 + a3 * a5) + emsq * (-24 * (x2 * x7 + x1 * x8) - 6 * (x3 * x6 + x4 * x5));
+		const z13 = -6 * a3 * a6 + emsq * (-24 * x2 * x8 - 6 * x4 * x6);
+		const z21 = 6 * a2 * a5 + emsq * (24 * x1 * x5 - 6 * x3 * x7);
+		const z22 = 6 * (a4 * a5 + a2 * a6) + emsq * (24 * (x2 * x5 + x1 * x6) - 6 * (x4 * x7 + x3 * x8));
+		const z23 = 6 * a4 * a6 + emsq * (24 * x2 * x6 - 6 * x4 * x8);
+
+		const s3 = cc / no;
+		const s2 = -0.5 * s3 / rtemsq;
+		const s4 = s3 * rtemsq;
+		const s1 = -15 * ecco * s4;
+		const s5 = x1 * x3 + x2 * x4;
+		const s6 = x2 * x3 + x1 * x4;
+		const s7 = x2 * x4 - x1 * x3;
+
+		// The node is undefined for (nearly) equatorial orbits
+		const lowInclination = inclo < 5.2359877e-2 || inclo > Math.PI - 5.2359877e-2;
+
+		return {
+			// Long-periodic terms
+			e2: 2 * s1 * s6, e3: 2 * s1 * s7,
+			i2: 2 * s2 * z12, i3: 2 * s2 * (z13 - z11),
+			l2: -2 * s3 * z2, l3: -2 * s3 * (z3 - z1), l4: -2 * s3 * (-21 - 9 * emsq) * ze,
+			gh2: 2 * s4 * z32, gh3: 2 * s4 * (z33 - z31), gh4: -18 * s4 * ze,
+			h2: -2 * s2 * z22, h3: -2 * s2 * (z23 - z21),
+			zm, zn, ze,
+
+			// Secular rates
+			dedt: s1 * zn * s5,
+			didt: s2 * zn * (z11 + z13),
+			dmdt: -zn * s3 * (z1 + z3 - 14 - 6 * emsq),
+			dghdt: s4 * zn * (z31 + z33 - 6),
+			dhdt: lowInclination ? 0 : -zn * s2 * (z21 + z23)
+		};
+	};
+
+	const sun = calculateBody(0.1945905, -0.98088458, 0.91744867, 0.39785416, cnodm, snodm, 2.9864797e-6,
+		1.19459e-5, 0.01675, (6.2565837 + 0.017201977 * day) % twoPi);
+	const moon = calculateBody(Math.cos(zx), Math.sin(zx), zcosil, zsinil, zcoshl * cnodm + zsinhl * snodm,
+		snodm * zcoshl - cnodm * zsinhl, 4.7968065e-7, 1.5835218e-4, 0.0549, (4.7199672 + (0.2299715 * day - gam)) % twoPi);
+
+	return { cosim, sinim, emsq, bodies: [sun, moon] };
+}
+
+/**
+ * Initialize the resonance terms of geosynchronous and 12-hour orbits (dsinit)
+ * @param {object} record SGP4 state of the satellite
+ * @param {number} cosim Cosine of the inclination
+ * @param {number} sinim Sine of the inclination
+ * @param {number} xke
+ */
+function initializeDeepSpaceResonance(record, cosim, sinim, xke) {
+	const twoPi = 2 * Math.PI;
+	const rptim = 4.37526908801129966e-3;
+	const { no, ecco: em, mo, nodeo, argpo } = record;
+	const emsq = em**2;
+	const theta = record.gsto;
+	const aonv = (no / xke)**(2 / 3);
+
+	record.irez = 0;
+	if (no < 0.0052359877 && no > 0.0034906585) {
+		record.irez = 1;
+	}
+	if (no >= 8.26e-3 && no <= 9.24e-3 && em >= 0.5) {
+		record.irez = 2;
+	}
+
+	if (record.irez === 1) {
+		// Synchronous resonance
+		const g200 = 1 + emsq * (-2.5 + 0.8125 * emsq);
+		const g310 = 1 + 2 * emsq;
+		const g300 = 1 + emsq * (-6 + 6.60937 * emsq);
+		const f220 = 0.75 * (1 + cosim)**2;
+		const f311 = 0.9375 * sinim**2 * (1 + 3 * cosim) - 0.75 * (1 + cosim);
+		const f330 = 1.875 * (1 + cosim)**3;
+		const del1 = 3 * no**2 * aonv**2;
+		record.del2 = 2 * del1 * f220 * g200 * 1.7891679e-6;
+		record.del3 = 3 * del1 * f330 * g300 * 2.2123015e-7 * aonv;
+		record.del1 = del1 * f311 * g310 * 2.1460748e-6 * aonv;
+		record.xlamo = (mo + nodeo + argpo - theta) % twoPi;
+		record.xfact = record.mdot + record.argpdot + record.nodedot + record.dmdt + record.domdt + record.dnodt - (no + rptim);
+	} else if (record.irez === 2) {
+		// Half-day resonance
+		const cosisq = cosim**2;
+		const eoc = em * emsq;
+		const g201 = -0.306 - (em - 0.64) * 0.44;
+		let g211, g310, g322, g410, g422, g520, g521, g532, g533;
+		if (em <= 0.65) {
+			g211 = 3.616 - 13.247 * em + 16.29 * emsq;
+			g310 = -19.302 + 117.39 * em - 228.419 * emsq + 156.591 * eoc;
+			g322 = -18.9068 + 109.7927 * em - 214.6334 * emsq + 146.5816 * eoc;
+			g410 = -41.122 + 242.694 * em - 471.094 * emsq + 313.953 * eoc;
+			g422 = -146.407 + 841.88 * em - 1629.014 * emsq + 1083.435 * eoc;
+			g520 = -532.114 + 3017.977 * em - 5740.032 * emsq + 3708.276 * eoc;
+		} else {
+			g211 = -72.099 + 331.819 * em - 508.738 * emsq + 266.724 * eoc;
+			g310 = -346.844 + 1582.851 * em - 2415.925 * emsq + 1246.113 * eoc;
+			g322 = -342.585 + 1554.908 * em - 2366.899 * emsq + 1215.972 * eoc;
+			g410 = -1052.797 + 4758.686 * em - 7193.992 * emsq + 3651.957 * eoc;
+			g422 = -3581.69 + 16178.11 * em - 24462.77 * emsq + 12422.52 * eoc;
+			g520 = em > 0.715
+				? -5149.66 + 29936.92 * em - 54087.36 * emsq + 31324.56 * eoc
+				: 1464.74 - 4664.75 * em + 3763.64 * emsq;
+		}
+		if (em < 0.7) {
+			g533 = -919.2277 + 4988.61 * em - 9064.77 * emsq + 5542.21 * eoc;
+			g521 = -822.71072 + 4568.6173 * em - 8491.4146 * emsq + 5337.524 * eoc;
+			g532 = -853.666 + 4690.25 * em - 8624.77 * emsq + 5341.4 * eoc;
+		} else {
+			g533 = -37995.78 + 161616.52 * em - 229838.2 * emsq + 109377.94 * eoc;
+			g521 = -51752.104 + 218913.95 * em - 309468.16 * emsq + 146349.42 * eoc;
+			g532 = -40023.88 + 170470.89 * em - 242699.48 * emsq + 115605.82 * eoc;
+		}
+
+		const sini2 = sinim**2;
+		const f220 = 0.75 * (1 + 2 * cosim + cosisq);
+		const f221 = 1.5 * sini2;
+		const f321 = 1.875 * sinim * (1 - 2 * cosim - 3 * cosisq);
+		const f322 = -1.875 * sinim * (1 + 2 * cosim - 3 * cosisq);
+		const f441 = 35 * sini2 * f220;
+		const f442 = 39.375 * sini2**2;
+		const f522 = 9.84375 * sinim * (sini2 * (1 - 2 * cosim - 5 * cosisq) + 0.33333333 * (-2 + 4 * cosim + 6 * cosisq));
+		const f523 = sinim * (4.92187512 * sini2 * (-2 - 4 * cosim + 10 * cosisq) + 6.56250012 * (1 + 2 * cosim - 3 * cosisq));
+		const f542 = 29.53125 * sinim * (2 - 8 * cosim + cosisq * (-12 + 8 * cosim + 10 * cosisq));
+		const f543 = 29.53125 * sinim * (-2 - 8 * cosim + cosisq * (12 + 8 * cosim - 10 * cosisq));
+
+		let temp1 = 3 * no**2 * aonv**2;
+		let temp = temp1 * 1.7891679e-6;
+		record.d2201 = temp * f220 * g201;
+		record.d2211 = temp * f221 * g211;
+		temp1 *= aonv;
+		temp = temp1 * 3.7393792e-7;
+		record.d3210 = temp * f321 * g310;
+		record.d3222 = temp * f322 * g322;
+		temp1 *= aonv;
+		temp = 2 * temp1 * 7.3636953e-9;
+		record.d4410 = temp * f441 * g410;
+		record.d4422 = temp * f442 * g422;
+		temp1 *= aonv;
+		temp = temp1 * 1.1428639e-7;
+		record.d5220 = temp * f522 * g520;
+		record.d5232 = temp * f523 * g532;
+		temp = 2 * temp1 * 2.1765803e-9;
+		record.d5421 = temp * f542 * g521;
+		record.d5433 = temp * f543 * g533;
+		record.xlamo = (mo + 2 * nodeo - 2 * theta) % twoPi;
+		record.xfact = record.mdot + record.dmdt + 2 * (record.nodedot + record.dnodt - rptim) - no;
+	}
+}
+
+/**
+ * Initialize SGP4 for the mean elements of a satellite (sgp4init and initl of the reference implementation).
+ * The variable names follow the reference implementation of Vallado et al.
+ * @link https://celestrak.org/publications/AIAA/2006-6753/
+ * @param {SatelliteElements} elements
+ * @returns {object} SGP4 state of the satellite
+ */
+function initializeSGP4(elements) {
+	const { earthRadius, j2, j3, j4 } = wgs72;
+	const xke = 60 / Math.sqrt(earthRadius**3 / wgs72.mu);
+	const j3oj2 = j3 / j2;
+	const x2o3 = 2 / 3;
+
+	if (!(elements.eccentricity >= 0 && elements.eccentricity < 1) || !(elements.meanMotion > 0)) {
+		throw Error("Invalid mean elements of satellite " + (elements.name ?? elements.catalogNumber));
+	}
+
+	const record = {
+		epoch: elements.epoch,
+		bstar: elements.bstar ?? 0,
+		ecco: elements.eccentricity,
+		inclo: elements.inclination / 180 * Math.PI,
+		nodeo: elements.rightAscensionOfAscendingNode / 180 * Math.PI,
+		argpo: elements.argumentOfPerigee / 180 * Math.PI,
+		mo: elements.meanAnomaly / 180 * Math.PI,
+		deepSpace: false,
+		isimp: false,
+		irez: 0
+	};
+	const { ecco, inclo, argpo, mo, bstar } = record;
+
+	// Recover the original mean motion and semi-major axis from the Kozai mean motion of the TLE
+	const eccsq = ecco**2;
+	const omeosq = 1 - eccsq;
+	const rteosq = Math.sqrt(omeosq);
+	const cosio = Math.cos(inclo);
+	const cosio2 = cosio**2;
+	const sinio = Math.sin(inclo);
+	const kozaiMeanMotion = elements.meanMotion * 2 * Math.PI / 1440;
+	const ak = (xke / kozaiMeanMotion)**x2o3;
+	const d1 = 0.75 * j2 * (3 * cosio2 - 1) / (rteosq * omeosq);
+	let del = d1 / ak**2;
+	const adel = ak * (1 - del**2 - del * (1 / 3 + 134 * del**2 / 81));
+	del = d1 / adel**2;
+	const no = kozaiMeanMotion / (1 + del);
+	const ao = (xke / no)**x2o3;
+	const po = ao * omeosq;
+	const con42 = 1 - 5 * cosio2;
+	const posq = po**2;
+	const rp = ao * (1 - ecco);
+	record.no = no;
+	record.con41 = -con42 - 2 * cosio2;
+	record.gsto = calculateSGP4SiderealTime(record.epoch);
+
+	// Perigees below 220 km only use a simplified drag model
+	record.isimp = rp < 220 / earthRadius + 1;
+
+	// Density function of the atmosphere, adjusted for low perigees
+	let sfour = 78 / earthRadius + 1;
+	let qzms24 = ((120 - 78) / earthRadius)**4;
+	const perigee = (rp - 1) * earthRadius;
+	if (perigee < 156) {
+		sfour = perigee < 98 ? 20 : perigee - 78;
+		qzms24 = ((120 - sfour) / earthRadius)**4;
+		sfour = sfour / earthRadius + 1;
+	}
+
+	const pinvsq = 1 / posq;
+	const tsi = 1 / (ao - sfour);
+	record.eta = ao * ecco * tsi;
+	const etasq = record.eta**2;
+	const eeta = ecco * record.eta;
+	const psisq = Math.abs(1 - etasq);
+	const coef = qzms24 * tsi**4;
+	const coef1 = coef / psisq**3.5;
+	const cc2 = coef1 * no * (ao * (1 + 1.5 * etasq + eeta * (4 + etasq))
+		+ 0.375 * j2 * tsi / psisq * record.con41 * (8 + 3 * etasq * (8 + etasq)));
+	record.cc1 = bstar * cc2;
+	const cc3 = ecco > 1e-4 ? -2 * coef * tsi * j3oj2 * no * sinio / ecco : 0;
+	record.x1mth2 = 1 - cosio2;
+	record.cc4 = 2 * no * coef1 * ao * omeosq * (record.eta * (2 + 0.5 * etasq) + ecco * (0.5 + 2 * etasq)
+		- j2 * tsi / (ao * psisq) * (-3 * record.con41 * (1 - 2 * eeta + etasq * (1.5 - 0.5 * eeta))
+			+ 0.75 * record.x1mth2 * (2 * etasq - eeta * (1 + etasq)) * Math.cos(2 * argpo)));
+	record.cc5 = 2 * coef1 * ao * omeosq * (1 + 2.75 * (etasq + eeta) + eeta * etasq);
+
+	// Secular rates of mean anomaly, argument of perigee and node due to the oblateness of the earth
+	const cosio4 = cosio2**2;
+	const temp1 = 1.5 * j2 * pinvsq * no;
+	const temp2 = 0.5 * temp1 * j2 * pinvsq;
+	const temp3 = -0.46875 * j4 * pinvsq**2 * no;
+	record.mdot = no + 0.5 * temp1 * rteosq * record.con41 + 0.0625 * temp2 * rteosq * (13 - 78 * cosio2 + 137 * cosio4);
+	record.argpdot = -0.5 * temp1 * con42 + 0.0625 * temp2 * (7 - 114 * cosio2 + 395 * cosio4)
+		+ temp3 * (3 - 36 * cosio2 + 49 * cosio4);
+	const xhdot1 = -temp1 * cosio;
+	record.nodedot = xhdot1 + (0.5 * temp2 * (4 - 19 * cosio2) + 2 * temp3 * (3 - 7 * cosio2)) * cosio;
+	record.omgcof = bstar * cc3 * Math.cos(argpo);
+	record.xmcof = ecco > 1e-4 ? -x2o3 * coef * bstar / eeta : 0;
+	record.nodecf = 3.5 * omeosq * xhdot1 * record.cc1;
+	record.t2cof = 1.5 * record.cc1;
+	record.xlcof = -0.25 * j3oj2 * sinio * (3 + 5 * cosio) / (Math.abs(cosio + 1) > 1.5e-12 ? 1 + cosio : 1.5e-12);
+	record.aycof = -0.5 * j3oj2 * sinio;
+	record.delmo = (1 + record.eta * Math.cos(mo))**3;
+	record.sinmao = Math.sin(mo);
+	record.x7thm1 = 7 * cosio2 - 1;
+
+	// Orbits with a period of at least 225 minutes are perturbed by sun and moon (SDP4)
+	if (2 * Math.PI / no >= 225) {
+		record.deepSpace = true;
+		record.isimp = true;
+		const { cosim, sinim, bodies } = initializeDeepSpaceTerms(record);
+		record.bodies = bodies;
+		record.dedt = bodies[0].dedt + bodies[1].dedt;
+		record.didt = bodies[0].didt + bodies[1].didt;
+		record.dmdt = bodies[0].dmdt + bodies[1].dmdt;
+		const dhdt = sinim !== 0 ? (bodies[0].dhdt + bodies[1].dhdt) / sinim : 0;
+		record.domdt = bodies[0].dghdt + bodies[1].dghdt - cosim * dhdt;
+		record.dnodt = dhdt;
+		initializeDeepSpaceResonance(record, cosim, sinim, xke);
+	}
+
+	if (!record.isimp) {
+		const cc1sq = record.cc1**2;
+		record.d2 = 4 * ao * tsi * cc1sq;
+		const temp = record.d2 * tsi * record.cc1 / 3;
+		record.d3 = (17 * ao + sfour) * temp;
+		record.d4 = 0.5 * temp * ao * tsi * (221 * ao + 31 * sfour) * record.cc1;
+		record.t3cof = record.d2 + 2 * cc1sq;
+		record.t4cof = 0.25 * (3 * record.d3 + record.cc1 * (12 * record.d2 + 10 * cc1sq));
+		record.t5cof = 0.2 * (3 * record.d4 + 12 * record.cc1 * record.d3 + 6 * record.d2**2 + 15 * cc1sq * (2 * record.d2 + cc1sq));
+	}
+
+	return record;
+}
+
+/**
+ * Integrate the resonance effects of geosynchronous and 12-hour orbits and add the secular lunar and solar perturbations (dspace)
+ * @param {object} record SGP4 state of the satellite
+ * @param {number} t Minutes since epoch
+ * @param {{em: number, argpm: number, inclm: number, mm: number, nodem: number, nm: number}} mean Mean elements, modified in place
+ */
+function integrateDeepSpace(record, t, mean) {
+	const rptim = 4.37526908801129966e-3;
+	const step = 720;
+	const theta = (record.gsto + t * rptim) % (2 * Math.PI);
+	mean.em += record.dedt * t;
+	mean.inclm += record.didt * t;
+	mean.argpm += record.domdt * t;
+	mean.nodem += record.dnodt * t;
+	mean.mm += record.dmdt * t;
+	if (record.irez === 0) {
+		return;
+	}
+
+	// Derivatives of the mean motion and the resonance angle
+	const r = record;
+	const calculateDerivatives = (xli, xni, atime) => {
+		if (r.irez === 1) {
+			const fasx2 = 0.13130908, fasx4 = 2.8843198, fasx6 = 0.37448087;
+			return {
+				xndt: r.del1 * Math.sin(xli - fasx2) + r.del2 * Math.sin(2 * (xli - fasx4)) + r.del3 * Math.sin(3 * (xli - fasx6)),
+				xldot: xni + r.xfact,
+				xnddt: (r.del1 * Math.cos(xli - fasx2) + 2 * r.del2 * Math.cos(2 * (xli - fasx4))
+					+ 3 * r.del3 * Math.cos(3 * (xli - fasx6))) * (xni + r.xfact)
+			};
+		}
+		const g22 = 5.7686396, g32 = 0.95240898, g44 = 1.8014998, g52 = 1.050833, g54 = 4.4108898;
+		const xomi = r.argpo + r.argpdot * atime;
+		const x2omi = 2 * xomi;
+		const x2li = 2 * xli;
+		return {
+			xndt: r.d2201 * Math.sin(x2omi + xli - g22) + r.d2211 * Math.sin(xli - g22)
+				+ r.d3210 * Math.sin(xomi + xli - g32) + r.d3222 * Math.sin(-xomi + xli - g32)
+				+ r.d4410 * Math.sin(x2omi + x2li - g44) + r.d4422 * Math.sin(x2li - g44)
+				+ r.d5220 * Math.sin(xomi + xli - g52) + r.d5232 * Math.sin(-xomi + xli - g52)
+				+ r.d5421 * Math.sin(xomi + x2li - g54) + r.d5433 * Math.sin(-xomi + x2li - g54),
+			xldot: xni + r.xfact,
+			xnddt: (r.d2201 * Math.cos(x2omi + xli - g22) + r.d2211 * Math.cos(xli - g22)
+				+ r.d3210 * Math.cos(xomi + xli - g32) + r.d3222 * Math.cos(-xomi + xli - g32)
+				+ r.d5220 * Math.cos(xomi + xli - g52) + r.d5232 * Math.cos(-xomi + xli - g52)
+				+ 2 * (r.d4410 * Math.cos(x2omi + x2li - g44) + r.d4422 * Math.cos(x2li - g44)
+					+ r.d5421 * Math.cos(xomi + x2li - g54) + r.d5433 * Math.cos(-xomi + x2li - g54))) * (xni + r.xfact)
+		};
+	};
+
+	// Integrate from the epoch in steps of 720 minutes, then use a Taylor series for the rest
+	let atime = 0;
+	let xli = r.xlamo;
+	let xni = r.no;
+	const delt = t > 0 ? step : -step;
+	let derivatives = calculateDerivatives(xli, xni, atime);
+	while (Math.abs(t - atime) >= step) {
+		xli += derivatives.xldot * delt + derivatives.xndt * step**2 / 2;
+		xni += derivatives.xndt * delt + derivatives.xnddt * step**2 / 2;
+		atime += delt;
+		derivatives = calculateDerivatives(xli, xni, atime);
+	}
+	const ft = t - atime;
+	mean.nm = xni + derivatives.xndt * ft + derivatives.xnddt * ft**2 / 2;
+	const xl = xli + derivatives.xldot * ft + derivatives.xndt * ft**2 / 2;
+	mean.mm = r.irez === 1 ? xl - mean.nodem - mean.argpm + theta : xl - 2 * mean.nodem + 2 * theta;
+}
+
+/**
+ * Add the long-periodic lunar and solar perturbations to the elements of deep-space orbits (dpper)
+ * @param {object} record SGP4 state of the satellite
+ * @param {number} t Minutes since epoch
+ * @param {{ep: number, inclp: number, nodep: number, argpp: number, mp: number}} elements Elements, modified in place
+ */
+function applyDeepSpacePeriodics(record, t, elements) {
+	let pe = 0, pinc = 0, pl = 0, pgh = 0, ph = 0;
+	for (const body of record.bodies) {
+		const zm = body.zm + body.zn * t;
+		const zf = zm + 2 * body.ze * Math.sin(zm);
+		const sinzf = Math.sin(zf);
+		const f2 = 0.5 * sinzf**2 - 0.25;
+		const f3 = -0.5 * sinzf * Math.cos(zf);
+		pe += body.e2 * f2 + body.e3 * f3;
+		pinc += body.i2 * f2 + body.i3 * f3;
+		pl += body.l2 * f2 + body.l3 * f3 + body.l4 * sinzf;
+		pgh += body.gh2 * f2 + body.gh3 * f3 + body.gh4 * sinzf;
+		ph += body.h2 * f2 + body.h3 * f3;
+	}
+
+	elements.inclp += pinc;
+	elements.ep += pe;
+	const sinip = Math.sin(elements.inclp);
+	const cosip = Math.cos(elements.inclp);
+	if (elements.inclp >= 0.2) {
+		ph /= sinip;
+		elements.argpp += pgh - cosip * ph;
+		elements.nodep += ph;
+		elements.mp += pl;
+	} else {
+		// Lyddane's modification for small inclinations
+		const sinop = Math.sin(elements.nodep);
+		const cosop = Math.cos(elements.nodep);
+		const alfdp = sinip * sinop + ph * cosop + pinc * cosip * sinop;
+		const betdp = sinip * cosop - ph * sinop + pinc * cosip * cosop;
+		const nodep = elements.nodep % (2 * Math.PI);
+		const xls = elements.mp + elements.argpp + cosip * nodep + pl + pgh - pinc * nodep * sinip;
+		elements.nodep = Math.atan2(alfdp, betdp);
+		if (Math.abs(nodep - elements.nodep) > Math.PI) {
+			elements.nodep += elements.nodep < nodep ? 2 * Math.PI : -2 * Math.PI;
+		}
+		elements.mp += pl;
+		elements.argpp = xls - elements.mp - cosip * elements.nodep;
+	}
+}
+
+/**
+ * Propagate the orbit of a satellite with SGP4, or SDP4 for deep-space orbits (sgp4 of the reference implementation)
+ * @param {object} record SGP4 state of the satellite
+ * @param {number} t Minutes since epoch
+ * @returns {SatelliteState} Position and velocity in the TEME frame
+ */
+function propagateSGP4(record, t) {
+	const { earthRadius, j2, j3 } = wgs72;
+	const xke = 60 / Math.sqrt(earthRadius**3 / wgs72.mu);
+	const j3oj2 = j3 / j2;
+	const twoPi = 2 * Math.PI;
+	const r = record;
+
+	// Secular effects of the gravity field and the atmospheric drag
+	const xmdf = r.mo + r.mdot * t;
+	const argpdf = r.argpo + r.argpdot * t;
+	const nodedf = r.nodeo + r.nodedot * t;
+	const mean = { em: r.ecco, argpm: argpdf, inclm: r.inclo, mm: xmdf, nodem: nodedf + r.nodecf * t**2, nm: r.no };
+	let tempa = 1 - r.cc1 * t;
+	let tempe = r.bstar * r.cc4 * t;
+	let templ = r.t2cof * t**2;
+	if (!r.isimp) {
+		const delomg = r.omgcof * t;
+		const delm = r.xmcof * ((1 + r.eta * Math.cos(xmdf))**3 - r.delmo);
+		mean.mm = xmdf + delomg + delm;
+		mean.argpm = argpdf - delomg - delm;
+		tempa -= r.d2 * t**2 + r.d3 * t**3 + r.d4 * t**4;
+		tempe += r.bstar * r.cc5 * (Math.sin(mean.mm) - r.sinmao);
+		templ += r.t3cof * t**3 + t**4 * (r.t4cof + t * r.t5cof);
+	}
+	if (r.deepSpace) {
+		integrateDeepSpace(r, t, mean);
+	}
+
+	if (mean.nm <= 0) {
+		throw Error("Mean motion of the satellite became negative");
+	}
+	const am = (xke / mean.nm)**(2 / 3) * tempa**2;
+	const nm = xke / am**1.5;
+	let em = mean.em - tempe;
+	if (em >= 1 || em < -0.001) {
+		throw Error("Mean eccentricity of the satellite is out of range, it probably decayed");
+	}
+	em = Math.max(em, 1e-6);
+	const mm = mean.mm + r.no * templ;
+	const nodem = mean.nodem % twoPi;
+	const argpm = mean.argpm % twoPi;
+	const xlm = (mm + mean.argpm + mean.nodem) % twoPi;
+	const elements = { ep: em, inclp: mean.inclm, nodep: nodem, argpp: argpm, mp: (xlm - argpm - nodem) % twoPi };
+
+	let { aycof, xlcof, con41, x1mth2, x7thm1 } = r;
+	if (r.deepSpace) {
+		applyDeepSpacePeriodics(r, t, elements);
+		if (elements.inclp < 0) {
+			elements.inclp = -elements.inclp;
+			elements.nodep += Math.PI;
+			elements.argpp -= Math.PI;
+		}
+		if (elements.ep < 0 || elements.ep > 1) {
+			throw Error("Perturbed eccentricity of the satellite is out of range");
+		}
+		const sinip = Math.sin(elements.inclp);
+		const cosip = Math.cos(elements.inclp);
+		aycof = -0.5 * j3oj2 * sinip;
+		xlcof = -0.25 * j3oj2 * sinip * (3 + 5 * cosip) / (Math.abs(cosip + 1) > 1.5e-12 ? 1 + cosip : 1.5e-12);
+		con41 = 3 * cosip**2 - 1;
+		x1mth2 = 1 - cosip**2;
+		x7thm1 = 7 * cosip**2 - 1;
+	}
+	const { ep, inclp, nodep, argpp, mp } = elements;
+	const sinip = Math.sin(inclp);
+	const cosip = Math.cos(inclp);
+
+	// Long-periodic effects
+	const axnl = ep * Math.cos(argpp);
+	let temp = 1 / (am * (1 - ep**2));
+	const aynl = ep * Math.sin(argpp) + temp * aycof;
+	const xl = mp + argpp + nodep + temp * xlcof * axnl;
+
+	// Solve Kepler's equation for the eccentric longitude
+	const u = (xl - nodep) % twoPi;
+	let eo1 = u;
+	let sineo1 = 0;
+	let coseo1 = 0;
+	let tem5 = Infinity;
+	for (let i = 0; i < 10 && Math.abs(tem5) >= 1e-12; i++) {
+		sineo1 = Math.sin(eo1);
+		coseo1 = Math.cos(eo1);
+		tem5 = (u - aynl * coseo1 + axnl * sineo1 - eo1) / (1 - coseo1 * axnl - sineo1 * aynl);
+		eo1 += Math.min(Math.max(tem5, -0.95), 0.95);
+	}
+
+	// Short-periodic effects
+	const ecose = axnl * coseo1 + aynl * sineo1;
+	const esine = axnl * sineo1 - aynl * coseo1;
+	const el2 = axnl**2 + aynl**2;
+	const pl = am * (1 - el2);
+	if (pl < 0) {
+		throw Error("Semi-latus rectum of the satellite became negative");
+	}
+	const rl = am * (1 - ecose);
+	const rdotl = Math.sqrt(am) * esine / rl;
+	const rvdotl = Math.sqrt(pl) / rl;
+	const betal = Math.sqrt(1 - el2);
+	temp = esine / (1 + betal);
+	const sinu = am / rl * (sineo1 - aynl - axnl * temp);
+	const cosu = am / rl * (coseo1 - axnl + aynl * temp);
+	const sin2u = 2 * cosu * sinu;
+	const cos2u = 1 - 2 * sinu**2;
+	temp = 1 / pl;
+	const temp1 = 0.5 * j2 * temp;
+	const temp2 = temp1 * temp;
+
+	const mrt = rl * (1 - 1.5 * temp2 * betal * con41) + 0.5 * temp1 * x1mth2 * cos2u;
+	if (mrt < 1) {
+		throw Error("The satellite decayed");
+	}
+	const su = Math.atan2(sinu, cosu) - 0.25 * temp2 * x7thm1 * sin2u;
+	const xnode = nodep + 1.5 * temp2 * cosip * sin2u;
+	const xinc = inclp + 1.5 * temp2 * cosip * sinip * cos2u;
+	const mvt = rdotl - nm * temp1 * x1mth2 * sin2u / xke;
+	const rvdot = rvdotl + nm * temp1 * (x1mth2 * cos2u + 1.5 * con41) / xke;
+
+	// Unit vectors of the position and the direction of motion
+	const sinsu = Math.sin(su);
+	const cossu = Math.cos(su);
+	const snod = Math.sin(xnode);
+	const cnod = Math.cos(xnode);
+	const sini = Math.sin(xinc);
+	const cosi = Math.cos(xinc);
+	const xmx = -snod * cosi;
+	const xmy = cnod * cosi;
+	const position = [xmx * sinsu + cnod * cossu, xmy * sinsu + snod * cossu, sini * sinsu];
+	const direction = [xmx * cossu - cnod * sinsu, xmy * cossu - snod * sinsu, sini * cossu];
+
+	const kmPerSecond = earthRadius * xke / 60;
+	return {
+		position: position.map(x => mrt * x * earthRadius),
+		velocity: position.map((x, i) => (mvt * x + rvdot * direction[i]) * kmPerSecond)
+	};
+}
+
+/**
+ * Mean orbital elements of an earth satellite as published in TLEs and OMMs. Angles are in degrees and referred to the TEME frame.
+ * @typedef {object} SatelliteElements
+ * @property {string} [name]
+ * @property {string} [catalogNumber] NORAD catalog number
+ * @property {number} epoch Julian Day (UTC) the elements refer to
+ * @property {number} meanMotion Revolutions per day
+ * @property {number} eccentricity
+ * @property {number} inclination
+ * @property {number} rightAscensionOfAscendingNode
+ * @property {number} argumentOfPerigee
+ * @property {number} meanAnomaly
+ * @property {number} [bstar] Drag term B* in 1/earth radii
+ * @property {number} [meanMotionDot] First derivative of the mean motion divided by 2 in revolutions per day², not used by SGP4
+ * @property {number} [meanMotionDDot] Second derivative of the mean motion divided by 6 in revolutions per day³, not used by SGP4
+ */
+
+/**
+ * Position and velocity of a satellite
+ * @typedef {object} SatelliteState
+ * @property {number[]} position Cartesian coordinates in km
+ * @property {number[]} velocity Cartesian velocity in km/s
+ */
+
+/**
+ * Position of a satellite as seen by an observer
+ * @typedef {object} LookAngles
+ * @property {Azimuthal} azimuthal Azimuth and height
+ * @property {number} range Distance between observer and satellite in km
+ * @property {number} rangeRate Change of the range in km/s, negative while the satellite approaches
+ */
+
+/**
+ * Pass of a satellite above the horizon of an observer
+ * @typedef {object} SatellitePass
+ * @property {Date | null} rise Acquisition of signal (AOS), null if the satellite was already above the horizon at the beginning of the search
+ * @property {number | null} riseAzimuth
+ * @property {Date} culmination Time of the greatest height
+ * @property {number} culminationAzimuth
+ * @property {number} culminationHeight
+ * @property {number} culminationRange Distance in km at culmination
+ * @property {SatelliteIllumination} culminationIllumination Whether the satellite is sunlit at culmination
+ * @property {Date | null} set Loss of signal (LOS), null if the satellite was still above the horizon at the end of the search
+ * @property {number | null} setAzimuth
+ */
+
+/**
+ * Earth satellites, calculated from TLEs or OMMs using the SGP4/SDP4 propagator
+ * @link https://en.wikipedia.org/wiki/Simplified_perturbations_models
+ */
+class Satellite {
+	name;
+
+	/** NORAD catalog number */
+	catalogNumber;
+
+	/** Mean elements of the satellite, see SatelliteElements */
+	elements;
+
+	/** Initialized state of the SGP4 propagator */
+	propagator;
+
+	/**
+	 * @param {SatelliteElements} elements
+	 */
+	constructor(elements) {
+		this.name = elements.name;
+		this.catalogNumber = elements.catalogNumber;
+		this.elements = elements;
+		this.propagator = initializeSGP4(elements);
+
+		// Propagating to the epoch detects invalid elements right away
+		propagateSGP4(this.propagator, 0);
+	}
+
+	/**
+	 * Create a satellite from a two-line element set
+	 * @link https://celestrak.org/NORAD/documentation/tle-fmt.php
+	 * @param {string} line1
+	 * @param {string} line2
+	 * @param {string} name Name of the satellite, e.g. from the line before the TLE
+	 * @returns {Satellite}
+	 */
+	static fromTLE(line1, line2, name = undefined) {
+		line1 = line1.trimEnd();
+		line2 = line2.trimEnd();
+		for (const [number, line] of [["1", line1], ["2", line2]]) {
+			if (line.length < 68 || line[0] !== number) {
+				throw Error("Invalid TLE line " + number + ": " + line);
+			}
+			const checksum = [...line.slice(0, 68)].reduce((sum, character) =>
+				sum + (character === "-" ? 1 : /\d/.test(character) ? Number(character) : 0), 0) % 10;
+			if (line.length > 68 && Number(line[68]) !== checksum) {
+				throw Error("Invalid checksum in TLE line " + number + ": " + line);
+			}
+		}
+
+		// Decimal fractions with an assumed leading decimal point and an exponent, e.g. "-11606-4" for -0.11606e-4
+		const parseExponential = field => {
+			field = field.trim();
+			return field === "" ? 0 : Number(field.slice(0, -2).replace(/^([+-]?)/, "$10.") + "e" + field.slice(-2));
+		};
+
+		const year = Number(line1.slice(18, 20));
+		return new Satellite({
+			name: name?.replace(/^0 /, "").trim(),
+			catalogNumber: line1.slice(2, 7).trim(),
+			epoch: JulianDay.calculate(year < 57 ? 2000 + year : 1900 + year, 1, 0) + Number(line1.slice(20, 32)),
+			meanMotionDot: Number(line1.slice(33, 43)),
+			meanMotionDDot: parseExponential(line1.slice(44, 52)),
+			bstar: parseExponential(line1.slice(53, 61)),
+			inclination: Number(line2.slice(8, 16)),
+			rightAscensionOfAscendingNode: Number(line2.slice(17, 25)),
+			eccentricity: Number("0." + line2.slice(26, 33).trim()),
+			argumentOfPerigee: Number(line2.slice(34, 42)),
+			meanAnomaly: Number(line2.slice(43, 51)),
+			meanMotion: Number(line2.slice(52, 63))
+		});
+	}
+
+	/**
+	 * Create a satellite from an orbit mean-elements message (OMM) in the JSON format of CelesTrak or Space-Track
+	 * @link https://celestrak.org/NORAD/documentation/gp-data-formats.php
+	 * @param {object} omm
+	 * @returns {Satellite}
+	 */
+	static fromOMM(omm) {
+		const epoch = /^(\d{4})-(\d\d)-(\d\d)T(\d\d):(\d\d):(\d\d(?:\.\d*)?)/.exec(omm.EPOCH);
+		if (epoch == null) {
+			throw Error("Invalid epoch in OMM: " + omm.EPOCH);
+		}
+		const [year, month, day, hours, minutes, seconds] = epoch.slice(1).map(Number);
+		return new Satellite({
+			name: omm.OBJECT_NAME,
+			catalogNumber: omm.NORAD_CAT_ID?.toString(),
+			epoch: JulianDay.calculate(year, month, day + (hours * 3600 + minutes * 60 + seconds) / 86400),
+			meanMotionDot: Number(omm.MEAN_MOTION_DOT ?? 0),
+			meanMotionDDot: Number(omm.MEAN_MOTION_DDOT ?? 0),
+			bstar: Number(omm.BSTAR ?? 0),
+			inclination: Number(omm.INCLINATION),
+			rightAscensionOfAscendingNode: Number(omm.RA_OF_ASC_NODE),
+			eccentricity: Number(omm.ECCENTRICITY),
+			argumentOfPerigee: Number(omm.ARG_OF_PERICENTER),
+			meanAnomaly: Number(omm.MEAN_ANOMALY),
+			meanMotion: Number(omm.MEAN_MOTION)
+		});
+	}
+
+	/**
+	 * Calculate position and velocity of the satellite in the TEME (True Equator, Mean Equinox) frame used by SGP4
+	 * @param {Date} dateTime
+	 * @returns {SatelliteState}
+	 */
+	calculateTEME(dateTime = new Date()) {
+		const minutes = (JulianDay.fromDate(dateTime) - this.elements.epoch) * 1440;
+		return propagateSGP4(this.propagator, minutes);
+	}
+
+	/**
+	 * Calculate position and velocity of the satellite, referred to the true equator and equinox of date
+	 * @param {Date} dateTime
+	 * @returns {SatelliteState}
+	 */
+	calculateTrueOfDate(dateTime = new Date()) {
+		// TEME and the true equator of date only differ by the equation of the equinoxes
+		const teme = this.calculateTEME(dateTime);
+		const rotation = rotationMatrix(2, -SiderealTime.calculateEquationOfEquinoxes(dateTime));
+		return {
+			position: multiplyMatrixVector(rotation, teme.position),
+			velocity: multiplyMatrixVector(rotation, teme.velocity)
+		};
+	}
+
+	/**
+	 * Calculate geocentric cartesian position of the satellite, referred to the ecliptic and equinox of date like the planets
+	 * @param {Date} dateTime
+	 * @param {boolean} withVelocity Whether to include the velocity of SGP4 as well
+	 * @returns {GeocentricCartesian}
+	 */
+	calculateGeocentricCartesian(dateTime = new Date(), withVelocity = false) {
+		const julianDay = JulianDay.fromDate(dateTime, TimeScale.tt);
+		const equatorialToEcliptical = multiplyMatrices(rotationMatrix(0, Precession.calculateMeanObliquity(julianDay)),
+			transposeMatrix(Nutation.calculateMatrix(julianDay)));
+		const state = this.calculateTrueOfDate(dateTime);
+		const position = multiplyMatrixVector(equatorialToEcliptical, state.position).map(x => x / Const.kmPerAU);
+		const velocity = withVelocity
+			? multiplyMatrixVector(equatorialToEcliptical, state.velocity).map(x => x / Const.kmPerAU * 86400)
+			: [];
+		return new GeocentricCartesian(...position, dateTime, ...velocity);
+	}
+
+	/**
+	 * Calculate equatorial position of the satellite, seen from the earth's center
+	 * @param {Date} dateTime
+	 * @returns {Equatorial}
+	 */
+	calculateEquatorial(dateTime = new Date()) {
+		const spherical = vectorToSpherical(this.calculateTrueOfDate(dateTime).position);
+		return new Equatorial(spherical.longitude, spherical.latitude);
+	}
+
+	/**
+	 * Calculate the position of the satellite as seen by an observer, together with distance and radial velocity
+	 * @param {number} geoLatitude Geographic latitude of the observer
+	 * @param {number} geoLongitude Geographic longitude of the observer
+	 * @param {Date} dateTime
+	 * @param {number} elevation Height of the observer above sea level in meters
+	 * @param {Atmosphere | null} atmosphere Conditions used to add the refraction to the height, null for the geometric height
+	 * @returns {LookAngles}
+	 */
+	calculateLookAngles(geoLatitude, geoLongitude, dateTime = new Date(), elevation = 0, atmosphere = null) {
+		const satellite = this.calculateTrueOfDate(dateTime);
+		const observer = calculateObserverPosition(geoLatitude, geoLongitude, elevation, dateTime).map(x => x * Const.kmPerAU);
+
+		// The observer moves with the rotation of the earth
+		const rotationPerSecond = Const.siderealRotationPerDay / 86400 / 180 * Math.PI;
+		const observerVelocity = [-rotationPerSecond * observer[1], rotationPerSecond * observer[0], 0];
+
+		const relativePosition = satellite.position.map((x, i) => x - observer[i]);
+		const relativeVelocity = satellite.velocity.map((x, i) => x - observerVelocity[i]);
+		const range = Math.hypot(...relativePosition);
+		const spherical = vectorToSpherical(relativePosition);
+		return {
+			azimuthal: new Equatorial(spherical.longitude, spherical.latitude).toAzimuthal(geoLatitude, geoLongitude, dateTime, atmosphere),
+			range,
+			rangeRate: relativePosition.reduce((sum, x, i) => sum + x * relativeVelocity[i], 0) / range
+		};
+	}
+
+	/**
+	 * Calculate azimuthal position of the satellite, seen from an observer at sea level
+	 * @param {number} geoLatitude Geographic latitude of the observer
+	 * @param {number} geoLongitude Geographic longitude of the observer
+	 * @param {Date} dateTime
+	 * @param {Atmosphere | null} atmosphere Conditions used to add the refraction to the height, null for the geometric height
+	 * @returns {Azimuthal}
+	 */
+	calculateAzimuthal(geoLatitude, geoLongitude, dateTime = new Date(), atmosphere = null) {
+		return this.calculateLookAngles(geoLatitude, geoLongitude, dateTime, 0, atmosphere).azimuthal;
+	}
+
+	/**
+	 * Calculate whether the satellite is in the shadow of the earth, assuming a spherical earth and a conical shadow
+	 * @param {Date} dateTime
+	 * @returns {SatelliteIllumination}
+	 */
+	calculateIllumination(dateTime = new Date()) {
+		const satellite = this.calculateGeocentricCartesian(dateTime);
+		const sun = Sun.calculateGeocentricCartesian(dateTime);
+		const toEarth = [-satellite.x, -satellite.y, -satellite.z];
+		const toSun = [sun.x - satellite.x, sun.y - satellite.y, sun.z - satellite.z];
+
+		// Compare the angle between earth and sun with their apparent radii
+		const earthRadius = asindeg(Const.earthRadius / Const.kmPerAU / Math.hypot(...toEarth));
+		const sunRadius = asindeg(Const.sunRadius / Const.kmPerAU / Math.hypot(...toSun));
+		const separation = angleBetweenVectors(toEarth, toSun);
+		if (separation >= earthRadius + sunRadius) {
+			return SatelliteIllumination.sunlit;
+		}
+		return separation <= earthRadius - sunRadius ? SatelliteIllumination.umbra : SatelliteIllumination.penumbra;
+	}
+
+	/**
+	 * Calculate all passes of the satellite above a certain height between two dates.
+	 * The times are found by EventSearch with its precision. Needs the VSOP87 data for the illumination at culmination.
+	 * @example
+	 * iss.calculatePasses(48.1372, 11.5755, new Date("2025-06-01"), new Date("2025-06-02"), 10)
+	 * @param {number} geoLatitude Geographic latitude of the observer
+	 * @param {number} geoLongitude Geographic longitude of the observer
+	 * @param {Date} startDate
+	 * @param {Date} endDate
+	 * @param {number} minimumHeight Geometric height in degrees the satellite has to exceed, 0 for the horizon
+	 * @param {number} elevation Height of the observer above sea level in meters
+	 * @returns {SatellitePass[]}
+	 */
+	calculatePasses(geoLatitude, geoLongitude, startDate, endDate, minimumHeight = 0, elevation = 0) {
+		const calculateLookAngles = dateTime => this.calculateLookAngles(geoLatitude, geoLongitude, dateTime, elevation);
+		const calculateHeight = dateTime => calculateLookAngles(dateTime).azimuthal.height - minimumHeight;
+
+		// Sample often enough to find short passes of low orbits, but at least once a minute
+		const step = Math.min(1 / 1440, 1 / this.elements.meanMotion / 180);
+
+		const createPass = (rise, set) => {
+			// A pass cut off by the search interval may culminate at its start or end
+			const start = rise ?? startDate;
+			const end = set ?? endDate;
+			const culmination = EventSearch.findExtrema(calculateHeight, start, end, step)
+				.filter(extremum => extremum.maximum)
+				.concat([start, end].map(date => ({ date, value: calculateHeight(date) })))
+				.reduce((highest, extremum) => extremum.value > highest.value ? extremum : highest).date;
+			const culminationLookAngles = calculateLookAngles(culmination);
+			return {
+				rise,
+				riseAzimuth: rise == null ? null : calculateLookAngles(rise).azimuthal.azimuth,
+				culmination,
+				culminationAzimuth: culminationLookAngles.azimuthal.azimuth,
+				culminationHeight: culminationLookAngles.azimuthal.height,
+				culminationRange: culminationLookAngles.range,
+				culminationIllumination: this.calculateIllumination(culmination),
+				set,
+				setAzimuth: set == null ? null : calculateLookAngles(set).azimuthal.azimuth
+			};
+		};
+
+		const passes = [];
+		let rise = null;
+		for (const crossing of EventSearch.findCrossings(calculateHeight, startDate, endDate, step)) {
+			if (crossing.rising) {
+				rise = crossing.date;
+			} else {
+				passes.push(createPass(rise, crossing.date));
+				rise = null;
+			}
+		}
+		if (calculateHeight(endDate) >= 0) {
+			passes.push(createPass(rise, null));
+		}
+		return passes;
+	}
+}
+
+/**
+ * Parse a file of two-line element sets, optionally with a name in the line before each TLE (three-line format)
+ * @link https://celestrak.org/NORAD/documentation/tle-fmt.php
+ * @param {string} data Content of the file
+ * @returns {Satellite[]}
+ */
+function parseTLE(data) {
+	const satellites = [];
+	const lines = data.split(/\r?\n/).filter(line => line.trim().length > 0);
+	let name;
+	for (let i = 0; i < lines.length; i++) {
+		if (lines[i].startsWith("1 ") && lines[i + 1]?.startsWith("2 ")) {
+			satellites.push(Satellite.fromTLE(lines[i], lines[i + 1], name));
+			name = undefined;
+			i++;
+		} else {
+			name = lines[i];
+		}
+	}
+	return satellites;
+}
+
+
+
+/**
+ * Equatorial positions of several bodies at several instants, referred to the true equator and equinox of date.
+ * The position of the body with index i at the instant with index j has the index i * dates.length + j.
+ * @typedef {object} BatchEquatorial
+ * @property {Float64Array} rightAscension
+ * @property {Float64Array} declination
+ * @property {Float64Array} distance Distance from the earth's center in AU, Infinity for stars and deep-sky objects
+ */
+
+/**
+ * Azimuthal positions of several bodies at several instants for several observers. The position of the body with index i
+ * at the instant with index j for the observer with index k has the index (i * dates.length + j) * observers.length + k.
+ * @typedef {object} BatchAzimuthal
+ * @property {Float64Array} azimuth
+ * @property {Float64Array} height
+ */
+
+/**
+ * Quantities shared by all bodies at one instant of a batch calculation
+ * @typedef {object} BatchInstant
+ * @property {Date} dateTime
+ * @property {number} julianDay Julian Day (TT)
+ * @property {number[][]} eclipticToEquator Rotation from the ecliptic and mean equinox of date to the true equator and equinox of date
+ * @property {number[][]} precessionNutation Rotation from the mean equator and equinox of J2000 to the true equator and equinox of date
+ * @property {number[]} earth Heliocentric position of the earth in AU, referred to the ecliptic and equinox of date
+ * @property {number} greenwichApparent Greenwich apparent sidereal time in degrees
+ */
+
+/**
+ * Calculate the quantities shared by all bodies at one instant
+ * @param {Date} dateTime
+ * @param {boolean} withVelocity Whether to calculate the velocity of the earth as well, which is needed for interpolation
+ * @returns {BatchInstant & {earthVelocity: number[], siderealOffset: number}} The offset is the difference of the sidereal time
+ * and the Earth Rotation Angle, i.e. the precession in right ascension and the equation of the equinoxes
+ */
+function calculateBatchInstant(dateTime, withVelocity) {
+	const julianDay = JulianDay.fromDate(dateTime, TimeScale.tt);
+	const nutation = Nutation.calculateMatrix(julianDay);
+	const earth = new Planet(PlanetAbbreviation.ear).calculateHeliocentricCartesian(dateTime, withVelocity);
+	const greenwichApparent = SiderealTime.calculateGreenwichApparent(dateTime);
+	return {
+		dateTime,
+		julianDay,
+		eclipticToEquator: multiplyMatrices(nutation, rotationMatrix(0, -Precession.calculateMeanObliquity(julianDay))),
+		precessionNutation: multiplyMatrices(nutation, Precession.calculateMatrix(Equinox.J2000, julianDay)),
+		earth: cartesianToVector(earth),
+		earthVelocity: [earth.vx, earth.vy, earth.vz],
+		greenwichApparent,
+		siderealOffset: normalizeDegrees(greenwichApparent - SiderealTime.calculateEarthRotationAngle(dateTime) + 180) - 180
+	};
+}
+
+/**
+ * Interpolate a position between two instants with a cubic Hermite polynomial from the positions and velocities at both instants
+ * @param {number[]} position0
+ * @param {number[]} velocity0 Velocity in units per day
+ * @param {number[]} position1
+ * @param {number[]} velocity1
+ * @param {number} fraction Fraction of the interval between both instants
+ * @param {number} interval Length of the interval in days
+ * @returns {number[]}
+ */
+function interpolateHermite(position0, velocity0, position1, velocity1, fraction, interval) {
+	const u = fraction;
+	const h00 = 2 * u**3 - 3 * u**2 + 1;
+	const h10 = (u**3 - 2 * u**2 + u) * interval;
+	const h01 = -2 * u**3 + 3 * u**2;
+	const h11 = (u**3 - u**2) * interval;
+	return position0.map((x, i) => h00 * x + h10 * velocity0[i] + h01 * position1[i] + h11 * velocity1[i]);
+}
+
+/**
+ * Calculate the geocentric position of a body, referred to the true equator and equinox of date
+ * @param {object} body Planet, OrbitalElementsBody, Sun, Moon, Satellite, Star, DeepSkyObject or ChebyshevEphemeris
+ * @param {BatchInstant} instant
+ * @param {number[] | null} heliocentric Interpolated heliocentric position of a planet, null to calculate it
+ * @returns {number[]} Position in AU, unit vector for stars and deep-sky objects
+ */
+function calculateBatchVector(body, instant, heliocentric) {
+	const toGeocentric = heliocentric => multiplyMatrixVector(instant.eclipticToEquator,
+		heliocentric.map((x, i) => x - instant.earth[i]));
+
+	if (body instanceof Planet || body instanceof OrbitalElementsBody) {
+		return toGeocentric(heliocentric ?? cartesianToVector(body.calculateHeliocentricCartesian(instant.dateTime)));
+	}
+	if (body === Sun) {
+		return toGeocentric([0, 0, 0]);
+	}
+	if (body === Moon || body instanceof ChebyshevEphemeris) {
+		return multiplyMatrixVector(instant.eclipticToEquator, cartesianToVector(body.calculateGeocentricCartesian(instant.dateTime)));
+	}
+	if (body instanceof Satellite) {
+		return body.calculateTrueOfDate(instant.dateTime).position.map(x => x / Const.kmPerAU);
+	}
+	if (body instanceof Star || body instanceof DeepSkyObject) {
+		const position = body instanceof Star ? body.propagate(instant.dateTime) : body;
+		const vector = sphericalToVector(position.rightAscension, position.declination);
+		if (body.equinox == null) {
+			return vector;
+		}
+		if (body.equinox === Equinox.B1950) {
+			return multiplyMatrixVector(instant.precessionNutation, convertFK4ToFK5(vector));
+		}
+		const matrix = body.equinox === Equinox.J2000 ? instant.precessionNutation
+			: multiplyMatrices(instant.precessionNutation, Precession.calculateMatrix(body.equinox, Equinox.J2000));
+		return multiplyMatrixVector(matrix, vector);
+	}
+	throw Error("Can't calculate the position of the body: Use a Planet, OrbitalElementsBody, Sun, Moon, Satellite, Star, DeepSkyObject or ChebyshevEphemeris");
+}
+
+/**
+ * Calculate the geocentric positions of several bodies at several instants, sharing the earth, precession, nutation
+ * and sidereal time between the bodies. For time series with more instants than intervals of BatchEphemeris.interpolationStep,
+ * these and the positions of the planets are interpolated between exact values at the bounds of the intervals.
+ * @param {object[]} bodies
+ * @param {Date[]} dates
+ * @param {(bodyIndex: number, dateIndex: number, vector: number[], instant: BatchInstant) => void} processPosition
+ * Called with the position of each body at each instant, referred to the true equator and equinox of date
+ */
+function calculateBatchPositions(bodies, dates, processPosition) {
+	if (bodies.some(body => body instanceof Planet && body.planet === PlanetAbbreviation.ear)) {
+		throw Error("Can't calculate the position of the earth as seen from the earth's center");
+	}
+
+	// Intervals are aligned to multiples of the step in UTC, so that they are shared by all dates within them
+	const msPerDay = 86400000;
+	const step = BatchEphemeris.interpolationStep;
+	const intervals = dates.map(date => Math.floor(date.getTime() / (step * msPerDay)));
+	const nodeCount = new Set(intervals.flatMap(interval => [interval, interval + 1])).size;
+	const interpolate = step > 0 && nodeCount < dates.length;
+
+	const nodes = new Map();
+	const planetNodes = bodies.map(() => new Map());
+	const getNode = (map, index, calculate) => {
+		if (!map.has(index)) {
+			map.set(index, calculate(new Date(index * step * msPerDay)));
+		}
+		return map.get(index);
+	};
+
+	for (let j = 0; j < dates.length; j++) {
+		let instant;
+		let fraction;
+		if (interpolate) {
+			const node0 = getNode(nodes, intervals[j], date => calculateBatchInstant(date, true));
+			const node1 = getNode(nodes, intervals[j] + 1, date => calculateBatchInstant(date, true));
+			fraction = (dates[j].getTime() - node0.dateTime.getTime()) / (step * msPerDay);
+			const lerp = (a, b) => a + (b - a) * fraction;
+			const lerpMatrix = (a, b) => a.map((row, i) => row.map((x, k) => lerp(x, b[i][k])));
+
+			// Only the precession in right ascension and the equation of the equinoxes are interpolated, not the rotation of the earth
+			instant = {
+				dateTime: dates[j],
+				julianDay: JulianDay.fromDate(dates[j], TimeScale.tt),
+				eclipticToEquator: lerpMatrix(node0.eclipticToEquator, node1.eclipticToEquator),
+				precessionNutation: lerpMatrix(node0.precessionNutation, node1.precessionNutation),
+				earth: interpolateHermite(node0.earth, node0.earthVelocity, node1.earth, node1.earthVelocity, fraction, step),
+				greenwichApparent: normalizeDegrees(SiderealTime.calculateEarthRotationAngle(dates[j])
+					+ lerp(node0.siderealOffset, node1.siderealOffset))
+			};
+		} else {
+			instant = calculateBatchInstant(dates[j], false);
+		}
+
+		for (let i = 0; i < bodies.length; i++) {
+			let heliocentric = null;
+			if (interpolate && bodies[i] instanceof Planet) {
+				const calculateState = date => bodies[i].calculateHeliocentricCartesian(date, true);
+				const state0 = getNode(planetNodes[i], intervals[j], calculateState);
+				const state1 = getNode(planetNodes[i], intervals[j] + 1, calculateState);
+				heliocentric = interpolateHermite([state0.x, state0.y, state0.z], [state0.vx, state0.vy, state0.vz],
+					[state1.x, state1.y, state1.z], [state1.vx, state1.vy, state1.vz], fraction, step);
+			}
+			processPosition(i, j, calculateBatchVector(bodies[i], instant, heliocentric), instant);
+		}
+	}
+}
+
+/**
+ * Positions of many bodies at many instants for many observers at once, e.g. for all objects of a planetarium view
+ * or a time series of a year. The results are stored in typed arrays instead of objects.
+ * Like calculateEquatorial and calculateAzimuthal of the single bodies, the positions are geometric and seen from the earth's center,
+ * except the azimuthal positions of satellites, which are seen from the observer at its elevation like in Satellite.calculateLookAngles.
+ */
+class BatchEphemeris {
+	/**
+	 * Interval in days between the exact positions of the earth and the planets, which are interpolated for time series
+	 * with more instants than intervals. Interpolation changes the positions by less than 0.05" (Mercury), 0 turns it off.
+	 */
+	static interpolationStep = 1;
+
+	/**
+	 * Calculate equatorial positions of several bodies at several instants
+	 * @example
+	 * const hours = Array.from({ length: 8760 }, (_, i) => new Date(Date.UTC(2025, 0, 1, i)));
+	 * BatchEphemeris.calculateEquatorial([Sun, Moon, new Planet(PlanetAbbreviation.mar)], hours).rightAscension
+	 * @param {object[]} bodies Planet, OrbitalElementsBody, Sun, Moon, Satellite, Star, DeepSkyObject or ChebyshevEphemeris
+	 * @param {Date[]} dates
+	 * @returns {BatchEquatorial}
+	 */
+	static calculateEquatorial(bodies, dates) {
+		const count = bodies.length * dates.length;
+		const res = {
+			rightAscension: new Float64Array(count),
+			declination: new Float64Array(count),
+			distance: new Float64Array(count)
+		};
+		const isCatalogObject = bodies.map(body => body instanceof Star || body instanceof DeepSkyObject);
+		calculateBatchPositions(bodies, dates, (i, j, vector) => {
+			const index = i * dates.length + j;
+			const spherical = vectorToSpherical(vector);
+			res.rightAscension[index] = spherical.longitude;
+			res.declination[index] = spherical.latitude;
+			res.distance[index] = isCatalogObject[i] ? Infinity : Math.hypot(...vector);
+		});
+		return res;
+	}
+
+	/**
+	 * Calculate azimuthal positions of several bodies at several instants for several observers
+	 * @example
+	 * const stars = ["Vega", "Deneb", "Altair"].map(name => Star.byName(name));
+	 * BatchEphemeris.calculateAzimuthal(stars, [new Date()], [{ geoLatitude: 48.2, geoLongitude: 16.4 }]).height
+	 * @param {object[]} bodies Planet, OrbitalElementsBody, Sun, Moon, Satellite, Star, DeepSkyObject or ChebyshevEphemeris
+	 * @param {Date[]} dates
+	 * @param {Observer[]} observers
+	 * @param {Atmosphere | null} atmosphere Conditions used to add the refraction to the height, null for the geometric height
+	 * @returns {BatchAzimuthal}
+	 */
+	static calculateAzimuthal(bodies, dates, observers, atmosphere = null) {
+		const count = bodies.length * dates.length * observers.length;
+		const res = {
+			azimuth: new Float64Array(count),
+			height: new Float64Array(count)
+		};
+		const sinLatitudes = observers.map(observer => sindeg(observer.geoLatitude));
+		const cosLatitudes = observers.map(observer => cosdeg(observer.geoLatitude));
+		const observerDistances = observers.map(observer => calculateObserverDistances(observer.geoLatitude, observer.elevation ?? 0));
+		const isSatellite = bodies.map(body => body instanceof Satellite);
+		calculateBatchPositions(bodies, dates, (i, j, vector, instant) => {
+			for (let k = 0; k < observers.length; k++) {
+				// Rotate into the frame of the meridian, with the y axis pointing east, and from there into the horizon
+				const siderealTime = instant.greenwichApparent + observers[k].geoLongitude;
+				let meridian = cosdeg(siderealTime) * vector[0] + sindeg(siderealTime) * vector[1];
+				const east = -sindeg(siderealTime) * vector[0] + cosdeg(siderealTime) * vector[1];
+				let polar = vector[2];
+
+				// Satellites are too close for the position of the observer to be neglected, who lies in the meridian plane
+				if (isSatellite[i]) {
+					meridian -= observerDistances[k].fromAxis;
+					polar -= observerDistances[k].fromEquator;
+				}
+				const north = -sinLatitudes[k] * meridian + cosLatitudes[k] * polar;
+				const zenith = cosLatitudes[k] * meridian + sinLatitudes[k] * polar;
+
+				const index = (i * dates.length + j) * observers.length + k;
+				const height = asindeg(zenith / Math.hypot(meridian, east, polar));
+				res.azimuth[index] = normalizeDegrees(atan2deg(east, north));
+				res.height[index] = atmosphere != null ? Refraction.toApparentHeight(height, atmosphere) : height;
+			}
+		});
+		return res;
+	}
+}
+
+
+
+/** Identifies the binary format of ChebyshevEphemeris, followed by its version */
+const chebyshevMagic = "CMCE";
+const chebyshevVersion = 1;
+
+/** Size of the header of the binary format of ChebyshevEphemeris in bytes */
+const chebyshevHeaderSize = 40;
+
+/**
+ * Calculate the geocentric position of a body, referred to the ecliptic and equinox of date
+ * @param {object | ((dateTime: Date) => GeocentricCartesian)} body Planet, OrbitalElementsBody, Sun, Moon or Satellite,
+ * or a function calculating the position
+ * @param {Date} dateTime
+ * @returns {number[]} Position in AU
+ */
+function calculateGeocentricVector(body, dateTime) {
+	let cartesian;
+	if (body instanceof Planet || body instanceof OrbitalElementsBody) {
+		cartesian = body.calculateHeliocentricCartesian(dateTime).toGeocentricCartesian(body.precision);
+	} else if (body === Sun || body === Moon || body instanceof Satellite) {
+		cartesian = body.calculateGeocentricCartesian(dateTime);
+	} else if (typeof body === "function") {
+		cartesian = body(dateTime);
+	} else {
+		throw Error("Can't calculate the position of the body: Use a Planet, OrbitalElementsBody, Sun, Moon, Satellite or a function");
+	}
+	return cartesianToVector(cartesian);
+}
+
+/**
+ * Calculate the positions at the extrema of the Chebyshev polynomial of degree + 1 within a segment,
+ * where the error of polynomials up to degree is largest
+ * @param {(julianDay: number) => number[]} calculatePosition Position in AU at a Julian Day (TT)
+ * @param {number} start Julian Day (TT) of the beginning of the segment
+ * @param {number} length Length of the segment in days
+ * @param {number} degree
+ * @returns {{x: number, position: number[]}[]}
+ */
+function calculateChebyshevChecks(calculatePosition, start, length, degree) {
+	return Array.from({ length: degree + 2 }, (_, k) => {
+		const x = Math.cos(Math.PI * k / (degree + 1));
+		return { x, position: calculatePosition(start + (x + 1) / 2 * length) };
+	});
+}
+
+/**
+ * Fit Chebyshev polynomials to the position of a body within one segment by interpolating at the Chebyshev nodes,
+ * and calculate the positions needed to measure the error, see calculateChebyshevChecks
+ * @param {(julianDay: number) => number[]} calculatePosition Position in AU at a Julian Day (TT)
+ * @param {number} start Julian Day (TT) of the beginning of the segment
+ * @param {number} length Length of the segment in days
+ * @param {number} degree
+ * @returns {{coefficients: number[][], checks: {x: number, position: number[]}[]}} Coefficients of x, y and z
+ */
+function fitChebyshevSegment(calculatePosition, start, length, degree) {
+	const count = degree + 1;
+	const toJulianDay = x => start + (x + 1) / 2 * length;
+	const samples = Array.from({ length: count }, (_, k) => calculatePosition(toJulianDay(Math.cos(Math.PI * (k + 0.5) / count))));
+	const coefficients = [0, 1, 2].map(axis => Array.from({ length: count }, (_, j) => {
+		let sum = 0;
+		for (let k = 0; k < count; k++) {
+			sum += samples[k][axis] * Math.cos(Math.PI * j * (k + 0.5) / count);
+		}
+		return sum * (j === 0 ? 1 : 2) / count;
+	}));
+	return { coefficients, checks: calculateChebyshevChecks(calculatePosition, start, length, degree) };
+}
+
+/**
+ * Calculate the largest error of Chebyshev polynomials at the check points of a segment
+ * @param {number[][]} coefficients Coefficients of x, y and z
+ * @param {number} degree Degree up to which the coefficients are used
+ * @param {{x: number, position: number[]}[]} checks
+ * @returns {number} Angle in arcseconds as seen from the earth's center
+ */
+function calculateChebyshevError(coefficients, degree, checks) {
+	let error = 0;
+	for (const check of checks) {
+		const position = coefficients.map(axis => evaluateChebyshev(axis, degree, check.x, false).value);
+		const difference = Math.hypot(...position.map((x, i) => x - check.position[i]));
+		error = Math.max(error, difference / Math.hypot(...check.position) / Math.PI * 180 * 3600);
+	}
+	return error;
+}
+
+/**
+ * Find the largest error of Chebyshev polynomials within a segment. Since the local maxima of the error lie close to
+ * but not exactly at the check points, they are searched by golden-section search between the neighbors of each check point
+ * whose error comes within 10% of the largest one.
+ * @param {(julianDay: number) => number[]} calculatePosition Position in AU at a Julian Day (TT)
+ * @param {number} start Julian Day (TT) of the beginning of the segment
+ * @param {number} length Length of the segment in days
+ * @param {number[][]} coefficients Coefficients of x, y and z
+ * @param {number} degree Degree up to which the coefficients are used
+ * @param {{x: number, position: number[]}[]} checks
+ * @returns {number} Angle in arcseconds as seen from the earth's center
+ */
+function findChebyshevMaxError(calculatePosition, start, length, coefficients, degree, checks) {
+	const calculateError = x => calculateChebyshevError(coefficients, degree,
+		[{ x, position: calculatePosition(start + (x + 1) / 2 * length) }]);
+	const errors = checks.map(check => calculateChebyshevError(coefficients, degree, [check]));
+	const largestError = Math.max(...errors);
+	const refine = x => {
+		let from = Math.max(-1, ...checks.map(check => check.x).filter(other => other < x));
+		let to = Math.min(1, ...checks.map(check => check.x).filter(other => other > x));
+		const ratio = (Math.sqrt(5) - 1) / 2;
+		let a = to - ratio * (to - from);
+		let b = from + ratio * (to - from);
+		let errorA = calculateError(a);
+		let errorB = calculateError(b);
+		// Reuse the inner point that remains in the interval, so that each step needs one position only
+		while (to - from > 1e-3) {
+			if (errorA > errorB) {
+				[to, b, errorB] = [b, a, errorA];
+				a = to - ratio * (to - from);
+				errorA = calculateError(a);
+			} else {
+				[from, a, errorA] = [a, b, errorB];
+				b = from + ratio * (to - from);
+				errorB = calculateError(b);
+			}
+		}
+		return Math.max(errorA, errorB);
+	};
+	return Math.max(largestError, ...checks.filter((_, i) => errors[i] >= 0.9 * largestError).map(check => refine(check.x)));
+}
+
+/**
+ * Evaluate a sum of Chebyshev polynomials and optionally its derivative
+ * @param {ArrayLike<number>} coefficients
+ * @param {number} degree Degree up to which the coefficients are used
+ * @param {number} x Argument between -1 and 1
+ * @param {boolean} withDerivative
+ * @param {number} offset Index of the first coefficient
+ * @returns {{value: number, derivative: number}} Derivative with respect to x, 0 if not calculated
+ */
+function evaluateChebyshev(coefficients, degree, x, withDerivative, offset = 0) {
+	// T_k and the derivatives k U_(k-1) by their recurrences
+	let value = coefficients[offset];
+	let derivative = 0;
+	let [t0, t1] = [1, x];
+	let [u0, u1] = [0, 1];
+	for (let k = 1; k <= degree; k++) {
+		value += coefficients[offset + k] * t1;
+		if (withDerivative) {
+			derivative += coefficients[offset + k] * k * u1;
+		}
+		[t0, t1] = [t1, 2 * x * t1 - t0];
+		[u0, u1] = [u1, 2 * x * u1 - u0];
+	}
+	return { value, derivative };
+}
+
+/**
+ * Positions of a body stored as piecewise Chebyshev polynomials, which are much faster to evaluate and much smaller
+ * than the theories they are fitted to, e.g. to calculate planets without the VSOP87 data.
+ * The positions are geocentric and referred to the ecliptic and equinox of date like the other cartesian coordinates.
+ * @link https://en.wikipedia.org/wiki/Chebyshev_polynomials
+ */
+class ChebyshevEphemeris {
+	/** Maximum degree of the polynomials when fitting, the degree is reduced afterwards as far as the tolerance allows */
+	static maximumDegree = 14;
+
+	/** Maximum number of segments when fitting, which limits the size of the ephemeris for tolerances that can't be reached */
+	static maximumSegmentCount = 100000;
+
+	/** Name of the body, like a key of PlanetAbbreviation, "sun" or "moon" */
+	name;
+
+	/** Julian Day (TT) of the beginning of the first segment */
+	startJulianDay;
+
+	/** Length of each segment in days */
+	segmentLength;
+
+	/** Degree of the polynomials */
+	degree;
+
+	/** Largest difference to the theory found when fitting, in arcseconds as seen from the earth's center */
+	maxError;
+
+	/** Coefficients of x, y and z of each segment, in AU */
+	coefficients;
+
+	/**
+	 * @param {string} name
+	 * @param {number} startJulianDay Julian Day (TT) of the beginning of the first segment
+	 * @param {number} segmentLength Length of each segment in days
+	 * @param {number} degree
+	 * @param {number} maxError Largest difference to the theory in arcseconds
+	 * @param {Float64Array} coefficients degree + 1 coefficients of x, y and z for each segment
+	 */
+	constructor(name, startJulianDay, segmentLength, degree, maxError, coefficients) {
+		this.name = name;
+		this.startJulianDay = startJulianDay;
+		this.segmentLength = segmentLength;
+		this.degree = degree;
+		this.maxError = maxError;
+		this.coefficients = coefficients;
+	}
+
+	/**
+	 * Fit piecewise Chebyshev polynomials to the positions of a body within a range of dates.
+	 * The segments are halved until the positions at the check points of all segments are within the tolerance,
+	 * or throws if more than maximumSegmentCount segments would be needed.
+	 * The largest error is searched around the check points, so maxError can slightly exceed the tolerance.
+	 * @example
+	 * ChebyshevEphemeris.fit(new Planet(PlanetAbbreviation.mar), new Date("2020-01-01"), new Date("2030-01-01"), 0.01)
+	 * @param {object | ((dateTime: Date) => GeocentricCartesian)} body Planet, OrbitalElementsBody, Sun, Moon or Satellite,
+	 * or a function calculating the position
+	 * @param {Date} startDate
+	 * @param {Date} endDate
+	 * @param {number} tolerance Largest allowed error in arcseconds as seen from the earth's center
+	 * @param {string} name Name of the body, derived from the body if undefined
+	 * @returns {ChebyshevEphemeris}
+	 */
+	static fit(body, startDate, endDate, tolerance = 0.001, name = undefined) {
+		if (body instanceof Planet && body.planet === PlanetAbbreviation.ear) {
+			throw Error("Can't fit the position of the earth as seen from the earth's center");
+		}
+		const startJulianDay = JulianDay.fromDate(startDate, TimeScale.tt);
+		const span = JulianDay.fromDate(endDate, TimeScale.tt) - startJulianDay;
+		if (!(span > 0)) {
+			throw Error("Can't fit the position of the body: The end date has to be after the start date");
+		}
+		if (!(tolerance > 0)) {
+			throw Error(`Can't fit the position of the body: The tolerance has to be positive, not ${tolerance}`);
+		}
+		const calculatePosition = julianDay => calculateGeocentricVector(body, new Time(julianDay, 0, TimeScale.tt).toDate());
+		const degree = ChebyshevEphemeris.maximumDegree;
+
+		// Halve the segments until all fits are good enough, stopping at the first one that isn't
+		let segmentLength = span;
+		let segments;
+		// The largest error with each segment length is at least the one of the first segment that isn't good enough
+		let bestError = Infinity;
+		while (segments == undefined) {
+			const count = Math.ceil(span / segmentLength - 1e-9);
+			if (count > ChebyshevEphemeris.maximumSegmentCount) {
+				throw Error(`Can't fit the position of the body to ${tolerance}": The error didn't get below ${bestError.toPrecision(2)}"`
+					+ ` with up to ${ChebyshevEphemeris.maximumSegmentCount} segments`);
+			}
+			let fits = [];
+			for (let i = 0; i < count; i++) {
+				const fit = fitChebyshevSegment(calculatePosition, startJulianDay + i * segmentLength, segmentLength, degree);
+				const error = calculateChebyshevError(fit.coefficients, degree, fit.checks);
+				if (error > tolerance) {
+					bestError = Math.min(bestError, error);
+					break;
+				}
+				fits.push(fit);
+			}
+			if (fits.length === count) {
+				segments = fits;
+			} else {
+				segmentLength /= 2;
+			}
+		}
+
+		// The coefficients decrease quickly, so the highest ones can often be left out.
+		// This adds an error that is largest at the extrema of the first polynomial left out, so check there as well.
+		let reducedDegree = degree;
+		let reducedChecks = segments.map(fit => fit.checks);
+		while (reducedDegree > 1) {
+			const checks = [];
+			for (const [i, fit] of segments.entries()) {
+				const segmentChecks = fit.checks.concat(calculateChebyshevChecks(calculatePosition,
+					startJulianDay + i * segmentLength, segmentLength, reducedDegree - 1));
+				if (calculateChebyshevError(fit.coefficients, reducedDegree - 1, segmentChecks) > tolerance) {
+					break;
+				}
+				checks.push(segmentChecks);
+			}
+			if (checks.length < segments.length) {
+				break;
+			}
+			reducedDegree--;
+			reducedChecks = checks;
+		}
+
+		const coefficients = new Float64Array(segments.length * 3 * (reducedDegree + 1));
+		segments.forEach((fit, i) => fit.coefficients.forEach((axis, j) =>
+			coefficients.set(axis.slice(0, reducedDegree + 1), (i * 3 + j) * (reducedDegree + 1))));
+		const maxError = Math.max(...segments.map((fit, i) => findChebyshevMaxError(calculatePosition,
+			startJulianDay + i * segmentLength, segmentLength, fit.coefficients, reducedDegree, reducedChecks[i])));
+
+		if (name == undefined) {
+			name = body === Sun ? "sun" : body === Moon ? "moon" : body instanceof Planet
+				? Object.entries(PlanetAbbreviation).find(x => x[1] === body.planet)[0] : body.name ?? "";
+		}
+		return new ChebyshevEphemeris(name, startJulianDay, segmentLength, reducedDegree, maxError, coefficients);
+	}
+
+	/**
+	 * Create the ephemeris from the object returned by toJSON() or its JSON string
+	 * @param {object | string} data
+	 * @returns {ChebyshevEphemeris}
+	 */
+	static fromJSON(data) {
+		if (typeof data === "string") {
+			data = JSON.parse(data);
+		}
+		if (data == undefined || !Array.isArray(data.coefficients) || data.coefficients.length % (3 * (data.degree + 1)) !== 0) {
+			throw Error("Invalid Chebyshev ephemeris: Expected degree + 1 coefficients of x, y and z for each segment");
+		}
+		return new ChebyshevEphemeris(data.name, data.startJulianDay, data.segmentLength, data.degree, data.maxError,
+			Float64Array.from(data.coefficients));
+	}
+
+	/**
+	 * Create the ephemeris from the binary format written by toArrayBuffer()
+	 * @param {ArrayBuffer} buffer
+	 * @returns {ChebyshevEphemeris}
+	 */
+	static fromArrayBuffer(buffer) {
+		const view = new DataView(buffer);
+		const magic = String.fromCharCode(...new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength)));
+		if (magic !== chebyshevMagic || view.getUint16(4, true) !== chebyshevVersion) {
+			throw Error(`Invalid Chebyshev ephemeris: Expected "${chebyshevMagic}" version ${chebyshevVersion}`);
+		}
+		const degree = view.getUint16(6, true);
+		const segmentCount = view.getUint32(8, true);
+		const nameLength = view.getUint32(12, true);
+		const coefficientsOffset = chebyshevHeaderSize + Math.ceil(nameLength / 8) * 8;
+		const coefficients = new Float64Array(segmentCount * 3 * (degree + 1));
+		for (let i = 0; i < coefficients.length; i++) {
+			coefficients[i] = view.getFloat64(coefficientsOffset + i * 8, true);
+		}
+		return new ChebyshevEphemeris(decodeUTF8(new Uint8Array(buffer, chebyshevHeaderSize, nameLength)),
+			view.getFloat64(16, true), view.getFloat64(24, true), degree, view.getFloat64(32, true), coefficients);
+	}
+
+	/**
+	 * Load an ephemeris in the binary or JSON format
+	 * @param {string | URL | ArrayBuffer | ArrayBufferView | object} source A file in Node.js, an URL to fetch, the binary data or the object of toJSON()
+	 * @param {boolean} synchronous Whether to return the ephemeris directly instead of a Promise, only possible for files and data
+	 * @returns {ChebyshevEphemeris | Promise<ChebyshevEphemeris>}
+	 */
+	static load(source, synchronous = false) {
+		if (source == undefined) {
+			throw Error("Can't load the Chebyshev ephemeris: Pass a file, an URL or the data");
+		}
+		const parse = data => {
+			const magic = String.fromCharCode(...new Uint8Array(data, 0, Math.min(4, data.byteLength)));
+			return magic === chebyshevMagic ? ChebyshevEphemeris.fromArrayBuffer(data) : ChebyshevEphemeris.fromJSON(decodeUTF8(data));
+		};
+		if (typeof source === "object" && !isResourceLocation(source)) {
+			const ephemeris = ChebyshevEphemeris.fromJSON(source);
+			return synchronous ? ephemeris : Promise.resolve(ephemeris);
+		}
+		if (synchronous) {
+			return parse(readResource(source, true, undefined, true));
+		}
+		return new Promise(resolve => resolve(readResource(source, false, undefined, true))).then(parse);
+	}
+
+	/**
+	 * Convert to a plain object for JSON.stringify()
+	 * @returns {object}
+	 */
+	toJSON() {
+		return {
+			name: this.name,
+			startJulianDay: this.startJulianDay,
+			segmentLength: this.segmentLength,
+			degree: this.degree,
+			maxError: this.maxError,
+			coefficients: Array.from(this.coefficients)
+		};
+	}
+
+	/**
+	 * Convert to the compact binary format: a header of 40 bytes with "CMCE", the version, the degree, the number of segments,
+	 * the length of the name, the start, the length of the segments and the largest error, followed by the name
+	 * padded to 8 bytes and the coefficients, all little-endian
+	 * @returns {ArrayBuffer}
+	 */
+	toArrayBuffer() {
+		const name = new TextEncoder().encode(this.name);
+		const coefficientsOffset = chebyshevHeaderSize + Math.ceil(name.length / 8) * 8;
+		const buffer = new ArrayBuffer(coefficientsOffset + this.coefficients.length * 8);
+		const view = new DataView(buffer);
+		[...chebyshevMagic].forEach((character, i) => view.setUint8(i, character.charCodeAt(0)));
+		view.setUint16(4, chebyshevVersion, true);
+		view.setUint16(6, this.degree, true);
+		view.setUint32(8, this.coefficients.length / (3 * (this.degree + 1)), true);
+		view.setUint32(12, name.length, true);
+		view.setFloat64(16, this.startJulianDay, true);
+		view.setFloat64(24, this.segmentLength, true);
+		view.setFloat64(32, this.maxError, true);
+		new Uint8Array(buffer, chebyshevHeaderSize, name.length).set(name);
+		this.coefficients.forEach((x, i) => view.setFloat64(coefficientsOffset + i * 8, x, true));
+		return buffer;
+	}
+
+	/**
+	 * Calculate geocentric cartesian position of the body from the polynomials
+	 * @param {Date} dateTime
+	 * @param {boolean} withVelocity Whether to calculate the velocity as well, by differentiating the polynomials
+	 * @returns {GeocentricCartesian}
+	 */
+	calculateGeocentricCartesian(dateTime = new Date(), withVelocity = false) {
+		const julianDay = JulianDay.fromDate(dateTime, TimeScale.tt);
+		const stride = this.degree + 1;
+		const segmentCount = this.coefficients.length / (3 * stride);
+		const position = (julianDay - this.startJulianDay) / this.segmentLength;
+		if (!(position >= 0 && position <= segmentCount)) {
+			throw Error(`Can't calculate the position of ${this.name} at ${dateTime.toISOString()}: The ephemeris doesn't cover this date`);
+		}
+		const segment = Math.min(Math.floor(position), segmentCount - 1);
+		const x = 2 * (position - segment) - 1;
+		const axes = [0, 1, 2].map(axis => evaluateChebyshev(this.coefficients, this.degree, x, withVelocity, (segment * 3 + axis) * stride));
+		if (withVelocity) {
+			return new GeocentricCartesian(...axes.map(axis => axis.value), dateTime,
+				...axes.map(axis => axis.derivative * 2 / this.segmentLength));
+		}
+		return new GeocentricCartesian(...axes.map(axis => axis.value), dateTime);
+	}
+
+	/**
+	 * Calculate equatorial position of the body
+	 * @param {Date} dateTime
+	 * @returns {Equatorial}
+	 */
+	calculateEquatorial(dateTime = new Date()) {
+		return this.calculateGeocentricCartesian(dateTime).toEcliptical().toEquatorial();
+	}
+
+	/**
+	 * Calculate azimuthal position of the body
+	 * @param {number} geoLatitude Geographic latitude of the observer
+	 * @param {number} geoLongitude Geographic longitude of the observer
+	 * @param {Date} dateTime
+	 * @param {Atmosphere | null} atmosphere Conditions used to add the refraction to the height, null for the geometric height
+	 * @returns {Azimuthal}
+	 */
+	calculateAzimuthal(geoLatitude, geoLongitude, dateTime = new Date(), atmosphere = null) {
+		return this.calculateEquatorial(dateTime).toAzimuthal(geoLatitude, geoLongitude, dateTime, atmosphere);
+	}
+}
+
+
+
+/**
+ * Segment of a JPL ephemeris, giving the position of a target relative to a center within a time span
+ * @typedef {object} JPLSegment
+ * @property {number} target NAIF ID code, see JPLBody
+ * @property {number} center NAIF ID code
+ * @property {number} start Beginning in seconds since J2000 (TDB)
+ * @property {number} end End in seconds since J2000 (TDB)
+ * @property {(seconds: number, withVelocity: boolean) => {position: number[], velocity: number[] | null}} calculate
+ * Position in km and velocity in km/s at a time in seconds since J2000 (TDB), referred to the ICRF
+ */
+
+/**
+ * Read the segments of a binary SPK file, which consists of records of the Double precision Array File (DAF) format
+ * @link https://naif.jpl.nasa.gov/pub/naif/toolkit_docs/C/req/spk.html
+ * @param {ArrayBuffer} buffer
+ * @returns {JPLSegment[]}
+ */
+function parseSPKSegments(buffer) {
+	const recordSize = 1024;
+	const view = new DataView(buffer);
+	const readText = (offset, length) => String.fromCharCode(...new Uint8Array(buffer, offset, length));
+	if (buffer.byteLength < recordSize || readText(0, 8) !== "DAF/SPK ") {
+		throw Error("Invalid SPK file: Expected \"DAF/SPK\" at the beginning");
+	}
+
+	// Files written before the format was recorded are detected by the number of doubles per summary, which is always 2
+	const format = readText(88, 8);
+	const littleEndian = format === "LTL-IEEE" || (format !== "BIG-IEEE" && view.getInt32(8, true) === 2);
+	const doublesPerSummary = view.getInt32(8, littleEndian);
+	const integersPerSummary = view.getInt32(12, littleEndian);
+	if (doublesPerSummary !== 2 || integersPerSummary !== 6) {
+		throw Error("Invalid SPK file: Expected summaries of 2 doubles and 6 integers");
+	}
+	const summarySize = (doublesPerSummary + integersPerSummary / 2) * 8;
+	const readDouble = address => view.getFloat64((address - 1) * 8, littleEndian);
+
+	let segments = [];
+	let record = view.getInt32(76, littleEndian);
+	while (record > 0) {
+		const recordOffset = (record - 1) * recordSize;
+		const summaryCount = view.getFloat64(recordOffset + 16, littleEndian);
+		for (let i = 0; i < summaryCount; i++) {
+			const summaryOffset = recordOffset + 24 + i * summarySize;
+			const [target, center, frame, type, begin, end] = [0, 1, 2, 3, 4, 5]
+				.map(j => view.getInt32(summaryOffset + 16 + j * 4, littleEndian));
+			if (frame !== 1 || (type !== 2 && type !== 3)) {
+				throw Error(`Unsupported SPK segment of type ${type} in frame ${frame}: Only the Chebyshev types 2 and 3 in the J2000 frame of the JPL development ephemerides are supported`);
+			}
+
+			// The directory at the end of the segment contains the start, the interval and the size of the records and their number
+			const [initialEpoch, interval, recordLength, recordCount] = [3, 2, 1, 0].map(j => readDouble(end - j));
+			const components = type === 2 ? 3 : 6;
+			const degree = (recordLength - 2) / components - 1;
+			segments.push({
+				target,
+				center,
+				start: view.getFloat64(summaryOffset, littleEndian),
+				end: view.getFloat64(summaryOffset + 8, littleEndian),
+				calculate: (seconds, withVelocity) => {
+					const index = Math.min(Math.max(Math.floor((seconds - initialEpoch) / interval), 0), recordCount - 1);
+					const address = begin + index * recordLength;
+					const coefficients = Float64Array.from({ length: recordLength }, (_, j) => readDouble(address + j));
+					const [midpoint, radius] = coefficients;
+					const x = (seconds - midpoint) / radius;
+					const axes = [0, 1, 2].map(axis => evaluateChebyshev(coefficients, degree, x, withVelocity && type === 2,
+						2 + axis * (degree + 1)));
+					if (!withVelocity) {
+						return { position: axes.map(axis => axis.value), velocity: null };
+					}
+					const velocity = type === 2 ? axes.map(axis => axis.derivative / radius)
+						: [3, 4, 5].map(axis => evaluateChebyshev(coefficients, degree, x, false, 2 + axis * (degree + 1)).value);
+					return { position: axes.map(axis => axis.value), velocity };
+				}
+			});
+		}
+		record = view.getFloat64(recordOffset, littleEndian);
+	}
+	return segments;
+}
+
+/**
+ * Read the ASCII format of the JPL development ephemerides, consisting of a header file like "header.440"
+ * and data files like "ascp01950.440" with blocks of Chebyshev coefficients
+ * @link https://ssd.jpl.nasa.gov/ftp/eph/planets/ascii/ascii_format.txt
+ * @param {string} header
+ * @param {string[]} data Contents of the data files, in any order
+ * @returns {{segments: JPLSegment[], constants: Object<string, number>}}
+ */
+function parseJPLASCII(header, data) {
+	const parseNumbers = text => text.trim().split(/\s+/).filter(x => x !== "").map(x => parseFloat(x.replace(/D/i, "E")));
+	const groups = Object.fromEntries(header.split(/^GROUP\s+/m).slice(1)
+		.map(group => [group.substring(0, group.indexOf("\n")).trim(), group.substring(group.indexOf("\n") + 1)]));
+	const coefficientCount = parseInt(header.match(/NCOEFF=\s*(\d+)/)?.[1]);
+	if (isNaN(coefficientCount) || groups["1030"] == undefined || groups["1040"] == undefined
+		|| groups["1041"] == undefined || groups["1050"] == undefined) {
+		throw Error("Invalid JPL ASCII header: Expected NCOEFF and the groups 1030, 1040, 1041 and 1050");
+	}
+
+	const names = groups["1040"].trim().split(/\s+/).slice(1);
+	const values = parseNumbers(groups["1041"]).slice(1);
+	const constants = Object.fromEntries(names.map((name, i) => [name, values[i]]));
+	const [, , interval] = parseNumbers(groups["1030"]);
+
+	// Three rows with the offset of the coefficients, their number and the number of subintervals for each item
+	const layout = parseNumbers(groups["1050"]);
+	const itemCount = layout.length / 3;
+	const items = Array.from({ length: itemCount }, (_, i) => ({
+		offset: layout[i] - 1, count: layout[itemCount + i], subintervals: layout[2 * itemCount + i]
+	}));
+
+	// Data files overlap by one block. Each block starts with its number and the number of coefficients,
+	// followed by the coefficients in lines of three, the last one padded with zeros.
+	const blockLength = 2 + Math.ceil(coefficientCount / 3) * 3;
+	const blocksByStart = new Map();
+	for (const file of data) {
+		const numbers = parseNumbers(file);
+		for (let i = 0; i + blockLength <= numbers.length; i += blockLength) {
+			const block = Float64Array.from(numbers.slice(i + 2, i + 2 + coefficientCount));
+			blocksByStart.set(block[0], block);
+		}
+	}
+	const blocks = [...blocksByStart.values()].sort((a, b) => a[0] - b[0]);
+	if (blocks.length === 0) {
+		throw Error("Invalid JPL ASCII data: No blocks of coefficients found");
+	}
+	for (let i = 1; i < blocks.length; i++) {
+		if (blocks[i][0] !== blocks[i - 1][1]) {
+			throw Error(`Invalid JPL ASCII data: Missing the blocks between Julian Day ${blocks[i - 1][1]} and ${blocks[i][0]}`);
+		}
+	}
+	const startJulianDay = blocks[0][0];
+	const endJulianDay = blocks[blocks.length - 1][1];
+
+	const createSegment = (target, center, item, factor) => ({
+		target,
+		center,
+		start: (startJulianDay - Equinox.J2000) * 86400,
+		end: (endJulianDay - Equinox.J2000) * 86400,
+		calculate: (seconds, withVelocity) => {
+			const julianDay = Equinox.J2000 + seconds / 86400;
+			const block = blocks[Math.min(Math.max(Math.floor((julianDay - startJulianDay) / interval), 0), blocks.length - 1)];
+			const length = interval / item.subintervals;
+			const subinterval = Math.min(Math.max(Math.floor((julianDay - block[0]) / length), 0), item.subintervals - 1);
+			const x = 2 * (julianDay - block[0] - subinterval * length) / length - 1;
+			const axes = [0, 1, 2].map(axis => evaluateChebyshev(block, item.count - 1, x, withVelocity,
+				item.offset + (subinterval * 3 + axis) * item.count));
+			return {
+				position: axes.map(axis => axis.value * factor),
+				velocity: withVelocity ? axes.map(axis => axis.derivative * factor * 2 / (length * 86400)) : null
+			};
+		}
+	});
+
+	// Mercury to Pluto and the sun relative to the barycenter, the moon relative to the earth
+	const barycentricBodies = [JPLBody.mercury, JPLBody.venus, JPLBody.earthMoonBarycenter, JPLBody.mars, JPLBody.jupiter,
+		JPLBody.saturn, JPLBody.uranus, JPLBody.neptune, JPLBody.pluto];
+	let segments = barycentricBodies.map((body, i) => createSegment(body, JPLBody.solarSystemBarycenter, items[i], 1));
+	segments.push(createSegment(JPLBody.sun, JPLBody.solarSystemBarycenter, items[10], 1));
+
+	// The earth and the moon orbit their barycenter, with distances in the inverse ratio of their masses
+	const massRatio = constants.EMRAT;
+	if (massRatio == undefined) {
+		throw Error("Invalid JPL ASCII header: Missing the earth-moon mass ratio EMRAT");
+	}
+	segments.push(createSegment(JPLBody.earth, JPLBody.earthMoonBarycenter, items[9], -1 / (1 + massRatio)));
+	segments.push(createSegment(JPLBody.moon, JPLBody.earthMoonBarycenter, items[9], massRatio / (1 + massRatio)));
+	return { segments, constants };
+}
+
+/** Bodies of the JPL ephemerides used by Planet, by the values of PlanetAbbreviation */
+const planetJPLBodies = {
+	[PlanetAbbreviation.mer]: JPLBody.mercury,
+	[PlanetAbbreviation.ven]: JPLBody.venus,
+	[PlanetAbbreviation.ear]: JPLBody.earth,
+	[PlanetAbbreviation.mar]: JPLBody.mars,
+	[PlanetAbbreviation.jup]: JPLBody.jupiter,
+	[PlanetAbbreviation.sat]: JPLBody.saturn,
+	[PlanetAbbreviation.ura]: JPLBody.uranus,
+	[PlanetAbbreviation.nep]: JPLBody.neptune
+};
+
+/**
+ * A JPL development ephemeris like DE440 or DE440s, which is more accurate than VSOP87 and includes the moon and Pluto.
+ * It can replace VSOP87 for all planets and the sun and the lunar theory for the moon by using it as precision,
+ * like `Planet.defaultPrecision = ephemeris`, or for single planets like `new Planet(PlanetAbbreviation.mar, ephemeris)`.
+ * Pluto isn't one of the planets, so its position is only available from the ephemeris itself, see JPLBody.
+ * @link https://ssd.jpl.nasa.gov/planets/eph_export.html
+ */
+class JPLEphemeris {
+	/** Segments of the ephemeris, each giving the position of a target relative to a center */
+	segments;
+
+	/** Constants of the ephemeris like "AU" and "EMRAT" by their names, only available from the ASCII format */
+	constants;
+
+	/**
+	 * @param {JPLSegment[]} segments
+	 * @param {Object<string, number>} constants
+	 */
+	constructor(segments, constants = {}) {
+		this.segments = segments;
+		this.constants = constants;
+	}
+
+	/**
+	 * Read a binary SPK file like "de440s.bsp"
+	 * @param {ArrayBuffer | ArrayBufferView} data
+	 * @returns {JPLEphemeris}
+	 */
+	static fromSPK(data) {
+		return new JPLEphemeris(parseSPKSegments(toArrayBuffer(data)));
+	}
+
+	/**
+	 * Read the ASCII format, consisting of a header file like "header.440" and data files like "ascp01950.440"
+	 * @param {string} header
+	 * @param {string | string[]} data Contents of one or more data files
+	 * @returns {JPLEphemeris}
+	 */
+	static fromASCII(header, data) {
+		const { segments, constants } = parseJPLASCII(header, Array.isArray(data) ? data : [data]);
+		return new JPLEphemeris(segments, constants);
+	}
+
+	/**
+	 * Load a binary SPK file
+	 * @param {string | URL | ArrayBuffer | ArrayBufferView} source A file in Node.js, an URL to fetch or the data
+	 * @param {boolean} synchronous Whether to return the ephemeris directly instead of a Promise, only possible for files and data
+	 * @returns {JPLEphemeris | Promise<JPLEphemeris>}
+	 */
+	static load(source, synchronous = false) {
+		if (source == undefined) {
+			throw Error("Can't load the JPL ephemeris: Pass a file, an URL or the data");
+		}
+		if (synchronous) {
+			return JPLEphemeris.fromSPK(readResource(source, true, undefined, true));
+		}
+		return new Promise(resolve => resolve(readResource(source, false, undefined, true))).then(data => JPLEphemeris.fromSPK(data));
+	}
+
+	/**
+	 * Calculate position and velocity of a body relative to the solar system barycenter by following the segments to it
+	 * @param {number} target NAIF ID code, see JPLBody
+	 * @param {number} seconds Seconds since J2000 (TDB)
+	 * @param {boolean} withVelocity
+	 * @returns {{position: number[], velocity: number[] | null}} Position in km and velocity in km/s, referred to the ICRF
+	 */
+	calculateBarycentricState(target, seconds, withVelocity) {
+		const body = target;
+		let position = [0, 0, 0];
+		let velocity = withVelocity ? [0, 0, 0] : null;
+		while (target !== JPLBody.solarSystemBarycenter) {
+			const targetSegments = this.segments.filter(segment => segment.target === target);
+			if (targetSegments.length === 0) {
+				throw Error(`Can't calculate the position of body ${body}: Body ${target} is not in the ephemeris`);
+			}
+			const segment = targetSegments.find(segment => seconds >= segment.start && seconds <= segment.end);
+			if (segment == undefined) {
+				throw Error(`Can't calculate the position of body ${body}: The ephemeris doesn't cover Julian Day ${Equinox.J2000 + seconds / 86400} (TDB)`);
+			}
+			const state = segment.calculate(seconds, withVelocity);
+			position = position.map((x, i) => x + state.position[i]);
+			velocity = velocity?.map((x, i) => x + state.velocity[i]) ?? null;
+			target = segment.center;
+		}
+		return { position, velocity };
+	}
+
+	/**
+	 * Calculate position and velocity of a body relative to another one, referred to the ICRF
+	 * @param {number} target NAIF ID code, see JPLBody
+	 * @param {number} center NAIF ID code, see JPLBody
+	 * @param {Date} dateTime
+	 * @param {boolean} withVelocity
+	 * @returns {{position: number[], velocity: number[] | null}} Position in km and velocity in km/s
+	 */
+	calculateState(target, center, dateTime = new Date(), withVelocity = false) {
+		const seconds = (JulianDay.fromDate(dateTime, TimeScale.tdb) - Equinox.J2000) * 86400;
+		const targetState = this.calculateBarycentricState(target, seconds, withVelocity);
+		const centerState = this.calculateBarycentricState(center, seconds, withVelocity);
+		return {
+			position: targetState.position.map((x, i) => x - centerState.position[i]),
+			velocity: withVelocity ? targetState.velocity.map((x, i) => x - centerState.velocity[i]) : null
+		};
+	}
+
+	/**
+	 * Calculate position and velocity of a body relative to another one, converted to AU and AU per day
+	 * and referred to the ecliptic and equinox of date like VSOP87
+	 * @param {number} target
+	 * @param {number} center
+	 * @param {Date} dateTime
+	 * @param {boolean} withVelocity
+	 * @returns {number[]} x, y and z, followed by vx, vy and vz if withVelocity is true
+	 */
+	calculateEclipticalState(target, center, dateTime, withVelocity) {
+		const state = this.calculateState(target, center, dateTime, withVelocity);
+		const matrix = SphericalCoordinates.calculateMatrix(CoordinateFrame.icrs, CoordinateFrame.eclipticOfDate, dateTime);
+		const position = multiplyMatrixVector(matrix, state.position).map(x => x / Const.kmPerAU);
+		if (!withVelocity) {
+			return position;
+		}
+		return [...position, ...multiplyMatrixVector(matrix, state.velocity).map(x => x / Const.kmPerAU * 86400)];
+	}
+
+	/**
+	 * Calculate heliocentric cartesian position of a body, referred to the ecliptic and equinox of date like VSOP87
+	 * @param {number} body NAIF ID code, see JPLBody
+	 * @param {Date} dateTime
+	 * @param {boolean} withVelocity Whether to calculate the velocity as well
+	 * @returns {HeliocentricCartesian}
+	 */
+	calculateHeliocentricCartesian(body, dateTime = new Date(), withVelocity = false) {
+		const [x, y, z, ...velocity] = this.calculateEclipticalState(body, JPLBody.sun, dateTime, withVelocity);
+		return new HeliocentricCartesian(x, y, z, dateTime, ...velocity);
+	}
+
+	/**
+	 * Calculate geocentric cartesian position of a body like the moon, referred to the ecliptic and equinox of date
+	 * @param {number} body NAIF ID code, see JPLBody
+	 * @param {Date} dateTime
+	 * @param {boolean} withVelocity Whether to calculate the velocity as well
+	 * @returns {GeocentricCartesian}
 	 */
-	static calculateAzimuthal(geoLatitude, geoLongitude, dateTime = new Date()) {
-		let azimuthalPos = this.calculateGeocentricCartesian(dateTime).toEcliptical().toEquatorial().toAzimuthal(geoLatitude, geoLongitude, dateTime);
-		azimuthalPos.azimuth = Azimuthal.toggleAzimuthReferencePoint(azimuthalPos.azimuth);
-		return azimuthalPos;
+	calculateGeocentricCartesian(body, dateTime = new Date(), withVelocity = false) {
+		const [x, y, z, ...velocity] = this.calculateEclipticalState(body, JPLBody.earth, dateTime, withVelocity);
+		return new GeocentricCartesian(x, y, z, dateTime, ...velocity);
 	}
 }
 
 
 
 module.exports = {
-	Const, PlanetAbbreviation, loadVSOP87_data, sindeg, cosdeg, tandeg,
-	asindeg, acosdeg, atandeg, sum, pad0, HourAngle, SexagesimalDegrees,
-	JulianDay, SiderealTime, Equatorial, Azimuthal, HeliocentricCartesian,
-	GeocentricCartesian, Ecliptical, Star, Planet, Sun
+	Const, PlanetAbbreviation, Twilight, SunHeightStatus, VSOP87Precision,
+	Equinox, TimeScale, SatelliteIllumination, DeepSkyObjectType,
+	PlanetEventType, EclipseType, MoonEventType, SeasonalEventType,
+	CoordinateFrame, JPLBody, parseVSOP87C, setVSOP87_data, loadVSOP87_data,
+	truncateVSOP87, setCatalog_data, loadCatalog_data, sindeg, cosdeg, tandeg,
+	asindeg, acosdeg, atandeg, atan2deg, normalizeDegrees, sum, pad0,
+	HourAngle, SexagesimalDegrees, JulianDay, Time, SiderealTime, Precession,
+	Nutation, Refraction, Equatorial, Azimuthal, HeliocentricCartesian,
+	GeocentricCartesian, Ecliptical, SphericalCoordinates, EventSearch, Star,
+	DeepSkyObject, Constellation, Planet, OrbitalElementsBody, parseMPCORB,
+	parseCometEls, Satellite, parseTLE, Sun, Moon, BatchEphemeris,
+	ChebyshevEphemeris, JPLEphemeris
 }
\ No newline at end of file
@@ -90,4 +90,53 @@ console.log(`
 	height: ${height}
 	rightAscension: ${rightAscension}
 	declination: ${declination}
+`);
+
+
+
+/*
+	Example 5:
+		Calculate azimuthal position and phase of the moon
+*/
+
+azimuthalPos = celmec.Moon.calculateAzimuthal(48.1372, 11.5755);
+azimuth = azimuthalPos.azimuth;
+height = azimuthalPos.height;
+const illuminatedFraction = celmec.Moon.calculateIlluminatedFraction();
+const age = celmec.Moon.calculateAge();
+
+console.log(`
+	Example 5:
+	Azimuthal position and phase of the moon:
+	azimuth: ${azimuth}
+	height: ${height}
+	illuminated fraction: ${illuminatedFraction}
+	age: ${age} days
+`);
+
+
+
+/*
+	Example 6:
+		Calculate azimuthal positions of several bodies at once
+		and compare them with the ones of the single bodies
+*/
+
+const iss = celmec.Satellite.fromTLE(
+	"1 25544U 98067A   08264.51782528 -.00002182  00000-0 -11606-4 0  2927",
+	"2 25544  51.6416 247.4627 0006703 130.5360 325.0288 15.72125391563537"
+);
+const bodies = [celmec.Sun, celmec.Moon, new celmec.Planet(celmec.PlanetAbbreviation.mar), vega, iss];
+const dateTime = new Date("2008-09-20T13:00:00Z");
+
+// Philadelphia, USA (40° N 75° W)
+const batch = celmec.BatchEphemeris.calculateAzimuthal(bodies, [dateTime], [{ geoLatitude: 40, geoLongitude: -75 }]);
+
+console.log(`
+	Example 6:
+	Azimuthal positions of sun, moon, mars, vega and the ISS (batch / single):
+${bodies.map((body, i) => {
+	azimuthalPos = body.calculateAzimuthal(40, -75, dateTime);
+	return `	azimuth: ${batch.azimuth[i]} / ${azimuthalPos.azimuth}, height: ${batch.height[i]} / ${azimuthalPos.height}`;
+}).join("\n")}
 `);
\ No newline at end of file
@@ -0,0 +1,232 @@
+/*
+	Build the catalog of bright stars and deep-sky objects used by celmec.
+
+	The stars are taken from the HYG database (hygdata_v3.csv or newer), which combines the Hipparcos, Yale Bright Star
+	and Gliese catalogs: https://github.com/astronexus/HYG-Database
+	The deep-sky objects are taken from OpenNGC (NGC.csv and optionally addendum.csv): https://github.com/mattiaverga/OpenNGC
+
+	Usage:
+		node scripts/build-catalog.js [inputDirectory] [outputFile] [--magnitude <limit>] [--dso-magnitude <limit>]
+
+	inputDirectory defaults to ./catalog, outputFile to ./celmec/catalog.json.
+	Only stars up to magnitude 6.5 (--magnitude) and the fainter ones of the stick figures of the constellations are written,
+	as well as all Messier objects and the other deep-sky objects up to magnitude 10 (--dso-magnitude).
+*/
+
+const fs = require("fs");
+const path = require("path");
+const celmec = require("../celmec");
+
+let args = process.argv.slice(2);
+const readOption = (name, defaultValue) => {
+	const index = args.indexOf(name);
+	if (index === -1) return defaultValue;
+	const value = parseFloat(args[index + 1]);
+	if (isNaN(value)) {
+		console.error(`Invalid value "${args[index + 1]}" for ${name}`);
+		process.exit(1);
+	}
+	args.splice(index, 2);
+	return value;
+};
+const magnitudeLimit = readOption("--magnitude", 6.5);
+const deepSkyObjectMagnitudeLimit = readOption("--dso-magnitude", 10);
+
+const inputDirectory = args[0] ?? path.join(__dirname, "..", "catalog");
+const outputFile = args[1] ?? path.join(__dirname, "..", "celmec", "catalog.json");
+
+/** Types of deep-sky objects by their abbreviation in OpenNGC */
+const deepSkyObjectTypes = {
+	"*": celmec.DeepSkyObjectType.star,
+	"**": celmec.DeepSkyObjectType.doubleStar,
+	"*Ass": celmec.DeepSkyObjectType.association,
+	"OCl": celmec.DeepSkyObjectType.openCluster,
+	"GCl": celmec.DeepSkyObjectType.globularCluster,
+	"Cl+N": celmec.DeepSkyObjectType.clusterWithNebula,
+	"G": celmec.DeepSkyObjectType.galaxy,
+	"GPair": celmec.DeepSkyObjectType.galaxyPair,
+	"GTrpl": celmec.DeepSkyObjectType.galaxyTriple,
+	"GGroup": celmec.DeepSkyObjectType.galaxyGroup,
+	"PN": celmec.DeepSkyObjectType.planetaryNebula,
+	"HII": celmec.DeepSkyObjectType.hiiRegion,
+	"DrkN": celmec.DeepSkyObjectType.darkNebula,
+	"EmN": celmec.DeepSkyObjectType.emissionNebula,
+	"RfN": celmec.DeepSkyObjectType.reflectionNebula,
+	"Neb": celmec.DeepSkyObjectType.nebula,
+	"SNR": celmec.DeepSkyObjectType.supernovaRemnant,
+	"Nova": celmec.DeepSkyObjectType.nova
+};
+
+/**
+ * Split a CSV file into rows, each an object with the column names of the header as keys
+ * @param {string} data
+ * @param {string} separator
+ * @returns {object[]}
+ */
+function parseCSV(data, separator) {
+	const splitLine = line => {
+		let fields = [];
+		let field = "";
+		let quoted = false;
+		for (let i = 0; i < line.length; i++) {
+			if (quoted && line[i] === "\"") {
+				if (line[i + 1] === "\"") {
+					field += "\"";
+					i++;
+				} else {
+					quoted = false;
+				}
+			} else if (!quoted && line[i] === "\"") {
+				quoted = true;
+			} else if (!quoted && line[i] === separator) {
+				fields.push(field.trim());
+				field = "";
+			} else {
+				field += line[i];
+			}
+		}
+		fields.push(field.trim());
+		return fields;
+	};
+
+	const lines = data.split(/\r?\n/).filter(line => line.trim() !== "");
+	const header = splitLine(lines[0]);
+	return lines.slice(1).map(line => {
+		const fields = splitLine(line);
+		return Object.fromEntries(header.map((name, i) => [name, fields[i] ?? ""]));
+	});
+}
+
+/**
+ * Parse a number, undefined if the field is empty
+ * @param {string} value
+ * @returns {number | undefined}
+ */
+function parseNumber(value) {
+	return value == undefined || value.trim() === "" ? undefined : parseFloat(value);
+}
+
+/**
+ * Round a number to a certain number of decimals, keeping undefined
+ * @param {number | undefined} value
+ * @param {number} decimals
+ * @returns {number | undefined}
+ */
+function round(value, decimals) {
+	return value == undefined ? undefined : parseFloat(value.toFixed(decimals));
+}
+
+/**
+ * Parse sexagesimal values like "00:42:44.35" or "+41:16:09.4"
+ * @param {string} value
+ * @returns {number | undefined} Value in the unit of the first part
+ */
+function parseSexagesimal(value) {
+	if (value.trim() === "") return undefined;
+	const parts = value.trim().replace(/^[+-]/, "").split(":").map(parseFloat);
+	const res = parts[0] + (parts[1] ?? 0) / 60 + (parts[2] ?? 0) / 3600;
+	return value.trim().startsWith("-") ? -res : res;
+}
+
+/**
+ * Convert a row of the HYG database to an entry of the catalog
+ * @param {object} row
+ * @returns {object}
+ */
+function convertStar(row) {
+	// A distance of 100000 parsecs means that the parallax is unknown
+	const distance = parseNumber(row.dist);
+	const bayer = row.bayer.match(/^([A-Za-z]+)-?(\d*)$/);
+	return {
+		hip: parseNumber(row.hip) || undefined,
+		hr: parseNumber(row.hr) || undefined,
+		hd: parseNumber(row.hd) || undefined,
+		name: row.proper || undefined,
+		bayer: bayer?.[1].toLowerCase(),
+		component: bayer?.[2] ? parseInt(bayer[2]) : undefined,
+		flamsteed: parseNumber(row.flam),
+		constellation: row.con || undefined,
+		rightAscension: round(parseNumber(row.ra) * 15, 7),
+		declination: round(parseNumber(row.dec), 7),
+		properMotionRA: round(parseNumber(row.pmra), 2) || undefined,
+		properMotionDec: round(parseNumber(row.pmdec), 2) || undefined,
+		parallax: distance > 0 && distance < 100000 ? round(1000 / distance, 3) : undefined,
+		radialVelocity: round(parseNumber(row.rv), 1) || undefined,
+		magnitude: round(parseNumber(row.mag), 2),
+		colorIndex: round(parseNumber(row.ci), 3)
+	};
+}
+
+/**
+ * Convert the designation of OpenNGC like "NGC0224" or "M040" to the usual form like "NGC 224" or "M 40"
+ * @param {string} name
+ * @returns {string}
+ */
+function convertDesignation(name) {
+	return name.replace(/^([A-Za-z]+)0*(\d)/, "$1 $2");
+}
+
+/**
+ * Convert a row of OpenNGC to an entry of the catalog
+ * @param {object} row
+ * @returns {object}
+ */
+function convertDeepSkyObject(row) {
+	let designations = [convertDesignation(row.Name)];
+	if (row.M !== "") designations.unshift(`M ${parseInt(row.M)}`);
+	for (const catalog of ["NGC", "IC"]) {
+		for (const number of row[catalog].split(",").filter(number => number.trim() !== "")) {
+			designations.push(convertDesignation(catalog + number.trim()));
+		}
+	}
+
+	return {
+		designations: [...new Set(designations)],
+		names: row["Common names"].split(",").map(name => name.trim()).filter(name => name !== ""),
+		type: deepSkyObjectTypes[row.Type] ?? celmec.DeepSkyObjectType.other,
+		rightAscension: round(parseSexagesimal(row.RA) * 15, 6),
+		declination: round(parseSexagesimal(row.Dec), 6),
+		magnitude: parseNumber(row["V-Mag"]) ?? parseNumber(row["B-Mag"]),
+		majorAxis: parseNumber(row.MajAx),
+		minorAxis: parseNumber(row.MinAx),
+		positionAngle: parseNumber(row.PosAng),
+		constellation: row.Const || undefined
+	};
+}
+
+const starFile = fs.existsSync(inputDirectory)
+	? fs.readdirSync(inputDirectory).filter(file => /^hygdata.*\.csv$/i.test(file)).sort().pop()
+	: undefined;
+const deepSkyObjectFiles = ["NGC.csv", "addendum.csv"].filter(file => fs.existsSync(path.join(inputDirectory, file)));
+if (starFile == undefined || !deepSkyObjectFiles.includes("NGC.csv")) {
+	console.error(`Missing "hygdata_v3.csv" or "NGC.csv" in "${inputDirectory}"`);
+	process.exit(1);
+}
+
+// Stars of the stick figures are needed even if they are fainter than the limit
+const lineStars = new Set(celmec.Constellation.list().flatMap(constellation => constellation.lines.flat()));
+const stars = parseCSV(fs.readFileSync(path.join(inputDirectory, starFile), "utf8"), ",")
+	.filter(row => row.proper !== "Sol" && (parseNumber(row.mag) <= magnitudeLimit || lineStars.has(parseNumber(row.hip))))
+	.map(convertStar);
+
+// Duplicates only contribute their designations to the object they refer to
+const deepSkyObjectRows = deepSkyObjectFiles.flatMap(file => parseCSV(fs.readFileSync(path.join(inputDirectory, file), "utf8"), ";"))
+	.filter(row => row.Type !== "NonEx");
+const deepSkyObjects = deepSkyObjectRows.filter(row => row.Type !== "Dup").map(convertDeepSkyObject);
+for (const duplicate of deepSkyObjectRows.filter(row => row.Type === "Dup").map(convertDeepSkyObject)) {
+	const original = deepSkyObjects.find(object => duplicate.designations.slice(1).some(designation => object.designations.includes(designation)));
+	if (original == undefined) continue;
+	original.designations = [...new Set(duplicate.designations[0].startsWith("M ")
+		? [duplicate.designations[0], ...original.designations, ...duplicate.designations]
+		: [...original.designations, ...duplicate.designations])];
+	original.names = [...new Set([...original.names, ...duplicate.names])];
+}
+
+const data = {
+	stars,
+	deepSkyObjects: deepSkyObjects.filter(object => object.designations[0].startsWith("M ")
+		|| object.magnitude <= deepSkyObjectMagnitudeLimit)
+};
+
+fs.writeFileSync(outputFile, JSON.stringify(data));
+console.log(`Wrote ${data.stars.length} stars and ${data.deepSkyObjects.length} deep-sky objects to "${outputFile}"`);
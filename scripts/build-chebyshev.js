@@ -0,0 +1,54 @@
+/*
+	Build a Chebyshev ephemeris of a planet, the sun or the moon, which ChebyshevEphemeris evaluates without the VSOP87 data.
+
+	Usage:
+		node scripts/build-chebyshev.js <body> <startDate> <endDate> [outputFile] [--tolerance <arcseconds>] [--json]
+
+	body is a key of PlanetAbbreviation like "mar", "sun" or "moon", startDate and endDate are dates like "2020-01-01".
+	outputFile defaults to ./celmec/chebyshev.<body>.bin, or .json with --json. The tolerance defaults to 0.001".
+	The VSOP87 data is read from ./celmec/vsop87c.json, see build-vsop87.js.
+*/
+
+const fs = require("fs");
+const path = require("path");
+const celmec = require("../celmec");
+
+let args = process.argv.slice(2);
+let tolerance = 0.001;
+const toleranceIndex = args.indexOf("--tolerance");
+if (toleranceIndex !== -1) {
+	tolerance = parseFloat(args[toleranceIndex + 1]);
+	if (!(tolerance > 0)) {
+		console.error(`Invalid tolerance "${args[toleranceIndex + 1]}"`);
+		process.exit(1);
+	}
+	args.splice(toleranceIndex, 2);
+}
+const json = args.includes("--json");
+args = args.filter(arg => arg !== "--json");
+
+const [bodyName, start, end] = args;
+const body = bodyName === "sun" ? celmec.Sun : bodyName === "moon" ? celmec.Moon
+	: bodyName in celmec.PlanetAbbreviation && bodyName !== "ear" ? new celmec.Planet(celmec.PlanetAbbreviation[bodyName])
+	: undefined;
+const startDate = new Date(start);
+const endDate = new Date(end);
+if (body == undefined || isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+	console.error("Usage: node scripts/build-chebyshev.js <body> <startDate> <endDate> [outputFile] [--tolerance <arcseconds>] [--json]");
+	process.exit(1);
+}
+const outputFile = args[3] ?? path.join(__dirname, "..", "celmec", `chebyshev.${bodyName}.${json ? "json" : "bin"}`);
+
+if (body !== celmec.Moon) {
+	celmec.loadVSOP87_data(true);
+}
+let ephemeris;
+try {
+	ephemeris = celmec.ChebyshevEphemeris.fit(body, startDate, endDate, tolerance);
+} catch (error) {
+	console.error(error.message);
+	process.exit(1);
+}
+fs.writeFileSync(outputFile, json ? JSON.stringify(ephemeris) : Buffer.from(ephemeris.toArrayBuffer()));
+console.log(`Wrote ${ephemeris.coefficients.length / (3 * (ephemeris.degree + 1))} segments of ${ephemeris.segmentLength.toFixed(2)} days`
+	+ ` with a maximum error of ${ephemeris.maxError.toPrecision(2)}" to "${outputFile}"`);
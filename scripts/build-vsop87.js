@@ -0,0 +1,58 @@
+/*
+	Build the VSOP87 data used by celmec from the raw files of the VSOP87C theory.
+
+	The raw files (VSOP87C.mer, VSOP87C.ven, ..., VSOP87C.nep) can be downloaded from
+	https://cdsarc.cds.unistra.fr/viz-bin/cat/VI/81 or ftp://ftp.imcce.fr/pub/ephem/planets/vsop87/
+
+	Usage:
+		node scripts/build-vsop87.js [inputDirectory] [outputFile] [--precision <precision>]
+
+	inputDirectory defaults to ./vsop87, outputFile to ./celmec/vsop87c.json.
+	With --precision (a key of VSOP87Precision like "arcminute" or a threshold in AU), only the terms
+	needed for that precision are written, by default to ./celmec/vsop87c.<precision>.json.
+	The threshold is stored as precision in the data, so that loading it can tell a truncated data set from the full one.
+*/
+
+const fs = require("fs");
+const path = require("path");
+const celmec = require("../celmec");
+
+let args = process.argv.slice(2);
+let precision = celmec.VSOP87Precision.full;
+const precisionIndex = args.indexOf("--precision");
+if (precisionIndex !== -1) {
+	precision = isNaN(args[precisionIndex + 1]) ? args[precisionIndex + 1] : parseFloat(args[precisionIndex + 1]);
+	args.splice(precisionIndex, 2);
+}
+
+const inputDirectory = args[0] ?? path.join(__dirname, "..", "vsop87");
+const outputFile = args[1] ?? path.join(__dirname, "..", "celmec",
+	precision === celmec.VSOP87Precision.full ? "vsop87c.json" : `vsop87c.${precision}.json`);
+
+/**
+ * Only keep the amplitude and the arguments of the cosine, since nothing else is needed for the calculations
+ * @param {object} series As returned by parseVSOP87C()
+ * @returns {object}
+ */
+function compact(series) {
+	return series.map(rows => rows.map(row => row.map(term => ({ a: term.a, b: term.b, c: term.c }))));
+}
+
+let data = {};
+for (const planetName of Object.keys(celmec.PlanetAbbreviation)) {
+	const file = path.join(inputDirectory, `VSOP87C.${planetName}`);
+	if (!fs.existsSync(file)) {
+		console.error(`Missing raw VSOP87 file "${file}"`);
+		process.exit(1);
+	}
+	data[planetName] = compact(celmec.parseVSOP87C(fs.readFileSync(file, "utf8")));
+}
+
+if (precision !== celmec.VSOP87Precision.full) {
+	data = celmec.truncateVSOP87(data, precision);
+} else {
+	data.precision = 0;
+}
+
+fs.writeFileSync(outputFile, JSON.stringify(data));
+console.log(`Wrote VSOP87 data to "${outputFile}"`);
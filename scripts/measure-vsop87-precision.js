@@ -0,0 +1,86 @@
+/*
+	Measure the worst-case errors of the VSOP87 precision tiers, as listed in the README and at VSOP87Precision.
+
+	Usage:
+		node scripts/measure-vsop87-precision.js [--step <days>] [--start <year>] [--end <year>]
+
+	The geometric geocentric positions of the planets and the sun at 0h UTC every step days (default 1) between the
+	start (default 1800) and the end (default 2200) are compared to the full series, with the earth calculated at the same tier.
+	The VSOP87 data is read from ./celmec/vsop87c.json, see build-vsop87.js. With a step of 1 day, this takes some minutes.
+*/
+
+const celmec = require("../celmec");
+
+const args = process.argv.slice(2);
+const option = (name, defaultValue) => {
+	const index = args.indexOf(name);
+	return index === -1 ? defaultValue : parseFloat(args[index + 1]);
+};
+const step = option("--step", 1);
+const start = Date.UTC(option("--start", 1800), 0, 1);
+const end = Date.UTC(option("--end", 2200), 0, 1);
+if (!(step > 0) || !(end > start)) {
+	console.error("Usage: node scripts/measure-vsop87-precision.js [--step <days>] [--start <year>] [--end <year>]");
+	process.exit(1);
+}
+
+celmec.loadVSOP87_data(true);
+
+const tiers = Object.keys(celmec.VSOP87Precision).filter(tier => tier !== "full");
+const planetNames = Object.keys(celmec.PlanetAbbreviation).filter(planetName => planetName !== "ear");
+const bodyNames = [...planetNames, "sun"];
+
+/**
+ * Calculate the geocentric positions of all planets and the sun at a certain precision
+ * @param {string} precision
+ * @param {Date} dateTime
+ * @returns {object} Position in AU for each body
+ */
+function calculatePositions(precision, dateTime) {
+	const toVector = cartesian => [cartesian.x, cartesian.y, cartesian.z];
+	const earth = toVector(new celmec.Planet(celmec.PlanetAbbreviation.ear, precision).calculateHeliocentricCartesian(dateTime));
+	const res = { sun: earth.map(x => -x) };
+	for (const planetName of planetNames) {
+		const planet = new celmec.Planet(celmec.PlanetAbbreviation[planetName], precision);
+		res[planetName] = toVector(planet.calculateHeliocentricCartesian(dateTime)).map((x, i) => x - earth[i]);
+	}
+	return res;
+}
+
+/**
+ * Calculate the angle between two vectors
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number} Angle in arcseconds
+ */
+function calculateAngle(a, b) {
+	const cross = [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+	return Math.atan2(Math.hypot(...cross), a[0] * b[0] + a[1] * b[1] + a[2] * b[2]) / Math.PI * 180 * 3600;
+}
+
+const worst = Object.fromEntries(tiers.map(tier => [tier, Object.fromEntries(bodyNames.map(bodyName => [bodyName, 0]))]));
+for (let time = start; time < end; time += step * 86400000) {
+	const dateTime = new Date(time);
+	const full = calculatePositions(celmec.VSOP87Precision.full, dateTime);
+	for (const tier of tiers) {
+		const positions = calculatePositions(tier, dateTime);
+		for (const bodyName of bodyNames) {
+			worst[tier][bodyName] = Math.max(worst[tier][bodyName], calculateAngle(full[bodyName], positions[bodyName]));
+		}
+	}
+}
+
+/**
+ * Format an angle like in the table of the README
+ * @param {number} arcseconds
+ * @returns {string}
+ */
+function formatAngle(arcseconds) {
+	if (arcseconds >= 100) return `${(arcseconds / 3600).toFixed(2)}°`;
+	return `${arcseconds < 1 ? arcseconds.toFixed(2) : arcseconds.toPrecision(2)}"`;
+}
+
+console.log(`| Tier | ${bodyNames.join(" | ")} |`);
+for (const tier of tiers) {
+	console.log(`| \`${tier}\` | ${bodyNames.map(bodyName => formatAngle(worst[tier][bodyName])).join(" | ")} |`);
+}